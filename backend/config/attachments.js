@@ -0,0 +1,38 @@
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Attachment upload limits and storage settings
+const attachmentConfig = {
+  // Storage backend: 'local' writes to disk under uploadDir
+  storageDriver: process.env.STORAGE_DRIVER || 'local',
+  uploadDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+
+  // Maximum size of a single file
+  maxFileSize: parseInt(process.env.MAX_ATTACHMENT_SIZE_MB || '10', 10) * MB,
+
+  // Maximum total size of all attachments owned by one user
+  userQuota: parseInt(process.env.ATTACHMENT_QUOTA_MB || '100', 10) * MB,
+
+  // MIME types accepted for upload
+  allowedMimeTypes: [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'text/markdown',
+    'application/json',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ]
+};
+
+module.exports = attachmentConfig;
@@ -0,0 +1,23 @@
+// Outgoing email settings. During development, point SMTP_HOST and SMTP_PORT
+// at a local mail catcher such as Mailpit or MailHog (localhost:1025).
+const mailConfig = {
+  // Mail driver: 'smtp' sends through an SMTP server, 'log' prints emails to the console
+  driver: process.env.MAIL_DRIVER || 'smtp',
+  from: process.env.MAIL_FROM || 'Taskify <no-reply@taskify.local>',
+
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  },
+
+  // Links in emails point here
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+  // Public API URL, for links that work without logging in (e.g. unsubscribe)
+  apiUrl: (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}/api`).replace(/\/$/, '')
+};
+
+module.exports = mailConfig;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const path = require('path');
+const Task = require('../models/Task');
+const { roleAtLeast } = require('../models/Project');
+const { publishTask } = require('../services/taskEvents');
+const storage = require('../services/storage');
+const attachmentConfig = require('../config/attachments');
+
+// Build a storage key that never contains user-supplied path segments
+const buildStorageKey = (userId, taskId, originalName) => {
+  const ext = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${userId}/${taskId}/${crypto.randomBytes(16).toString('hex')}${ext}`;
+};
+
+// @desc    Upload attachment to task
+// @route   POST /api/tasks/:id/attachments
+// @access  Private
+const uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'No file provided'
+      });
+    }
+
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: 'You only have view access to this task'
+      });
+    }
+
+    // Files count against the quota of the task's owner, whoever uploads them
+    const usage = await Task.getAttachmentUsage(task.userId);
+    if (usage + req.file.size > attachmentConfig.userQuota) {
+      return res.status(413).json({
+        message: 'Attachment storage quota exceeded',
+        usage,
+        quota: attachmentConfig.userQuota
+      });
+    }
+
+    const storageKey = buildStorageKey(task.userId, task._id, req.file.originalname);
+    await storage.save(storageKey, req.file.buffer);
+
+    task.attachments.push({
+      name: req.file.originalname,
+      type: req.file.mimetype,
+      size: req.file.size,
+      storageKey
+    });
+    const attachment = task.attachments[task.attachments.length - 1];
+    attachment.url = `/api/tasks/${task._id}/attachments/${attachment._id}`;
+
+    try {
+      await task.save();
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await storage.remove(storageKey);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Attachment uploaded successfully',
+      attachment: task.toJSON().attachments.find(a => a._id.equals(attachment._id)),
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error uploading attachment'
+    });
+  }
+};
+
+// @desc    Download attachment
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @access  Private
+const downloadAttachment = async (req, res) => {
+  try {
+    const { task } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment || !attachment.storageKey) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = storage.createReadStream(attachment.storageKey);
+
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      if (!res.headersSent) {
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({
+          message: error.code === 'ENOENT' ? 'Attachment file is missing' : 'Server error downloading attachment'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': attachment.type || 'application/octet-stream',
+        'Content-Length': attachment.size,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+        'X-Content-Type-Options': 'nosniff'
+      });
+      stream.pipe(res);
+    });
+  } catch (error) {
+    console.error('Download attachment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or attachment ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error downloading attachment'
+    });
+  }
+};
+
+// @desc    Delete attachment
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @access  Private
+const deleteAttachment = async (req, res) => {
+  try {
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: 'You only have view access to this task'
+      });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    const { storageKey } = attachment;
+    task.attachments.pull({ _id: attachment._id });
+    await task.save();
+
+    if (storageKey) {
+      await storage.remove(storageKey);
+    }
+
+    res.json({
+      message: 'Attachment deleted successfully',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or attachment ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error deleting attachment'
+    });
+  }
+};
+
+module.exports = {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Category = require('../models/Category');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -47,6 +48,9 @@ const register = async (req, res) => {
 
     await user.save();
 
+    // Give the new user the default categories
+    await Category.seedDefaults(user._id);
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -177,6 +181,21 @@ const getProfile = async (req, res) => {
   }
 };
 
+// Apply preference changes path by path, so nested settings (e.g. digest)
+// keep whatever the request leaves out. Unknown keys are ignored.
+const setPreferences = (user, preferences, prefix = 'preferences') => {
+  Object.entries(preferences).forEach(([key, value]) => {
+    const path = `${prefix}.${key}`;
+    const pathType = user.schema.pathType(path);
+
+    if (pathType === 'nested' && value && typeof value === 'object') {
+      setPreferences(user, value, path);
+    } else if (pathType === 'real') {
+      user.set(path, value);
+    }
+  });
+};
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -194,7 +213,7 @@ const updateProfile = async (req, res) => {
     // Update fields
     if (name) user.name = name.trim();
     if (preferences) {
-      user.preferences = { ...user.preferences, ...preferences };
+      setPreferences(user, preferences);
     }
 
     await user.save();
@@ -229,6 +248,84 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// Public URL of a calendar feed; PUBLIC_API_URL overrides the request host behind proxies
+const feedUrlFor = (req, token) => {
+  const apiUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${apiUrl.replace(/\/$/, '')}/feeds/${token}/tasks.ics`;
+};
+
+// @desc    Get calendar feed subscription URL
+// @route   GET /api/auth/profile/feed
+// @access  Private
+const getFeed = async (req, res) => {
+  try {
+    const { feedToken } = req.user;
+
+    res.json({
+      feedUrl: feedToken ? feedUrlFor(req, feedToken) : null
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      message: 'Server error fetching calendar feed'
+    });
+  }
+};
+
+// @desc    Create or regenerate calendar feed token
+// @route   POST /api/auth/profile/feed
+// @access  Private
+const regenerateFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    await user.regenerateFeedToken();
+
+    res.json({
+      message: 'Calendar feed URL generated',
+      feedUrl: feedUrlFor(req, user.feedToken)
+    });
+  } catch (error) {
+    console.error('Regenerate feed error:', error);
+    res.status(500).json({
+      message: 'Server error generating calendar feed'
+    });
+  }
+};
+
+// @desc    Revoke calendar feed token
+// @route   DELETE /api/auth/profile/feed
+// @access  Private
+const revokeFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    await user.revokeFeedToken();
+
+    res.json({
+      message: 'Calendar feed disabled',
+      feedUrl: null
+    });
+  } catch (error) {
+    console.error('Revoke feed error:', error);
+    res.status(500).json({
+      message: 'Server error disabling calendar feed'
+    });
+  }
+};
+
 // @desc    Verify token validity
 // @route   POST /api/auth/verify
 // @access  Private
@@ -257,5 +354,8 @@ module.exports = {
   login,
   getProfile,
   updateProfile,
+  getFeed,
+  regenerateFeed,
+  revokeFeed,
   verifyToken
 };
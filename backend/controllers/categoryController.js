@@ -0,0 +1,211 @@
+const Category = require('../models/Category');
+const Task = require('../models/Task');
+
+// @desc    Get all categories for authenticated user
+// @route   GET /api/categories
+// @access  Private
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.findForUser(req.user._id);
+
+    // Count active tasks per category key
+    const counts = await Task.aggregate([
+      { $match: { userId: req.user._id, deletedAt: null } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countByKey = new Map(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      categories: categories.map(category => ({
+        ...category.toJSON(),
+        taskCount: countByKey.get(category.key) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      message: 'Server error fetching categories'
+    });
+  }
+};
+
+// @desc    Create category
+// @route   POST /api/categories
+// @access  Private
+const createCategory = async (req, res) => {
+  try {
+    const { name, icon, color } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        message: 'Category name is required'
+      });
+    }
+
+    await Category.seedDefaults(req.user._id);
+
+    const key = await Category.generateKey(req.user._id, name.trim());
+
+    const category = new Category({
+      userId: req.user._id,
+      key,
+      name: name.trim(),
+      icon,
+      color
+    });
+
+    await category.save();
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'Category already exists'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error creating category'
+    });
+  }
+};
+
+// @desc    Update category name, icon or color
+// @route   PATCH /api/categories/:id
+// @access  Private
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        message: 'Category not found'
+      });
+    }
+
+    // The key is left alone so existing tasks keep pointing at this category
+    const updateFields = ['name', 'icon', 'color'];
+    updateFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    await category.save();
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid category ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error updating category'
+    });
+  }
+};
+
+// @desc    Delete category and move its tasks to another category
+// @route   DELETE /api/categories/:id?reassignTo=:categoryId
+// @access  Private
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        message: 'Category not found'
+      });
+    }
+
+    const remaining = await Category.find({
+      userId: req.user._id,
+      _id: { $ne: category._id }
+    }).sort({ createdAt: 1, _id: 1 });
+
+    if (remaining.length === 0) {
+      return res.status(400).json({
+        message: 'You must keep at least one category'
+      });
+    }
+
+    let target;
+    if (req.query.reassignTo) {
+      target = remaining.find(c => c._id.toString() === req.query.reassignTo);
+      if (!target) {
+        return res.status(400).json({
+          message: 'Reassignment category not found'
+        });
+      }
+    } else {
+      target = remaining.find(c => c.key === 'other') || remaining[0];
+    }
+
+    // Move tasks, including those in the trash, so none point at a missing category
+    const result = await Task.updateMany(
+      { userId: req.user._id, category: category.key },
+      { $set: { category: target.key } }
+    ).withDeleted();
+
+    await category.deleteOne();
+
+    res.json({
+      message: `Category deleted, ${result.modifiedCount} task(s) moved to ${target.name}`,
+      reassignedTo: target,
+      reassignedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid category ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error deleting category'
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
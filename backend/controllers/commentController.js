@@ -0,0 +1,276 @@
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { findMentions } = require('../utils/mentions');
+
+// Resolve @mentions against the users who can see the task
+const resolveMentions = async (task, body) => {
+  const collaborators = await User.find({ _id: { $in: await task.findCollaboratorIds() } })
+    .select('name');
+  return findMentions(body, collaborators).map(user => user._id);
+};
+
+// Let newly mentioned users know, except the author
+const notifyMentioned = (task, author, userIds) => Promise.all(userIds.map(userId =>
+  Notification.notify({
+    userId,
+    actorId: author._id,
+    type: 'comment-mention',
+    taskId: task._id,
+    message: `${author.name} mentioned you on "${task.title}"`
+  })
+));
+
+// Authors can edit their comments; they and owners of the task can delete them
+const withPermissions = (comment, userId, role) => ({
+  ...comment,
+  canEdit: String(comment.author?._id) === String(userId),
+  canDelete: String(comment.author?._id) === String(userId) || role === 'owner'
+});
+
+const findTaskComment = async (req) => {
+  const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+  const comment = task
+    ? await Comment.findOne({ _id: req.params.commentId, taskId: task._id })
+    : null;
+  return { task, role, comment };
+};
+
+// @desc    Get a task's discussion as threads of comments
+// @route   GET /api/tasks/:id/comments
+// @access  Private
+const getComments = async (req, res) => {
+  try {
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    const threads = await Comment.findThreads(task._id);
+
+    res.json({
+      comments: threads.map(thread => ({
+        ...withPermissions(thread, req.user._id, role),
+        replies: thread.replies.map(reply => withPermissions(reply, req.user._id, role))
+      })),
+      count: task.commentCount
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching comments'
+    });
+  }
+};
+
+// @desc    Comment on a task, or reply with { parentId }
+// @route   POST /api/tasks/:id/comments
+// @access  Private
+const createComment = async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        message: 'Comment cannot be empty'
+      });
+    }
+
+    // Anyone who can see the task can join the discussion, viewers included
+    const { task } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    // Replies to a reply join the thread it belongs to
+    let threadId = null;
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, taskId: task._id });
+
+      if (!parent) {
+        return res.status(404).json({
+          message: 'Comment not found'
+        });
+      }
+
+      threadId = parent.parentId || parent._id;
+    }
+
+    const comment = new Comment({
+      taskId: task._id,
+      userId: req.user._id,
+      parentId: threadId,
+      body: body.trim(),
+      mentions: await resolveMentions(task, body)
+    });
+
+    await comment.save();
+    await Task.updateOne({ _id: task._id }, { $inc: { commentCount: 1 } });
+    await notifyMentioned(task, req.user, comment.mentions);
+
+    await comment.populate([
+      { path: 'userId', select: 'name email avatar' },
+      { path: 'mentions', select: 'name' }
+    ]);
+    const { userId: author, ...rest } = comment.toJSON();
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment: withPermissions({ ...rest, author, replies: [] }, req.user._id, null),
+      count: task.commentCount + 1
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or comment ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error adding comment'
+    });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PATCH /api/tasks/:id/comments/:commentId
+// @access  Private
+const updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        message: 'Comment cannot be empty'
+      });
+    }
+
+    const { task, role, comment } = await findTaskComment(req);
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    if (!comment.userId.equals(req.user._id)) {
+      return res.status(403).json({
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const previousMentions = comment.mentions.map(String);
+    comment.body = body.trim();
+    comment.mentions = await resolveMentions(task, body);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    // Only people mentioned by the edit hear about it
+    await notifyMentioned(task, req.user,
+      comment.mentions.filter(userId => !previousMentions.includes(String(userId))));
+
+    await comment.populate([
+      { path: 'userId', select: 'name email avatar' },
+      { path: 'mentions', select: 'name' }
+    ]);
+    const { userId: author, ...rest } = comment.toJSON();
+
+    res.json({
+      message: 'Comment updated',
+      comment: withPermissions({ ...rest, author }, req.user._id, role)
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or comment ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error updating comment'
+    });
+  }
+};
+
+// @desc    Delete a comment and its replies
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Private
+const deleteComment = async (req, res) => {
+  try {
+    const { task, role, comment } = await findTaskComment(req);
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    if (!comment.userId.equals(req.user._id) && role !== 'owner') {
+      return res.status(403).json({
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    const deletedCount = await Comment.deleteThread(comment);
+    await Task.updateOne({ _id: task._id }, { $inc: { commentCount: -deletedCount } });
+
+    res.json({
+      message: deletedCount > 1 ? `Comment and ${deletedCount - 1} repl(ies) deleted` : 'Comment deleted',
+      deletedCount,
+      count: Math.max(task.commentCount - deletedCount, 0)
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or comment ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error deleting comment'
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
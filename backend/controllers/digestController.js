@@ -0,0 +1,43 @@
+const User = require('../models/User');
+const mailConfig = require('../config/mail');
+const { renderUnsubscribedPage } = require('../templates/digest');
+
+// @desc    Turn the email digest off from the link in a digest email. GET
+//          shows a confirmation page; POST is the one-click unsubscribe that
+//          mail clients send.
+// @route   GET|POST /api/digest/unsubscribe?token=
+// @access  Public (signed token)
+const unsubscribe = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    const user = await User.findByUnsubscribeToken(token);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'This unsubscribe link is not valid'
+      });
+    }
+
+    if (user.preferences.digest.enabled) {
+      user.set('preferences.digest.enabled', false);
+      await user.save();
+    }
+
+    if (req.method === 'POST') {
+      return res.json({
+        message: 'Unsubscribed from digest emails'
+      });
+    }
+
+    res.type('html').send(renderUnsubscribedPage({ appUrl: mailConfig.appUrl }));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({
+      message: 'Server error unsubscribing'
+    });
+  }
+};
+
+module.exports = {
+  unsubscribe
+};
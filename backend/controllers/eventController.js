@@ -0,0 +1,12 @@
+const events = require('../services/events');
+
+// @desc    Stream live task changes as Server-Sent Events
+// @route   GET /api/events?token=:jwt&clientId=:tabId
+// @access  Private
+const streamEvents = (req, res) => {
+  events.subscribe(req.user._id, req, res, req.query.clientId ? String(req.query.clientId) : null);
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,53 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Category = require('../models/Category');
+const { FEED_ITEM_TYPES, renderCalendar } = require('../utils/ical');
+
+// @desc    Get open tasks with due dates as an iCalendar feed
+// @route   GET /api/feeds/:token/tasks.ics?type=event|todo
+// @access  Public (secret token)
+const getTaskFeed = async (req, res) => {
+  try {
+    const user = await User.findByFeedToken(req.params.token);
+
+    // Same response for unknown and revoked tokens
+    if (!user) {
+      return res.status(404).json({ message: 'Feed not found' });
+    }
+
+    const type = req.query.type ? String(req.query.type) : 'event';
+    if (!FEED_ITEM_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: 'Type must be one of: ' + FEED_ITEM_TYPES.join(', ')
+      });
+    }
+
+    const [tasks, categories] = await Promise.all([
+      Task.findForFeed(user._id),
+      Category.find({ userId: user._id }).select('key name').lean()
+    ]);
+
+    const categoryNames = Object.fromEntries(categories.map(category => [category.key, category.name]));
+
+    const calendar = renderCalendar(tasks, {
+      name: `Taskify - ${user.name}`,
+      type,
+      categoryNames,
+      host: req.hostname
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Get task feed error:', error);
+    res.status(500).json({ message: 'Server error generating feed' });
+  }
+};
+
+module.exports = {
+  getTaskFeed
+};
@@ -0,0 +1,125 @@
+const Invitation = require('../models/Invitation');
+const Project = require('../models/Project');
+
+// Find one of the user's open invitations
+const findPendingInvitation = (req) => Invitation.findOne({
+  _id: req.params.id,
+  userId: req.user._id,
+  status: 'pending'
+});
+
+// @desc    Get the user's open project invitations
+// @route   GET /api/invitations
+// @access  Private
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({ userId: req.user._id, status: 'pending' })
+      .populate('projectId', 'name color description')
+      .populate('invitedBy', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      // Invitations to projects deleted since are left out
+      invitations: invitations
+        .filter(invitation => invitation.projectId)
+        .map(invitation => {
+          const { projectId: project, invitedBy, ...rest } = invitation.toJSON();
+          return { ...rest, project, invitedBy };
+        })
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      message: 'Server error fetching invitations'
+    });
+  }
+};
+
+// @desc    Accept an invitation and join the project
+// @route   POST /api/invitations/:id/accept
+// @access  Private
+const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Invitation not found'
+      });
+    }
+
+    const project = await Project.findById(invitation.projectId);
+
+    if (!project) {
+      await invitation.respond(false);
+      return res.status(404).json({
+        message: 'This project no longer exists'
+      });
+    }
+
+    if (!project.roleOf(req.user._id)) {
+      project.members.push({ userId: req.user._id, role: invitation.role });
+      await project.save();
+    }
+
+    await invitation.respond(true);
+
+    const [withDetails] = await Project.withDetails(req.user._id, [project]);
+
+    res.json({
+      message: `You joined ${project.name}`,
+      project: withDetails
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid invitation ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error accepting invitation'
+    });
+  }
+};
+
+// @desc    Decline an invitation
+// @route   POST /api/invitations/:id/decline
+// @access  Private
+const declineInvitation = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Invitation not found'
+      });
+    }
+
+    await invitation.respond(false);
+
+    res.json({
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid invitation ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error declining invitation'
+    });
+  }
+};
+
+module.exports = {
+  getInvitations,
+  acceptInvitation,
+  declineInvitation
+};
@@ -0,0 +1,131 @@
+const Notification = require('../models/Notification');
+
+// @desc    Get the user's notifications, newest first, with the unread count
+// @route   GET /api/notifications?before=&limit=&unread=true
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const [page, unreadCount] = await Promise.all([
+      Notification.findPage(req.user._id, {
+        before: req.query.before,
+        limit: req.query.limit,
+        unreadOnly: req.query.unread === 'true'
+      }),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      ...page,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid before date'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching notifications'
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification,
+      unreadCount: await Notification.countUnread(req.user._id)
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid notification ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error updating notification'
+    });
+  }
+};
+
+// @desc    Mark all of the user's notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const modifiedCount = await Notification.markAllRead(req.user._id);
+
+    res.json({
+      message: `${modifiedCount} notification(s) marked as read`,
+      modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: 'Server error updating notifications'
+    });
+  }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      message: 'Notification deleted',
+      unreadCount: await Notification.countUnread(req.user._id)
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid notification ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error deleting notification'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+};
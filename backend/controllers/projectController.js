@@ -0,0 +1,530 @@
+const Project = require('../models/Project');
+const { PROJECT_STATUSES, PROJECT_ROLES } = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+
+const OWNER_ONLY_MESSAGE = 'Only project owners can do this';
+
+// Project as JSON with its progress, members and the user's role
+const withDetails = async (req, project) => (await Project.withDetails(req.user._id, [project]))[0];
+
+// @desc    Get the user's own and shared projects with progress rollups
+// @route   GET /api/projects?status=active
+// @access  Private
+const getProjects = async (req, res) => {
+  try {
+    const filter = Project.roleFilter(req.user._id);
+
+    if (req.query.status && req.query.status !== 'all') {
+      const status = String(req.query.status);
+      if (!PROJECT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: 'Status must be one of: ' + PROJECT_STATUSES.join(', ')
+        });
+      }
+      filter.status = status;
+    }
+
+    const projects = await Project.find(filter).sort({ createdAt: 1, _id: 1 });
+
+    res.json({
+      projects: await Project.withDetails(req.user._id, projects)
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      message: 'Server error fetching projects'
+    });
+  }
+};
+
+// @desc    Get single project with its progress rollup
+// @route   GET /api/projects/:id
+// @access  Private
+const getProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project || !project.roleOf(req.user._id)) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      project: await withDetails(req, project)
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching project'
+    });
+  }
+};
+
+// @desc    Create project
+// @route   POST /api/projects
+// @access  Private
+const createProject = async (req, res) => {
+  try {
+    const { name, description, color, status, targetDate } = req.body;
+
+    const project = new Project({
+      userId: req.user._id,
+      name,
+      description,
+      color,
+      status,
+      targetDate: targetDate || null
+    });
+
+    await project.save();
+
+    res.status(201).json({
+      message: 'Project created successfully',
+      project: await withDetails(req, project)
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'A project with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error creating project'
+    });
+  }
+};
+
+// @desc    Update project details or status
+// @route   PATCH /api/projects/:id
+// @access  Private
+const updateProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const role = project ? project.roleOf(req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    if (role !== 'owner') {
+      return res.status(403).json({
+        message: OWNER_ONLY_MESSAGE
+      });
+    }
+
+    const updateFields = ['name', 'description', 'color', 'status', 'targetDate'];
+    updateFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        project[field] = req.body[field];
+      }
+    });
+
+    await project.save();
+
+    res.json({
+      message: 'Project updated successfully',
+      project: await withDetails(req, project)
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'A project with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error updating project'
+    });
+  }
+};
+
+// @desc    Delete project; its tasks are kept by their owners without a project
+// @route   DELETE /api/projects/:id
+// @access  Private
+const deleteProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const role = project ? project.roleOf(req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    if (role !== 'owner') {
+      return res.status(403).json({
+        message: OWNER_ONLY_MESSAGE
+      });
+    }
+
+    // Without the project, collaborators can no longer work on tasks they were assigned
+    await Task.unassignCollaborators({ projectId: project._id });
+
+    // Include collaborators' tasks and tasks in the trash so none point at a missing project
+    const result = await Task.updateMany(
+      { projectId: project._id },
+      { $set: { projectId: null } }
+    ).withDeleted();
+
+    await Promise.all([
+      Invitation.deleteMany({ projectId: project._id }),
+      project.deleteOne()
+    ]);
+
+    res.json({
+      message: `Project deleted, ${result.modifiedCount} task(s) kept without a project`,
+      unassignedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error deleting project'
+    });
+  }
+};
+
+// @desc    Invite a registered user to the project with a role
+// @route   POST /api/projects/:id/invitations
+// @access  Private
+const inviteMember = async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+
+    if (!email || !String(email).trim()) {
+      return res.status(400).json({
+        message: 'Email is required'
+      });
+    }
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: 'Role must be one of: ' + PROJECT_ROLES.join(', ')
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+    const callerRole = project ? project.roleOf(req.user._id) : null;
+
+    if (!callerRole) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    if (callerRole !== 'owner') {
+      return res.status(403).json({
+        message: OWNER_ONLY_MESSAGE
+      });
+    }
+
+    const invitee = await User.findOne({ email: String(email).trim().toLowerCase() }).select('name email avatar');
+
+    if (!invitee) {
+      return res.status(404).json({
+        message: 'No registered user has that email'
+      });
+    }
+
+    if (project.roleOf(invitee._id)) {
+      return res.status(400).json({
+        message: 'This user already has access to the project'
+      });
+    }
+
+    // Inviting someone again updates the role on their open invitation
+    const invitation = await Invitation.findOneAndUpdate(
+      { projectId: project._id, userId: invitee._id, status: 'pending' },
+      { $set: { role, invitedBy: req.user._id } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      message: `Invitation sent to ${invitee.name}`,
+      invitation: { ...invitation.toJSON(), user: invitee }
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error sending invitation'
+    });
+  }
+};
+
+// @desc    Get the project's open invitations
+// @route   GET /api/projects/:id/invitations
+// @access  Private
+const getProjectInvitations = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const role = project ? project.roleOf(req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    if (role !== 'owner') {
+      return res.status(403).json({
+        message: OWNER_ONLY_MESSAGE
+      });
+    }
+
+    const invitations = await Invitation.find({ projectId: project._id, status: 'pending' })
+      .populate('userId', 'name email avatar')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      invitations: invitations.map(invitation => {
+        const { userId: user, ...rest } = invitation.toJSON();
+        return { ...rest, userId: user?._id, user };
+      })
+    });
+  } catch (error) {
+    console.error('Get project invitations error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching invitations'
+    });
+  }
+};
+
+// @desc    Withdraw an open invitation
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @access  Private
+const cancelInvitation = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const role = project ? project.roleOf(req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    if (role !== 'owner') {
+      return res.status(403).json({
+        message: OWNER_ONLY_MESSAGE
+      });
+    }
+
+    const result = await Invitation.deleteOne({
+      _id: req.params.invitationId,
+      projectId: project._id,
+      status: 'pending'
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      message: 'Invitation withdrawn'
+    });
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project or invitation ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error withdrawing invitation'
+    });
+  }
+};
+
+// @desc    Change a collaborator's role
+// @route   PATCH /api/projects/:id/members/:userId
+// @access  Private
+const updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: 'Role must be one of: ' + PROJECT_ROLES.join(', ')
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+    const callerRole = project ? project.roleOf(req.user._id) : null;
+
+    if (!callerRole) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    if (callerRole !== 'owner') {
+      return res.status(403).json({
+        message: OWNER_ONLY_MESSAGE
+      });
+    }
+
+    // The creator isn't in members, so their owner role can't be taken away
+    const member = project.members.find(m => m.userId.equals(req.params.userId));
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Member not found'
+      });
+    }
+
+    member.role = role;
+    await project.save();
+
+    // Viewers can't be assigned tasks
+    if (role === 'viewer') {
+      await Task.unassignCollaborators({ projectId: project._id, assigneeId: member.userId });
+    }
+
+    res.json({
+      message: 'Member role updated',
+      project: await withDetails(req, project)
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project or user ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error updating member'
+    });
+  }
+};
+
+// @desc    Remove a collaborator, or leave a project shared with you
+// @route   DELETE /api/projects/:id/members/:userId
+// @access  Private
+const removeMember = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const role = project ? project.roleOf(req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        message: 'Project not found'
+      });
+    }
+
+    const isSelf = req.user._id.equals(req.params.userId);
+
+    if (role !== 'owner' && !isSelf) {
+      return res.status(403).json({
+        message: OWNER_ONLY_MESSAGE
+      });
+    }
+
+    const remaining = project.members.filter(m => !m.userId.equals(req.params.userId));
+
+    if (remaining.length === project.members.length) {
+      return res.status(404).json({
+        message: 'Member not found'
+      });
+    }
+
+    // Tasks the member added stay in the project; others assigned to them are unassigned
+    project.members = remaining;
+    await project.save();
+    await Task.unassignCollaborators({ projectId: project._id, assigneeId: req.params.userId });
+
+    res.json({
+      message: isSelf ? 'You left the project' : 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project or user ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error removing member'
+    });
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  inviteMember,
+  getProjectInvitations,
+  cancelInvitation,
+  updateMember,
+  removeMember
+};
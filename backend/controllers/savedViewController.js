@@ -0,0 +1,151 @@
+const SavedView = require('../models/SavedView');
+
+const handleSaveError = (error, res, action) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid view ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      message: 'A view with this name already exists'
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error ${action} view`
+  });
+};
+
+// @desc    Get user saved views, pinned first
+// @route   GET /api/views
+// @access  Private
+const getSavedViews = async (req, res) => {
+  try {
+    const views = await SavedView.find({ userId: req.user._id })
+      .sort({ isPinned: -1, name: 1 });
+
+    res.json({
+      views,
+      count: views.length
+    });
+  } catch (error) {
+    console.error('Get saved views error:', error);
+    res.status(500).json({
+      message: 'Server error fetching views'
+    });
+  }
+};
+
+// @desc    Create saved view
+// @route   POST /api/views
+// @access  Private
+const createSavedView = async (req, res) => {
+  try {
+    const { name, query, sortBy, sortOrder, isPinned } = req.body;
+
+    const view = new SavedView({
+      userId: req.user._id,
+      name,
+      query,
+      sortBy,
+      sortOrder,
+      isPinned
+    });
+
+    await view.save();
+
+    res.status(201).json({
+      message: 'View saved successfully',
+      view
+    });
+  } catch (error) {
+    console.error('Create saved view error:', error);
+    handleSaveError(error, res, 'creating');
+  }
+};
+
+// @desc    Update saved view (rename, change filter or sort, pin/unpin)
+// @route   PATCH /api/views/:id
+// @access  Private
+const updateSavedView = async (req, res) => {
+  try {
+    const view = await SavedView.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!view) {
+      return res.status(404).json({
+        message: 'View not found'
+      });
+    }
+
+    const updateFields = ['name', 'query', 'sortBy', 'sortOrder', 'isPinned'];
+    updateFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        view[field] = req.body[field];
+      }
+    });
+
+    await view.save();
+
+    res.json({
+      message: 'View updated successfully',
+      view
+    });
+  } catch (error) {
+    console.error('Update saved view error:', error);
+    handleSaveError(error, res, 'updating');
+  }
+};
+
+// @desc    Delete saved view
+// @route   DELETE /api/views/:id
+// @access  Private
+const deleteSavedView = async (req, res) => {
+  try {
+    const view = await SavedView.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!view) {
+      return res.status(404).json({
+        message: 'View not found'
+      });
+    }
+
+    res.json({
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved view error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid view ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error deleting view'
+    });
+  }
+};
+
+module.exports = {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+};
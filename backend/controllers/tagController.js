@@ -0,0 +1,187 @@
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+
+const MAX_TAG_LENGTH = 30;
+
+const validateTagName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Tag name is required';
+  if (name.trim().length > MAX_TAG_LENGTH) return `Tag cannot exceed ${MAX_TAG_LENGTH} characters`;
+  return null;
+};
+
+// @desc    Get user tags with usage counts and colors
+// @route   GET /api/tags?q=prefix
+// @access  Private
+const getTags = async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    const [counts, settings] = await Promise.all([
+      Task.getTagCounts(req.user._id),
+      Tag.find({ userId: req.user._id }).lean()
+    ]);
+    const colorByName = new Map(settings.map(tag => [tag.name, tag.color]));
+
+    let tags = counts.map(({ _id, count }) => ({
+      name: _id,
+      count,
+      color: colorByName.get(_id) || null
+    }));
+
+    // Prefix match for autocomplete; plain string comparison, no user regex
+    if (q) {
+      const prefix = String(q).toLowerCase();
+      tags = tags.filter(tag => tag.name.toLowerCase().startsWith(prefix));
+    }
+
+    res.json({
+      tags,
+      count: tags.length
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      message: 'Server error fetching tags'
+    });
+  }
+};
+
+// @desc    Rename a tag across all tasks and/or set its color
+// @route   PATCH /api/tags/:name
+// @access  Private
+const updateTag = async (req, res) => {
+  try {
+    const currentName = req.params.name;
+    const { name, color } = req.body;
+    let targetName = currentName;
+    let modifiedCount = 0;
+
+    if (name !== undefined) {
+      const error = validateTagName(name);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      targetName = name.trim();
+    }
+
+    if (targetName !== currentName) {
+      // Renaming onto an existing tag merges the two
+      modifiedCount = await Task.replaceTags(req.user._id, [currentName], targetName);
+
+      const existing = await Tag.findOne({ userId: req.user._id, name: targetName });
+      if (existing) {
+        await Tag.deleteOne({ userId: req.user._id, name: currentName });
+      } else {
+        await Tag.updateOne(
+          { userId: req.user._id, name: currentName },
+          { $set: { name: targetName } }
+        );
+      }
+    }
+
+    let tag = null;
+    if (color !== undefined) {
+      tag = await Tag.findOneAndUpdate(
+        { userId: req.user._id, name: targetName },
+        { $set: { color } },
+        { new: true, upsert: true, runValidators: true }
+      );
+    } else {
+      tag = await Tag.findOne({ userId: req.user._id, name: targetName });
+    }
+
+    res.json({
+      message: targetName !== currentName
+        ? `Tag renamed on ${modifiedCount} task(s)`
+        : 'Tag updated successfully',
+      tag: {
+        name: targetName,
+        color: tag ? tag.color : null
+      },
+      modifiedCount
+    });
+  } catch (error) {
+    console.error('Update tag error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error updating tag'
+    });
+  }
+};
+
+// @desc    Merge one or more tags into a target tag
+// @route   POST /api/tags/merge
+// @access  Private
+const mergeTags = async (req, res) => {
+  try {
+    const { source, target } = req.body;
+    const sources = (Array.isArray(source) ? source : [source])
+      .filter(tag => typeof tag === 'string' && tag.trim())
+      .map(tag => tag.trim());
+
+    if (sources.length === 0) {
+      return res.status(400).json({
+        message: 'At least one source tag is required'
+      });
+    }
+
+    const error = validateTagName(target);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const targetName = target.trim();
+    const modifiedCount = await Task.replaceTags(req.user._id, sources, targetName);
+
+    // Keep the target's color; drop settings for the merged-away tags
+    await Tag.deleteMany({
+      userId: req.user._id,
+      name: { $in: sources.filter(tag => tag !== targetName) }
+    });
+
+    res.json({
+      message: `Merged ${sources.length} tag(s) into "${targetName}" on ${modifiedCount} task(s)`,
+      modifiedCount
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      message: 'Server error merging tags'
+    });
+  }
+};
+
+// @desc    Remove a tag from all tasks
+// @route   DELETE /api/tags/:name
+// @access  Private
+const deleteTag = async (req, res) => {
+  try {
+    const modifiedCount = await Task.replaceTags(req.user._id, [req.params.name], null);
+    await Tag.deleteOne({ userId: req.user._id, name: req.params.name });
+
+    res.json({
+      message: `Tag removed from ${modifiedCount} task(s)`,
+      modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      message: 'Server error deleting tag'
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  updateTag,
+  mergeTags,
+  deleteTag
+};
@@ -1,108 +1,212 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { roleAtLeast } = require('../models/Project');
+const { withDetails, taskWithDetails, publishTaskEvent, publishTask } = require('../services/taskEvents');
+const { TRASH_RETENTION_DAYS } = require('../jobs/purgeTrash');
+const {
+  escapeRegExp,
+  parseSearchQuery,
+  toTextSearch,
+  hasPositiveTerms,
+  buildHighlights
+} = require('../utils/search');
+const { parseFilterQuery } = require('../utils/filterQuery');
+const { rankBetween } = require('../utils/rank');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_RANGE_DAYS = 366;
+const VIEW_ONLY_MESSAGE = 'You only have view access to this task';
+
+// Complete the parent task once its last subtask is done
+// Returns the next occurrence if the parent was a recurring task
+const autoCompleteParent = async (task) => {
+  if (task.isDone || !task.allSubTasksDone()) return null;
+
+  // A blocked task stays open until its blockers are done
+  if ((await task.findOpenBlockers()).length > 0) return null;
+
+  await task.toggleCompletion();
+  return task.nextOccurrenceId ? Task.findById(task.nextOccurrenceId) : null;
+};
+
+// Let the assignee know a task was handed to them
+const notifyAssignee = (task, actor) => {
+  if (!task.assigneeId) return Promise.resolve(null);
+
+  return Notification.notify({
+    userId: task.assigneeId,
+    actorId: actor._id,
+    type: 'task-assigned',
+    taskId: task._id,
+    message: `${actor.name} assigned you "${task.title}"`
+  });
+};
+
+// Let the task's owner and assignee know someone else changed it
+const notifyWatchers = (task, actor, type, message) => Promise.all(
+  task.getWatcherIds().map(userId => Notification.notify({
+    userId,
+    actorId: actor._id,
+    type,
+    taskId: task._id,
+    message
+  }))
+);
 
 // @desc    Get all tasks for authenticated user
-// @route   GET /api/tasks
+// @route   GET /api/tasks?q=priority:high due:<7d&project=:id|none&assignee=me|none|:userId&cursor=...
 // @access  Private
 const getTasks = async (req, res) => {
   try {
-    const { category, priority, isDone, search, sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 50 } = req.query;
+    const { category, priority, isDone, tag, project, assignee, search, q, sortBy = 'createdAt', sortOrder = 'desc', cursor, limit } = req.query;
     
-    // Build filter object
-    const filter = { userId: req.user._id };
+    // Own tasks plus tasks in projects shared with the user
+    const filter = await Task.accessFilter(req.user._id);
     
     if (category && category !== 'all') {
-      filter.category = category;
+      filter.category = String(category);
     }
     
     if (priority && priority !== 'all') {
-      filter.priority = priority;
+      filter.priority = String(priority);
     }
     
     if (isDone !== undefined) {
       filter.isDone = isDone === 'true';
     }
     
-    // Build search query
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const tasks = await Task.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    if (tag && tag !== 'all') {
+      filter.tags = String(tag);
+    }
+
+    // "none" lists tasks that are not in any project. IDs are cast here
+    // because the aggregate in findPage matches them as given.
+    if (project && project !== 'all') {
+      if (project === 'none') {
+        filter.projectId = null;
+      } else if (mongoose.isValidObjectId(project)) {
+        filter.projectId = new mongoose.Types.ObjectId(String(project));
+      } else {
+        return res.status(400).json({
+          message: 'Invalid project ID'
+        });
+      }
+    }
 
-    // Get total count for pagination
-    const total = await Task.countDocuments(filter);
-
-    // Get statistics
-    const stats = await Task.aggregate([
-      { $match: { userId: req.user._id } },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          completed: { $sum: { $cond: [{ $eq: ['$isDone', true] }, 1, 0] } },
-          pending: { $sum: { $cond: [{ $eq: ['$isDone', false] }, 1, 0] } },
-          overdue: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $eq: ['$isDone', false] },
-                    { $lt: ['$dueDate', new Date()] },
-                    { $ne: ['$dueDate', null] }
-                  ]
-                },
-                1,
-                0
-              ]
-            }
-          }
-        }
+    // "me" lists the tasks assigned to the user, "none" unassigned ones
+    if (assignee && assignee !== 'all') {
+      if (assignee === 'me') {
+        filter.assigneeId = req.user._id;
+      } else if (assignee === 'none') {
+        filter.assigneeId = null;
+      } else if (mongoose.isValidObjectId(assignee)) {
+        filter.assigneeId = new mongoose.Types.ObjectId(String(assignee));
+      } else {
+        return res.status(400).json({
+          message: 'Invalid assignee ID'
+        });
       }
+    }
+    
+    // Filter expression conditions; leftover words are searched as text
+    const expression = q ? parseFilterQuery(q) : { conditions: [], text: '' };
+    if (expression.conditions.length > 0) {
+      filter.$and = expression.conditions;
+    }
+
+    // Build full-text search query
+    const searchText = [search, expression.text].filter(Boolean).join(' ');
+    const parsedSearch = searchText ? parseSearchQuery(searchText) : null;
+    const isSearching = parsedSearch && hasPositiveTerms(parsedSearch);
+
+    if (isSearching) {
+      filter.$text = { $search: toTextSearch(parsedSearch) };
+    } else if (parsedSearch && parsedSearch.exclusions.length > 0) {
+      // $text needs a positive term, so exclusion-only searches match escaped literals
+      filter.$nor = parsedSearch.exclusions.flatMap(exclusion => {
+        const pattern = new RegExp(escapeRegExp(exclusion), 'i');
+        return [{ title: pattern }, { description: pattern }, { tags: pattern }];
+      });
+    }
+
+    // Rank any tasks created before manual ordering so the order is complete
+    if (sortBy === 'position') {
+      await Task.ensurePositions(req.user._id);
+    }
+
+    // Fetch one page, continuing after the cursor from the previous page
+    const { tasks, nextCursor, hasMore } = await Task.findPage(filter, {
+      sortBy,
+      sortOrder,
+      cursor,
+      limit,
+      byRelevance: isSearching
+    });
+
+    if (isSearching) {
+      tasks.forEach(task => {
+        task.highlights = buildHighlights(task, parsedSearch);
+      });
+    }
+
+    // Total matches and overall statistics
+    const [total, stats] = await Promise.all([
+      Task.countDocuments(filter),
+      Task.getStats(req.user._id)
     ]);
 
     res.json({
-      tasks,
+      tasks: await withDetails(tasks),
       pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / parseInt(limit)),
+        nextCursor,
+        hasMore,
         count: tasks.length,
         totalItems: total
       },
-      stats: stats[0] || { total: 0, completed: 0, pending: 0, overdue: 0 }
+      stats
     });
   } catch (error) {
     console.error('Get tasks error:', error);
+
+    if (error.name === 'FilterQueryError' || error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       message: 'Server error fetching tasks'
     });
   }
 };
 
+// @desc    Get task statistics for authenticated user
+// @route   GET /api/tasks/stats
+// @access  Private
+const getTaskStats = async (req, res) => {
+  try {
+    const stats = await Task.getStats(req.user._id);
+
+    res.json({
+      stats
+    });
+  } catch (error) {
+    console.error('Get task stats error:', error);
+    res.status(500).json({
+      message: 'Server error fetching task statistics'
+    });
+  }
+};
+
 // @desc    Get single task by ID
 // @route   GET /api/tasks/:id
 // @access  Private
 const getTask = async (req, res) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const { task } = await Task.findAccessible(req.params.id, req.user._id);
 
     if (!task) {
       return res.status(404).json({
@@ -110,7 +214,7 @@ const getTask = async (req, res) => {
       });
     }
 
-    res.json(task);
+    res.json(await taskWithDetails(task));
   } catch (error) {
     console.error('Get task error:', error);
     
@@ -131,7 +235,7 @@ const getTask = async (req, res) => {
 // @access  Private
 const createTask = async (req, res) => {
   try {
-    const { title, description, category, priority, dueDate, tags } = req.body;
+    const { title, description, category, priority, dueDate, tags, subTasks, recurrence, projectId, assigneeId, reminders, estimateMinutes } = req.body;
 
     // Validation
     if (!title || !title.trim()) {
@@ -154,14 +258,23 @@ const createTask = async (req, res) => {
       category,
       priority: priority || 'medium',
       dueDate: dueDate || null,
-      tags: tags || []
+      tags: tags || [],
+      subTasks: (subTasks || []).filter(subTask => subTask.title?.trim()),
+      recurrence: recurrence || null,
+      // Tasks created without reminders get the user's default ones
+      reminders: reminders ||
+        (req.user.preferences?.reminderOffsets || []).map(offsetMinutes => ({ offsetMinutes })),
+      projectId: projectId || null,
+      assigneeId: assigneeId || null,
+      estimateMinutes: estimateMinutes || null
     });
 
     await task.save();
+    await notifyAssignee(task, req.user);
 
     res.status(201).json({
       message: 'Task created successfully',
-      task
+      task: await publishTask(req, 'task:created', task)
     });
   } catch (error) {
     console.error('Create task error:', error);
@@ -185,10 +298,7 @@ const createTask = async (req, res) => {
 // @access  Private
 const updateTask = async (req, res) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
 
     if (!task) {
       return res.status(404).json({
@@ -196,19 +306,73 @@ const updateTask = async (req, res) => {
       });
     }
 
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    // Moving a task needs edit access to the target project for whoever
+    // moves it (the model checks the owner's), and only the owner can take a
+    // task out of its project
+    const { projectId } = req.body;
+    if (projectId !== undefined && String(projectId || '') !== String(task.projectId || '')) {
+      if (!projectId && !task.userId.equals(req.user._id)) {
+        return res.status(403).json({
+          message: 'Only the task owner can remove it from its project'
+        });
+      }
+
+      if (projectId && !(await Project.exists({ _id: projectId, ...Project.roleFilter(req.user._id, 'editor') }))) {
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: ['Project not found']
+        });
+      }
+    }
+
     // Update fields
-    const updateFields = ['title', 'description', 'category', 'priority', 'isDone', 'dueDate', 'tags'];
+    const updateFields = ['title', 'description', 'category', 'priority', 'dueDate', 'tags', 'subTasks', 'recurrence', 'reminders', 'estimateMinutes', 'projectId'];
     updateFields.forEach(field => {
       if (req.body[field] !== undefined) {
         task[field] = req.body[field];
       }
     });
 
-    await task.save();
+    // Completion goes through toggleCompletion so recurring tasks get their
+    // next occurrence
+    const toggled = req.body.isDone !== undefined && Boolean(req.body.isDone) !== task.isDone;
+
+    // Like toggling, completing a task with open blockers needs { force: true }
+    if (toggled && !task.isDone && !req.body.force) {
+      const blockers = await task.findOpenBlockers();
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          message: 'This task is blocked by tasks that are still open',
+          blockers
+        });
+      }
+    }
+
+    if (toggled) {
+      await task.toggleCompletion();
+    } else {
+      await task.save();
+    }
+
+    const completed = toggled && task.isDone;
+    await notifyWatchers(task, req.user,
+      completed ? 'task-completed' : 'task-updated',
+      `${req.user.name} ${completed ? 'completed' : 'updated'} "${task.title}"`);
+
+    const nextTask = completed && task.nextOccurrenceId
+      ? await Task.findById(task.nextOccurrenceId)
+      : null;
 
     res.json({
       message: 'Task updated successfully',
-      task
+      task: await publishTask(req, toggled ? 'task:toggled' : 'task:updated', task),
+      nextTask: nextTask && await publishTask(req, 'task:created', nextTask)
     });
   } catch (error) {
     console.error('Update task error:', error);
@@ -233,15 +397,12 @@ const updateTask = async (req, res) => {
   }
 };
 
-// @desc    Delete task
+// @desc    Move task to trash
 // @route   DELETE /api/tasks/:id
 // @access  Private
 const deleteTask = async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
 
     if (!task) {
       return res.status(404).json({
@@ -249,8 +410,20 @@ const deleteTask = async (req, res) => {
       });
     }
 
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    // Shared tasks go to their owner's trash, whoever deletes them
+    await task.softDelete();
+    await publishTaskEvent(req, 'task:deleted', task, { _id: task._id });
+    await notifyWatchers(task, req.user, 'task-deleted', `${req.user.name} moved "${task.title}" to the trash`);
+
     res.json({
-      message: 'Task deleted successfully'
+      message: 'Task moved to trash',
+      task
     });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -267,31 +440,58 @@ const deleteTask = async (req, res) => {
   }
 };
 
-// @desc    Toggle task completion
-// @route   PATCH /api/tasks/:id/toggle
+// @desc    Get trashed tasks
+// @route   GET /api/tasks/trash
 // @access  Private
-const toggleTask = async (req, res) => {
+const getTrash = async (req, res) => {
+  try {
+    const tasks = await Task.find({
+      userId: req.user._id,
+      deletedAt: { $ne: null }
+    })
+      .select('-attachments.storageKey')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    res.json({
+      tasks,
+      count: tasks.length,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      message: 'Server error fetching trash'
+    });
+  }
+};
+
+// @desc    Restore task from trash
+// @route   PATCH /api/tasks/trash/:id/restore
+// @access  Private
+const restoreTask = async (req, res) => {
   try {
     const task = await Task.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      userId: req.user._id,
+      deletedAt: { $ne: null }
     });
 
     if (!task) {
       return res.status(404).json({
-        message: 'Task not found'
+        message: 'Task not found in trash'
       });
     }
 
-    await task.toggleCompletion();
+    await task.restore();
 
     res.json({
-      message: `Task marked as ${task.isDone ? 'completed' : 'pending'}`,
-      task
+      message: 'Task restored successfully',
+      task: await publishTask(req, 'task:created', task)
     });
   } catch (error) {
-    console.error('Toggle task error:', error);
-    
+    console.error('Restore task error:', error);
+
     if (error.name === 'CastError') {
       return res.status(400).json({
         message: 'Invalid task ID'
@@ -299,28 +499,74 @@ const toggleTask = async (req, res) => {
     }
 
     res.status(500).json({
-      message: 'Server error toggling task'
+      message: 'Server error restoring task'
     });
   }
 };
 
-// @desc    Add subtask to task
-// @route   POST /api/tasks/:id/subtasks
+// @desc    Permanently delete task from trash
+// @route   DELETE /api/tasks/trash/:id
 // @access  Private
-const addSubTask = async (req, res) => {
+const permanentlyDeleteTask = async (req, res) => {
   try {
-    const { title } = req.body;
+    const deletedCount = await Task.purge({
+      _id: req.params.id,
+      userId: req.user._id,
+      deletedAt: { $ne: null }
+    });
 
-    if (!title || !title.trim()) {
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        message: 'Task not found in trash'
+      });
+    }
+
+    res.json({
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    console.error('Permanently delete task error:', error);
+
+    if (error.name === 'CastError') {
       return res.status(400).json({
-        message: 'Subtask title is required'
+        message: 'Invalid task ID'
       });
     }
 
-    const task = await Task.findOne({
-      _id: req.params.id,
-      userId: req.user._id
+    res.status(500).json({
+      message: 'Server error deleting task'
+    });
+  }
+};
+
+// @desc    Empty trash
+// @route   DELETE /api/tasks/trash
+// @access  Private
+const emptyTrash = async (req, res) => {
+  try {
+    const deletedCount = await Task.purge({
+      userId: req.user._id,
+      deletedAt: { $ne: null }
+    });
+
+    res.json({
+      message: `${deletedCount} task(s) permanently deleted`,
+      count: deletedCount
     });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      message: 'Server error emptying trash'
+    });
+  }
+};
+
+// @desc    Toggle task completion
+// @route   PATCH /api/tasks/:id/toggle
+// @access  Private
+const toggleTask = async (req, res) => {
+  try {
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
 
     if (!task) {
       return res.status(404).json({
@@ -328,14 +574,44 @@ const addSubTask = async (req, res) => {
       });
     }
 
-    await task.addSubTask(title.trim());
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
 
-    res.status(201).json({
-      message: 'Subtask added successfully',
-      task
+    // Completing a task with open blockers needs { force: true }
+    if (!task.isDone && !req.body?.force) {
+      const blockers = await task.findOpenBlockers();
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          message: 'This task is blocked by tasks that are still open',
+          blockers
+        });
+      }
+    }
+
+    await task.toggleCompletion();
+    await notifyWatchers(task, req.user,
+      task.isDone ? 'task-completed' : 'task-updated',
+      `${req.user.name} ${task.isDone ? 'completed' : 'reopened'} "${task.title}"`);
+
+    // Completing a recurring task creates its next occurrence
+    const nextTask = task.isDone && task.nextOccurrenceId
+      ? await Task.findById(task.nextOccurrenceId)
+      : null;
+
+    // Tasks that were only waiting on this one can be started now
+    const unblocked = task.isDone ? await task.findUnblockedTasks() : [];
+
+    res.json({
+      message: `Task marked as ${task.isDone ? 'completed' : 'pending'}`,
+      task: await publishTask(req, 'task:toggled', task),
+      nextTask: nextTask && await publishTask(req, 'task:created', nextTask),
+      unblocked
     });
   } catch (error) {
-    console.error('Add subtask error:', error);
+    console.error('Toggle task error:', error);
     
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -344,59 +620,744 @@ const addSubTask = async (req, res) => {
     }
 
     res.status(500).json({
-      message: 'Server error adding subtask'
+      message: 'Server error toggling task'
     });
   }
 };
 
-// @desc    Get tasks by category
-// @route   GET /api/tasks/category/:category
+// @desc    Move task between two neighbours in the manual order
+// @route   PATCH /api/tasks/:id/position
 // @access  Private
-const getTasksByCategory = async (req, res) => {
+const moveTask = async (req, res) => {
   try {
-    const { category } = req.params;
-    const tasks = await Task.findByCategory(req.user._id, category);
+    const { prevId, nextId } = req.body;
+
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    await Task.ensurePositions(req.user._id);
+
+    // Neighbours are the tasks that should end up directly above and below
+    const access = await Task.accessFilter(req.user._id);
+    const [prev, next] = await Promise.all([prevId, nextId].map(id => (
+      id ? Task.findOne({ _id: id, ...access }).select('position') : null
+    )));
+
+    if ((prevId && !prev) || (nextId && !next)) {
+      return res.status(404).json({
+        message: 'Neighbour task not found'
+      });
+    }
+
+    if (prev && next && prev.position >= next.position) {
+      return res.status(400).json({
+        message: 'Previous task must come before next task'
+      });
+    }
+
+    task.position = rankBetween(prev ? prev.position : null, next ? next.position : null);
+    await task.save();
 
     res.json({
-      category,
-      tasks,
-      count: tasks.length
+      message: 'Task moved successfully',
+      task: await publishTask(req, 'task:updated', task)
     });
   } catch (error) {
-    console.error('Get tasks by category error:', error);
+    console.error('Move task error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
     res.status(500).json({
-      message: 'Server error fetching tasks by category'
+      message: 'Server error moving task'
     });
   }
 };
 
-// @desc    Get overdue tasks
-// @route   GET /api/tasks/overdue
+// @desc    Get the users a task can be assigned to
+// @route   GET /api/tasks/:id/assignees
 // @access  Private
-const getOverdueTasks = async (req, res) => {
+const getAssignableUsers = async (req, res) => {
   try {
-    const tasks = await Task.findOverdue(req.user._id);
+    const { task } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    // The owner, plus the project's owners and editors
+    const userIds = await task.findCollaboratorIds('editor');
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('name email avatar')
+      .sort({ name: 1 });
 
     res.json({
-      tasks,
-      count: tasks.length
+      users
     });
   } catch (error) {
-    console.error('Get overdue tasks error:', error);
+    console.error('Get assignable users error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
     res.status(500).json({
-      message: 'Server error fetching overdue tasks'
+      message: 'Server error fetching assignable users'
+    });
+  }
+};
+
+// @desc    Assign a task to a user, or unassign it with { assigneeId: null }
+// @route   PATCH /api/tasks/:id/assignee
+// @access  Private
+const assignTask = async (req, res) => {
+  try {
+    const { assigneeId = null } = req.body;
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    const previousAssigneeId = task.assigneeId;
+    task.assigneeId = assigneeId;
+    await task.save();
+
+    const isReassigned = task.assigneeId && !task.assigneeId.equals(previousAssigneeId);
+    if (isReassigned) {
+      await notifyAssignee(task, req.user);
+    }
+
+    res.json({
+      message: task.assigneeId ? 'Task assigned' : 'Task unassigned',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Assign task error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or user ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error assigning task'
+    });
+  }
+};
+
+// @desc    Get the tasks blocking a task and the tasks it blocks
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private
+const getDependencies = async (req, res) => {
+  try {
+    const { task } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    const access = await Task.accessFilter(req.user._id);
+    const [blockedBy, blocking] = await Promise.all([
+      Task.find({ _id: { $in: task.blockedBy }, ...access }).select('title isDone dueDate'),
+      Task.find({ blockedBy: task._id, ...access }).select('title isDone dueDate')
+    ]);
+
+    res.json({ blockedBy, blocking });
+  } catch (error) {
+    console.error('Get dependencies error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching dependencies'
+    });
+  }
+};
+
+// @desc    Mark a task as blocked by another task
+// @route   POST /api/tasks/:id/blockers
+// @access  Private
+const addBlocker = async (req, res) => {
+  try {
+    const { blockerId } = req.body;
+
+    if (!blockerId) {
+      return res.status(400).json({
+        message: 'Blocking task ID is required'
+      });
+    }
+
+    const [{ task, role }, blocker] = await Promise.all([
+      Task.findAccessible(req.params.id, req.user._id),
+      Task.accessFilter(req.user._id).then(access => Task.findOne({ _id: blockerId, ...access }).select('_id'))
+    ]);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    if (!blocker) {
+      return res.status(404).json({
+        message: 'Blocking task not found'
+      });
+    }
+
+    if (blocker._id.equals(task._id)) {
+      return res.status(400).json({
+        message: 'A task cannot block itself'
+      });
+    }
+
+    if (!task.blockedBy.some(id => id.equals(blocker._id))) {
+      if (await Task.createsDependencyCycle(task._id, blocker._id)) {
+        return res.status(400).json({
+          message: 'This dependency would create a cycle'
+        });
+      }
+
+      task.blockedBy.push(blocker._id);
+      await task.save();
+    }
+
+    res.json({
+      message: 'Dependency added successfully',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Add blocker error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error adding dependency'
+    });
+  }
+};
+
+// @desc    Remove a blocking task
+// @route   DELETE /api/tasks/:id/blockers/:blockerId
+// @access  Private
+const removeBlocker = async (req, res) => {
+  try {
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    task.blockedBy.pull(req.params.blockerId);
+    await task.save();
+
+    res.json({
+      message: 'Dependency removed successfully',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Remove blocker error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error removing dependency'
+    });
+  }
+};
+
+// @desc    Add subtask to task
+// @route   POST /api/tasks/:id/subtasks
+// @access  Private
+const addSubTask = async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({
+        message: 'Subtask title is required'
+      });
+    }
+
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    await task.addSubTask(title.trim());
+
+    res.status(201).json({
+      message: 'Subtask added successfully',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Add subtask error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error adding subtask'
+    });
+  }
+};
+
+// @desc    Update subtask title or completion
+// @route   PATCH /api/tasks/:id/subtasks/:subTaskId
+// @access  Private
+const updateSubTask = async (req, res) => {
+  try {
+    const { title, isDone } = req.body;
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({
+        message: 'Subtask title cannot be empty'
+      });
+    }
+
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    if (!task.subTasks.id(req.params.subTaskId)) {
+      return res.status(404).json({
+        message: 'Subtask not found'
+      });
+    }
+
+    await task.updateSubTask(req.params.subTaskId, {
+      title: title?.trim(),
+      isDone: isDone !== undefined ? Boolean(isDone) : undefined
+    });
+
+    const nextTask = isDone ? await autoCompleteParent(task) : null;
+
+    res.json({
+      message: 'Subtask updated successfully',
+      task: await publishTask(req, 'task:updated', task),
+      nextTask: nextTask && await publishTask(req, 'task:created', nextTask)
+    });
+  } catch (error) {
+    console.error('Update subtask error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or subtask ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error updating subtask'
+    });
+  }
+};
+
+// @desc    Toggle subtask completion
+// @route   PATCH /api/tasks/:id/subtasks/:subTaskId/toggle
+// @access  Private
+const toggleSubTask = async (req, res) => {
+  try {
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    const subTask = task.subTasks.id(req.params.subTaskId);
+
+    if (!subTask) {
+      return res.status(404).json({
+        message: 'Subtask not found'
+      });
+    }
+
+    await task.updateSubTask(subTask._id, { isDone: !subTask.isDone });
+
+    const nextTask = subTask.isDone ? await autoCompleteParent(task) : null;
+
+    res.json({
+      message: `Subtask marked as ${subTask.isDone ? 'completed' : 'pending'}`,
+      task: await publishTask(req, 'task:updated', task),
+      nextTask: nextTask && await publishTask(req, 'task:created', nextTask)
+    });
+  } catch (error) {
+    console.error('Toggle subtask error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or subtask ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error toggling subtask'
+    });
+  }
+};
+
+// @desc    Reorder subtasks
+// @route   PATCH /api/tasks/:id/subtasks/reorder
+// @access  Private
+const reorderSubTasks = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order)) {
+      return res.status(400).json({
+        message: 'Subtask order must be an array of subtask IDs'
+      });
+    }
+
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    const currentIds = task.subTasks.map(subTask => subTask._id.toString()).sort();
+    const requestedIds = order.map(id => String(id)).sort();
+
+    if (currentIds.length !== requestedIds.length ||
+        currentIds.some((id, index) => id !== requestedIds[index])) {
+      return res.status(400).json({
+        message: 'Subtask order must list every subtask exactly once'
+      });
+    }
+
+    await task.reorderSubTasks(order);
+
+    res.json({
+      message: 'Subtasks reordered successfully',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Reorder subtasks error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error reordering subtasks'
+    });
+  }
+};
+
+// @desc    Move subtask between two neighbouring subtasks
+// @route   PATCH /api/tasks/:id/subtasks/:subTaskId/position
+// @access  Private
+const moveSubTask = async (req, res) => {
+  try {
+    const { prevId, nextId } = req.body;
+
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    const ids = [req.params.subTaskId, prevId, nextId].filter(Boolean);
+    if (ids.some(id => !task.subTasks.id(id))) {
+      return res.status(404).json({
+        message: 'Subtask not found'
+      });
+    }
+
+    task.ensureSubTaskPositions();
+    const prev = prevId ? task.subTasks.id(prevId) : null;
+    const next = nextId ? task.subTasks.id(nextId) : null;
+
+    if (prev && next && prev.position >= next.position) {
+      return res.status(400).json({
+        message: 'Previous subtask must come before next subtask'
+      });
+    }
+
+    await task.moveSubTask(req.params.subTaskId, prevId, nextId);
+
+    res.json({
+      message: 'Subtask moved successfully',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Move subtask error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error moving subtask'
+    });
+  }
+};
+
+// @desc    Delete subtask
+// @route   DELETE /api/tasks/:id/subtasks/:subTaskId
+// @access  Private
+const deleteSubTask = async (req, res) => {
+  try {
+    const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found'
+      });
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+      return res.status(403).json({
+        message: VIEW_ONLY_MESSAGE
+      });
+    }
+
+    if (!task.subTasks.id(req.params.subTaskId)) {
+      return res.status(404).json({
+        message: 'Subtask not found'
+      });
+    }
+
+    await task.removeSubTask(req.params.subTaskId);
+
+    res.json({
+      message: 'Subtask deleted successfully',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Delete subtask error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or subtask ID'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error deleting subtask'
+    });
+  }
+};
+
+// @desc    Get tasks by category
+// @route   GET /api/tasks/category/:category
+// @access  Private
+const getTasksByCategory = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const tasks = await Task.findByCategory(await Task.accessFilter(req.user._id), category);
+
+    res.json({
+      category,
+      tasks,
+      count: tasks.length
+    });
+  } catch (error) {
+    console.error('Get tasks by category error:', error);
+    res.status(500).json({
+      message: 'Server error fetching tasks by category'
+    });
+  }
+};
+
+// @desc    Get overdue tasks
+// @route   GET /api/tasks/overdue
+// @access  Private
+const getOverdueTasks = async (req, res) => {
+  try {
+    const tasks = await Task.findOverdue(await Task.accessFilter(req.user._id));
+
+    res.json({
+      tasks,
+      count: tasks.length
+    });
+  } catch (error) {
+    console.error('Get overdue tasks error:', error);
+    res.status(500).json({
+      message: 'Server error fetching overdue tasks'
+    });
+  }
+};
+
+// @desc    Get tasks due within a date range for the calendar
+// @route   GET /api/tasks/calendar?from=:date&to=:date
+// @access  Private
+const getCalendarTasks = async (req, res) => {
+  try {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        message: 'A valid from and to date are required'
+      });
+    }
+
+    if (to - from > MAX_CALENDAR_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        message: `Date range cannot exceed ${MAX_CALENDAR_RANGE_DAYS} days`
+      });
+    }
+
+    const tasks = await Task.findDueBetween(await Task.accessFilter(req.user._id), from, to);
+
+    res.json({
+      tasks,
+      count: tasks.length
+    });
+  } catch (error) {
+    console.error('Get calendar tasks error:', error);
+    res.status(500).json({
+      message: 'Server error fetching calendar tasks'
     });
   }
 };
 
 module.exports = {
   getTasks,
+  getTaskStats,
   getTask,
   createTask,
   updateTask,
   deleteTask,
+  getTrash,
+  restoreTask,
+  permanentlyDeleteTask,
+  emptyTrash,
   toggleTask,
+  moveTask,
+  getAssignableUsers,
+  assignTask,
+  getDependencies,
+  addBlocker,
+  removeBlocker,
   addSubTask,
+  updateSubTask,
+  toggleSubTask,
+  reorderSubTasks,
+  moveSubTask,
+  deleteSubTask,
   getTasksByCategory,
-  getOverdueTasks
+  getOverdueTasks,
+  getCalendarTasks
 };
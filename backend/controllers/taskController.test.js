@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { getTasks } = require('./taskController');
+
+const { ObjectId } = mongoose.Types;
+
+const userId = new ObjectId();
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Runs getTasks with the model's database calls stubbed, returning the
+// response and the filter passed to findPage
+const listTasks = async (t, query) => {
+  t.mock.method(Task, 'accessFilter', async () => ({ $or: [{ userId }] }));
+  t.mock.method(Task, 'countDocuments', async () => 0);
+  t.mock.method(Task, 'getStats', async () => ({}));
+  t.mock.method(Task, 'withBlockedFlags', async tasks => tasks);
+  t.mock.method(Task, 'withAssignees', async tasks => tasks);
+  const findPage = t.mock.method(Task, 'findPage', async () => ({ tasks: [], nextCursor: null, hasMore: false }));
+  t.mock.method(console, 'error', () => {});
+
+  const res = mockResponse();
+  await getTasks({ query, user: { _id: userId } }, res);
+
+  const call = findPage.mock.calls[0];
+  return { res, filter: call && call.arguments[0] };
+};
+
+test('project filter is cast to an ObjectId', async (t) => {
+  const projectId = new ObjectId();
+  const { res, filter } = await listTasks(t, { project: projectId.toString() });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(filter.projectId instanceof ObjectId);
+  assert.ok(filter.projectId.equals(projectId));
+});
+
+test('project "none" lists tasks outside any project', async (t) => {
+  const { filter } = await listTasks(t, { project: 'none' });
+  assert.equal(filter.projectId, null);
+});
+
+test('invalid project IDs are rejected', async (t) => {
+  const { res, filter } = await listTasks(t, { project: 'not-an-id' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Invalid project ID');
+  assert.equal(filter, undefined);
+});
+
+test('assignee filter is cast to an ObjectId', async (t) => {
+  const assigneeId = new ObjectId();
+  const { res, filter } = await listTasks(t, { assignee: assigneeId.toString() });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(filter.assigneeId instanceof ObjectId);
+  assert.ok(filter.assigneeId.equals(assigneeId));
+});
+
+test('assignee "me" and "none" keep their meaning', async (t) => {
+  assert.equal((await listTasks(t, { assignee: 'me' })).filter.assigneeId, userId);
+
+  t.mock.restoreAll();
+  assert.equal((await listTasks(t, { assignee: 'none' })).filter.assigneeId, null);
+});
+
+test('invalid assignee IDs are rejected', async (t) => {
+  const { res, filter } = await listTasks(t, { assignee: 'someone' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Invalid assignee ID');
+  assert.equal(filter, undefined);
+});
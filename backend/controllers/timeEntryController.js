@@ -0,0 +1,370 @@
+const Task = require('../models/Task');
+const { roleAtLeast } = require('../models/Project');
+const { taskWithDetails, publishTask } = require('../services/taskEvents');
+const { formatRow } = require('../utils/csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_RANGE_DAYS = 366;
+const MAX_NOTE_LENGTH = 200;
+const VIEW_ONLY_MESSAGE = 'You only have view access to this task';
+
+// Parse an optional date from the request body; undefined when absent
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Load a task the user can edit, answering the request when they can't
+const findEditableTask = async (req, res) => {
+  const { task, role } = await Task.findAccessible(req.params.id, req.user._id);
+
+  if (!task) {
+    res.status(404).json({
+      message: 'Task not found'
+    });
+    return {};
+  }
+
+  if (!roleAtLeast(role, 'editor')) {
+    res.status(403).json({
+      message: VIEW_ONLY_MESSAGE
+    });
+    return {};
+  }
+
+  return { task, role };
+};
+
+// People edit and delete their own entries; owners of the task can fix anyone's
+const findEditableEntry = async (req, res) => {
+  const { task, role } = await findEditableTask(req, res);
+  if (!task) return {};
+
+  const entry = task.timeEntries.id(req.params.entryId);
+
+  if (!entry) {
+    res.status(404).json({
+      message: 'Time entry not found'
+    });
+    return {};
+  }
+
+  if (!entry.userId.equals(req.user._id) && role !== 'owner') {
+    res.status(403).json({
+      message: 'You can only change your own time entries'
+    });
+    return {};
+  }
+
+  return { task, entry };
+};
+
+const handleEntryError = (res, error, action) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task or time entry ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error ${action}`
+  });
+};
+
+// @desc    Get the task the user's timer is running on, if any
+// @route   GET /api/tasks/timer
+// @access  Private
+const getRunningTimer = async (req, res) => {
+  try {
+    const task = await Task.findRunningTimer(req.user._id);
+
+    res.json({
+      task: task ? await taskWithDetails(task) : null,
+      entry: task ? task.getRunningEntry(req.user._id) : null
+    });
+  } catch (error) {
+    console.error('Get running timer error:', error);
+    res.status(500).json({
+      message: 'Server error fetching timer'
+    });
+  }
+};
+
+// @desc    Start a timer on a task, stopping the user's timer on any other task
+// @route   POST /api/tasks/:id/timer/start
+// @access  Private
+const startTimer = async (req, res) => {
+  try {
+    const note = String(req.body.note ?? '').trim();
+
+    if (note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: [`Time entry note cannot exceed ${MAX_NOTE_LENGTH} characters`]
+      });
+    }
+
+    const { task: current } = await findEditableTask(req, res);
+    if (!current) return;
+
+    if (current.getRunningEntry(req.user._id)) {
+      return res.status(409).json({
+        message: 'Your timer is already running on this task'
+      });
+    }
+
+    // One running timer per user: starting here stops the other one
+    const { task, entry, stoppedTask } = await Task.startTimer(current._id, req.user._id, note);
+
+    if (!entry) {
+      return res.status(409).json({
+        message: 'Another timer was just started; please try again'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Timer started',
+      task: await publishTask(req, 'task:updated', task),
+      entry,
+      stoppedTask: stoppedTask && await publishTask(req, 'task:updated', stoppedTask)
+    });
+  } catch (error) {
+    console.error('Start timer error:', error);
+    handleEntryError(res, error, 'starting timer');
+  }
+};
+
+// @desc    Stop the user's timer on a task
+// @route   POST /api/tasks/:id/timer/stop
+// @access  Private
+const stopTimer = async (req, res) => {
+  try {
+    const { task: current } = await findEditableTask(req, res);
+    if (!current) return;
+
+    const entry = current.getRunningEntry(req.user._id);
+    const task = entry && await Task.stopTimer(current._id, req.user._id);
+
+    if (!task) {
+      return res.status(400).json({
+        message: 'No timer is running on this task'
+      });
+    }
+
+    res.json({
+      message: 'Timer stopped',
+      task: await publishTask(req, 'task:updated', task),
+      entry: task.timeEntries.id(entry._id)
+    });
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    handleEntryError(res, error, 'stopping timer');
+  }
+};
+
+// @desc    Log time on a task by hand
+// @route   POST /api/tasks/:id/time-entries
+// @access  Private
+const addTimeEntry = async (req, res) => {
+  try {
+    const start = parseDate(req.body.start);
+    const end = parseDate(req.body.end);
+
+    if (!start || !end) {
+      return res.status(400).json({
+        message: 'A valid start and end time are required'
+      });
+    }
+
+    if (end > new Date()) {
+      return res.status(400).json({
+        message: 'Time entries cannot be in the future'
+      });
+    }
+
+    const { task } = await findEditableTask(req, res);
+    if (!task) return;
+
+    task.timeEntries.push({
+      userId: req.user._id,
+      start,
+      end,
+      note: String(req.body.note ?? '').trim()
+    });
+    await task.save();
+
+    res.status(201).json({
+      message: 'Time entry added',
+      task: await publishTask(req, 'task:updated', task),
+      entry: task.timeEntries[task.timeEntries.length - 1]
+    });
+  } catch (error) {
+    console.error('Add time entry error:', error);
+    handleEntryError(res, error, 'adding time entry');
+  }
+};
+
+// @desc    Edit a time entry's start, end or note
+// @route   PATCH /api/tasks/:id/time-entries/:entryId
+// @access  Private
+const updateTimeEntry = async (req, res) => {
+  try {
+    const start = parseDate(req.body.start);
+    const end = parseDate(req.body.end);
+
+    if (start === null || end === null) {
+      return res.status(400).json({
+        message: 'Start and end must be valid dates'
+      });
+    }
+
+    if (start > new Date() || end > new Date()) {
+      return res.status(400).json({
+        message: 'Time entries cannot be in the future'
+      });
+    }
+
+    const { task, entry } = await findEditableEntry(req, res);
+    if (!entry) return;
+
+    // A running entry only gets an end by being stopped
+    if (!entry.end && end) {
+      return res.status(400).json({
+        message: 'Stop the timer before setting an end time'
+      });
+    }
+
+    // Checked here because saving only validates the paths that changed
+    const nextStart = start || entry.start;
+    const nextEnd = end || entry.end;
+    if (nextEnd && nextEnd <= nextStart) {
+      return res.status(400).json({
+        message: 'End time must be after the start time'
+      });
+    }
+
+    if (start) entry.start = start;
+    if (end) entry.end = end;
+    if (req.body.note !== undefined) entry.note = String(req.body.note).trim();
+    await task.save();
+
+    res.json({
+      message: 'Time entry updated',
+      task: await publishTask(req, 'task:updated', task),
+      entry
+    });
+  } catch (error) {
+    console.error('Update time entry error:', error);
+    handleEntryError(res, error, 'updating time entry');
+  }
+};
+
+// @desc    Delete a time entry
+// @route   DELETE /api/tasks/:id/time-entries/:entryId
+// @access  Private
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const { task, entry } = await findEditableEntry(req, res);
+    if (!entry) return;
+
+    if (!entry.end) {
+      return res.status(400).json({
+        message: 'Stop the timer before deleting its entry'
+      });
+    }
+
+    entry.deleteOne();
+    await task.save();
+
+    res.json({
+      message: 'Time entry deleted',
+      task: await publishTask(req, 'task:updated', task)
+    });
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    handleEntryError(res, error, 'deleting time entry');
+  }
+};
+
+// @desc    Get the time the user tracked per category, as JSON or CSV
+// @route   GET /api/tasks/reports/time?from=:date&to=:date&format=json|csv
+// @access  Private
+const getTimeReport = async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to - DEFAULT_REPORT_DAYS * DAY_MS);
+    const format = req.query.format ? String(req.query.format) : 'json';
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        message: 'A valid from and to date are required'
+      });
+    }
+
+    if (to - from > MAX_REPORT_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        message: `Date range cannot exceed ${MAX_REPORT_RANGE_DAYS} days`
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        message: 'Format must be one of: json, csv'
+      });
+    }
+
+    const report = await Task.getTimeReport(req.user._id, from, to);
+
+    if (format === 'json') {
+      return res.json({ from, to, ...report });
+    }
+
+    // One row per task so the file can be pivoted for invoices
+    const rows = [formatRow(['Category', 'Task', 'Minutes', 'Hours', 'Estimate (minutes)'])];
+    report.categories.forEach(category => {
+      category.tasks.forEach(task => {
+        rows.push(formatRow([
+          category.category,
+          task.title,
+          task.minutes,
+          (task.minutes / 60).toFixed(2),
+          task.estimateMinutes
+        ]));
+      });
+    });
+    rows.push(formatRow(['Total', '', report.totalMinutes, (report.totalMinutes / 60).toFixed(2), '']));
+
+    const filename = `taskify-time-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`;
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    // Byte order mark so spreadsheet apps read the file as UTF-8
+    res.send('\uFEFF' + rows.join(''));
+  } catch (error) {
+    console.error('Get time report error:', error);
+    res.status(500).json({
+      message: 'Server error building time report'
+    });
+  }
+};
+
+module.exports = {
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport
+};
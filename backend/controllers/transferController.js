@@ -0,0 +1,240 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Task = require('../models/Task');
+const Category = require('../models/Category');
+const { CATEGORY_COLORS } = require('../models/Category');
+const User = require('../models/User');
+const {
+  TRANSFER_FORMATS,
+  ImportError,
+  taskToRecord,
+  csvHeader,
+  recordToCsv,
+  readImportRows,
+  normalizeRow,
+  duplicateKey
+} = require('../utils/taskTransfer');
+const { readSourceRows } = require('../utils/importers');
+
+// Find or plan categories for row category names the user doesn't have yet.
+// Dry runs only work out the keys; real imports create the categories.
+const addMissingCategories = async (userId, rows, categories, { dryRun }) => {
+  const known = (name) => categories.some(category =>
+    category.key === name.toLowerCase() || category.name.toLowerCase() === name.toLowerCase());
+
+  const names = [...new Set(rows
+    .map(row => String(row.category ?? '').trim())
+    .filter(Boolean))]
+    .filter(name => !known(name));
+
+  const created = [];
+  for (const [index, name] of names.entries()) {
+    let key = await Category.generateKey(userId, name);
+    // Two names in one file can slugify to the same key
+    for (let suffix = 2; categories.some(category => category.key === key); suffix++) {
+      key = `${key.replace(/-\d+$/, '')}-${suffix}`;
+    }
+
+    const category = new Category({
+      userId,
+      key,
+      name: name.slice(0, 30),
+      color: CATEGORY_COLORS[index % CATEGORY_COLORS.length]
+    });
+    if (!dryRun) await category.save();
+
+    categories.push(category);
+    created.push(category);
+  }
+
+  return created;
+};
+
+const EXPORT_SELECT = 'title description category priority isDone dueDate completedAt tags subTasks recurrence createdAt';
+
+async function* csvExport(cursor) {
+  // Byte order mark so spreadsheet apps read the file as UTF-8
+  yield '\uFEFF' + csvHeader();
+  for await (const task of cursor) {
+    yield recordToCsv(taskToRecord(task));
+  }
+}
+
+async function* jsonExport(cursor) {
+  yield `{"version":1,"exportedAt":"${new Date().toISOString()}","tasks":[`;
+  let separator = '\n';
+  for await (const task of cursor) {
+    yield separator + JSON.stringify(taskToRecord(task));
+    separator = ',\n';
+  }
+  yield '\n]}\n';
+}
+
+// @desc    Export all tasks with subtasks and tags
+// @route   GET /api/tasks/export?format=csv|json
+// @access  Private
+const exportTasks = async (req, res) => {
+  try {
+    const format = req.query.format ? String(req.query.format) : 'json';
+
+    if (!TRANSFER_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: 'Format must be one of: ' + TRANSFER_FORMATS.join(', ')
+      });
+    }
+
+    const cursor = Task.find({ userId: req.user._id })
+      .select(EXPORT_SELECT)
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    const filename = `taskify-tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    // Streams row by row so large accounts are never held in memory
+    await pipeline(Readable.from(format === 'csv' ? csvExport(cursor) : jsonExport(cursor)), res);
+  } catch (error) {
+    console.error('Export tasks error:', error);
+
+    // The download has started; the pipeline already aborted the response
+    if (res.headersSent) return;
+
+    res.status(500).json({
+      message: 'Server error exporting tasks'
+    });
+  }
+};
+
+// @desc    Import tasks from a Taskify, Todoist or Trello export, or preview the import with dryRun
+// @route   POST /api/tasks/import
+// @access  Private
+const importTasks = async (req, res) => {
+  try {
+    const {
+      source = 'taskify',
+      format,
+      data,
+      mapping,
+      fileName,
+      groupAs,
+      dryRun = false,
+      skipDuplicates = true
+    } = req.body;
+    // Other apps' projects and lists become new categories by default
+    const createCategories = req.body.createCategories ?? source !== 'taskify';
+
+    const { columns, mapping: appliedMapping, rows, skipped = [] } = source === 'taskify'
+      ? readImportRows({ format, data, mapping })
+      : readSourceRows({ source, format, data, fileName, groupAs });
+
+    const [categories, user, existingTasks] = await Promise.all([
+      Category.findForUser(req.user._id),
+      User.findById(req.user._id).select('preferences'),
+      Task.find({ userId: req.user._id }).select('title dueDate').lean()
+    ]);
+
+    const preferredCategory = user?.preferences?.defaultCategory;
+    const defaultCategory = categories.some(category => category.key === preferredCategory)
+      ? preferredCategory
+      : categories[0].key;
+
+    const newCategories = createCategories
+      ? await addMissingCategories(req.user._id, rows, categories, { dryRun })
+      : [];
+    const plannedKeys = new Set(dryRun ? newCategories.map(category => category.key) : []);
+
+    const seen = new Set(existingTasks.map(duplicateKey));
+    const results = [];
+    // Task documents to save, by row index
+    const documents = [];
+
+    for (const [index, row] of rows.entries()) {
+      const { fields, errors, warnings } = normalizeRow(row, { categories, defaultCategory });
+      const task = new Task({ ...fields, userId: req.user._id });
+      // Backups and other apps' exports bring back overdue open tasks as they were
+      task.$locals.allowPastDueDate = true;
+      if (task.dueDate && !task.isDone && task.dueDate <= new Date()) {
+        warnings.push('Due date is in the past; the task will be imported as overdue');
+      }
+
+      // Reuse the schema's validators so imports follow the same rules as the API
+      // Categories planned by a dry run don't exist yet, so skip that check for them
+      try {
+        await task.validate({ pathsToSkip: plannedKeys.has(task.category) ? ['category'] : [] });
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        errors.push(...Object.values(error.errors).map(err => err.message));
+      }
+
+      const key = duplicateKey(task);
+      const duplicate = seen.has(key);
+      seen.add(key);
+
+      results.push({
+        row: index + 1,
+        task: {
+          title: task.title,
+          category: task.category,
+          priority: task.priority,
+          isDone: task.isDone,
+          dueDate: task.dueDate,
+          tags: task.tags,
+          subTasks: task.subTasks.length
+        },
+        errors,
+        warnings,
+        duplicate,
+        willImport: errors.length === 0 && !(duplicate && skipDuplicates)
+      });
+      documents.push(task);
+    }
+
+    const toImport = results.filter(result => result.willImport);
+
+    if (!dryRun) {
+      // New tasks are ranked above the current first one, so saving in
+      // reverse keeps the file order at the top of the manual order
+      for (const result of [...toImport].reverse()) {
+        await documents[result.row - 1].save();
+      }
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import preview' : `Imported ${toImport.length} tasks`,
+      dryRun: !!dryRun,
+      columns,
+      mapping: appliedMapping,
+      summary: {
+        total: results.length,
+        valid: results.filter(result => result.errors.length === 0).length,
+        invalid: results.filter(result => result.errors.length > 0).length,
+        duplicates: results.filter(result => result.duplicate).length,
+        imported: dryRun ? 0 : toImport.length
+      },
+      newCategories: newCategories.map(category => category.name),
+      skipped,
+      rows: results
+    });
+  } catch (error) {
+    console.error('Import tasks error:', error);
+
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error importing tasks'
+    });
+  }
+};
+
+module.exports = {
+  exportTasks,
+  importTasks
+};
@@ -0,0 +1,114 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const mailer = require('../services/mail');
+const mailConfig = require('../config/mail');
+const { renderDigestEmail } = require('../templates/digest');
+const { startOfZonedDay } = require('../utils/timezone');
+const { define } = require('./scheduler');
+
+const { DIGEST_JOB } = User;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+// Longer sections end with "...and N more"
+const MAX_TASKS_PER_SECTION = 20;
+
+const formatZonedDate = (date, timeZone, options) =>
+  new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(date);
+
+const toSection = (tasks, describe) => ({
+  tasks: tasks.slice(0, MAX_TASKS_PER_SECTION).map(task => ({
+    title: task.title,
+    priority: task.priority,
+    dueLabel: describe(task)
+  })),
+  total: tasks.length
+});
+
+// What is due in the coming period, what is overdue from before it, and what
+// was completed in the period before, in the user's timezone
+const buildDigestSections = async (user, now = new Date()) => {
+  const timeZone = user.preferences.timezone || 'UTC';
+  const periodMs = PERIOD_DAYS[user.preferences.digest.frequency] * DAY_MS;
+  const today = startOfZonedDay(now, timeZone);
+  const dueLabel = (task) => formatZonedDate(task.dueDate, timeZone, { month: 'short', day: 'numeric' });
+
+  const [overdue, dueSoon, completed] = await Promise.all([
+    Task.findOverdue({ userId: user._id }),
+    Task.findDueBetween({ userId: user._id }, today, new Date(today.getTime() + periodMs)),
+    Task.findCompletedBetween(user._id, new Date(today.getTime() - periodMs), today)
+  ]);
+
+  return {
+    // Tasks due earlier today are listed as due today rather than overdue
+    overdue: toSection(overdue.filter(task => task.dueDate < today), dueLabel),
+    dueSoon: toSection(dueSoon.filter(task => !task.isDone),
+      user.preferences.digest.frequency === 'weekly' ? dueLabel : () => null),
+    completed: toSection(completed, () => null)
+  };
+};
+
+const unsubscribeUrlFor = (user) =>
+  `${mailConfig.apiUrl}/digest/unsubscribe?token=${encodeURIComponent(user.getUnsubscribeToken())}`;
+
+const buildDigestEmail = async (user, now = new Date()) => {
+  const sections = await buildDigestSections(user, now);
+  if (Object.values(sections).every(section => section.total === 0)) return null;
+
+  const { frequency } = user.preferences.digest;
+  const unsubscribeUrl = unsubscribeUrlFor(user);
+
+  return {
+    to: user.email,
+    // Lets mail clients show their own unsubscribe button
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    },
+    ...renderDigestEmail({
+      user,
+      frequency,
+      dateLabel: formatZonedDate(now, user.preferences.timezone || 'UTC',
+        frequency === 'weekly' ? { month: 'short', day: 'numeric' } : { weekday: 'short', month: 'short', day: 'numeric' }),
+      sections,
+      appUrl: mailConfig.appUrl,
+      unsubscribeUrl
+    })
+  };
+};
+
+// Email one user's digest. Digests with nothing to report are skipped.
+const sendDigest = async ({ userId }) => {
+  const user = await User.findById(userId);
+  if (!user || !user.preferences.digest?.enabled) return;
+
+  // Queue the next digest first, so a failed send doesn't end the series
+  await user.scheduleDigest();
+
+  const email = await buildDigestEmail(user);
+  if (email) {
+    await mailer.send(email);
+  }
+};
+
+// Queue digests for users who turned them on but have no job yet
+const scheduleDigests = async () => {
+  try {
+    const count = await User.ensureDigestJobs();
+    if (count > 0) {
+      console.log(`📬 Scheduled digests for ${count} user(s)`);
+    }
+  } catch (error) {
+    console.error('Digest scheduling error:', error);
+  }
+};
+
+define(DIGEST_JOB, sendDigest);
+
+module.exports = {
+  buildDigestSections,
+  buildDigestEmail,
+  sendDigest,
+  scheduleDigests
+};
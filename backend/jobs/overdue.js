@@ -0,0 +1,25 @@
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const { define } = require('./scheduler');
+
+const { OVERDUE_JOB } = Task;
+
+// Let a task's owner and assignee know its due date has passed
+const notifyTaskOverdue = async ({ taskId }) => {
+  const task = await Task.findById(taskId);
+  // Jobs are rescheduled when the due date moves, but check in case one ran late
+  if (!task || task.isDone || !task.dueDate || task.dueDate > new Date()) return;
+
+  await Promise.all(task.getWatcherIds().map(userId => Notification.notify({
+    userId,
+    type: 'task-overdue',
+    taskId: task._id,
+    message: `"${task.title}" is now overdue`
+  })));
+};
+
+define(OVERDUE_JOB, notifyTaskOverdue);
+
+module.exports = {
+  notifyTaskOverdue
+};
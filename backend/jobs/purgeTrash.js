@@ -0,0 +1,35 @@
+const Task = require('../models/Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trashed tasks are permanently deleted after this many days
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+// How often the purge runs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const purgeExpiredTrash = async () => {
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+    const deletedCount = await Task.purge({ deletedAt: { $ne: null, $lt: cutoff } });
+
+    if (deletedCount > 0) {
+      console.log(`🗑️ Purged ${deletedCount} task(s) from trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+const startTrashPurge = () => {
+  purgeExpiredTrash();
+  const timer = setInterval(purgeExpiredTrash, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeExpiredTrash,
+  startTrashPurge
+};
@@ -0,0 +1,78 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const mailer = require('../services/mail');
+const mailConfig = require('../config/mail');
+const { renderReminderEmail } = require('../templates/reminder');
+const { define } = require('./scheduler');
+
+const { REMINDER_JOB } = Task;
+
+// "in 1 hour", "in 2 days", "15 minutes ago"; avoids guessing the reader's timezone
+const describeDueIn = (dueDate, now = new Date()) => {
+  const minutes = Math.round((dueDate - now) / (60 * 1000));
+  const units = [[24 * 60, 'day'], [60, 'hour'], [1, 'minute']];
+  const [size, unit] = units.find(([unitSize]) => Math.abs(minutes) >= unitSize) || units[2];
+  const count = Math.round(Math.abs(minutes) / size);
+  const amount = `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (count === 0) return 'now';
+  return minutes > 0 ? `in ${amount}` : `${amount} ago`;
+};
+
+const buildReminderEmail = (task, recipient) => ({
+  to: recipient.email,
+  ...renderReminderEmail({
+    task,
+    recipient,
+    dueIn: task.dueDate ? describeDueIn(task.dueDate) : null,
+    appUrl: mailConfig.appUrl
+  })
+});
+
+// Record that part of a reminder went out. Set directly so saving doesn't
+// re-run validation or reschedule the task's jobs.
+const markReminder = (task, reminder, field) => Task.updateOne(
+  { _id: task._id, 'reminders._id': reminder._id },
+  { $set: { [`reminders.$.${field}`]: new Date() } }
+);
+
+// Deliver one reminder to the task's assignee, or its owner when unassigned.
+// Each part is recorded as it succeeds, so a retry only sends what failed.
+const sendTaskReminder = async ({ taskId, reminderId }) => {
+  // Trashed tasks aren't found, so their leftover jobs do nothing
+  const task = await Task.findById(taskId);
+  if (!task || task.isDone) return;
+
+  const reminder = task.reminders.id(reminderId);
+  if (!reminder || reminder.sentAt) return;
+
+  const recipient = await User.findById(task.assigneeId || task.userId);
+  if (recipient && !reminder.emailedAt && recipient.preferences?.emailReminders !== false) {
+    await mailer.send(buildReminderEmail(task, recipient));
+    await markReminder(task, reminder, 'emailedAt');
+  }
+
+  if (recipient && !reminder.notifiedAt) {
+    const dueIn = task.dueDate ? describeDueIn(task.dueDate) : null;
+    await Notification.notify({
+      userId: recipient._id,
+      type: 'task-reminder',
+      taskId: task._id,
+      message: dueIn === null
+        ? `Reminder: "${task.title}"`
+        : `Reminder: "${task.title}" is due ${dueIn}`
+    });
+    await markReminder(task, reminder, 'notifiedAt');
+  }
+
+  await markReminder(task, reminder, 'sentAt');
+};
+
+define(REMINDER_JOB, sendTaskReminder);
+
+module.exports = {
+  describeDueIn,
+  buildReminderEmail,
+  sendTaskReminder
+};
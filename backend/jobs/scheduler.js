@@ -0,0 +1,78 @@
+const Job = require('../models/Job');
+
+// How often the scheduler looks for due jobs
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_SECONDS || '30', 10) * 1000;
+
+// Failed jobs are retried with exponential backoff, then marked failed
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000; // 1 minute
+
+// A job still running after this long is assumed lost with its process
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+
+// Job name -> async handler(data, job)
+const handlers = new Map();
+let isPolling = false;
+
+const define = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+const runJob = async (job) => {
+  try {
+    await handlers.get(job.name)(job.data, job);
+    job.status = 'done';
+    job.finishedAt = new Date();
+    job.lastError = null;
+  } catch (error) {
+    console.error(`Job ${job.name} error:`, error);
+    job.lastError = error.message;
+
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.status = 'failed';
+      job.finishedAt = new Date();
+    } else {
+      job.status = 'pending';
+      job.runAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1));
+    }
+  }
+
+  job.lockedAt = null;
+  await job.save();
+};
+
+// Run every due job, one at a time. Returns how many ran.
+const runDueJobs = async () => {
+  if (isPolling || handlers.size === 0) return 0;
+  isPolling = true;
+  let count = 0;
+
+  try {
+    await Job.releaseStale(new Date(Date.now() - LOCK_TIMEOUT_MS));
+
+    let job;
+    while ((job = await Job.claimNext([...handlers.keys()]))) {
+      await runJob(job);
+      count++;
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  } finally {
+    isPolling = false;
+  }
+
+  return count;
+};
+
+const startScheduler = () => {
+  runDueJobs();
+  const timer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  define,
+  runDueJobs,
+  startScheduler
+};
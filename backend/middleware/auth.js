@@ -75,4 +75,12 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
+// EventSource can't set headers, so event streams send the JWT as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+module.exports = { auth, optionalAuth, tokenFromQuery };
@@ -0,0 +1,44 @@
+const multer = require('multer');
+const attachmentConfig = require('../config/attachments');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentConfig.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!attachmentConfig.allowedMimeTypes.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Single file upload that turns multer errors into JSON responses
+const uploadSingle = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `File exceeds the ${Math.round(attachmentConfig.maxFileSize / (1024 * 1024))} MB limit`
+      });
+    }
+
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({
+        message: error.message
+      });
+    }
+
+    console.error('Upload error:', error);
+    res.status(400).json({
+      message: 'Invalid file upload'
+    });
+  });
+};
+
+module.exports = { uploadSingle };
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Colors the frontend has badge styles for
+const CATEGORY_COLORS = ['blue', 'purple', 'green', 'yellow', 'pink', 'lime', 'gray', 'red', 'orange', 'teal', 'indigo'];
+
+// Categories every new user starts with
+const DEFAULT_CATEGORIES = [
+  { key: 'work', name: 'Work', icon: '💼', color: 'blue' },
+  { key: 'personal', name: 'Personal', icon: '👤', color: 'purple' },
+  { key: 'health', name: 'Health', icon: '🏥', color: 'green' },
+  { key: 'finance', name: 'Finance', icon: '💰', color: 'yellow' },
+  { key: 'shopping', name: 'Shopping', icon: '🛒', color: 'pink' },
+  { key: 'education', name: 'Education', icon: '📚', color: 'lime' },
+  { key: 'other', name: 'Other', icon: '📝', color: 'gray' }
+];
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // Stable identifier stored on tasks; does not change when the category is renamed
+  key: {
+    type: String,
+    required: [true, 'Category key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Category key may only contain lowercase letters, numbers and dashes'],
+    maxlength: [40, 'Category key cannot exceed 40 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    minlength: [1, 'Category name cannot be empty'],
+    maxlength: [30, 'Category name cannot exceed 30 characters']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [8, 'Category icon cannot exceed 8 characters'],
+    default: '📁'
+  },
+  color: {
+    type: String,
+    enum: {
+      values: CATEGORY_COLORS,
+      message: 'Color must be one of: ' + CATEGORY_COLORS.join(', ')
+    },
+    default: 'gray'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+categorySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Static method to create the default categories for a user who has none
+categorySchema.statics.seedDefaults = async function(userId) {
+  const existing = await this.countDocuments({ userId });
+  if (existing > 0) return [];
+
+  try {
+    return await this.insertMany(
+      DEFAULT_CATEGORIES.map(category => ({ ...category, userId })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Another request seeded the same user first; the unique index kept one copy
+    if (error.code !== 11000) throw error;
+    return [];
+  }
+};
+
+// Static method to get a user's categories, seeding the defaults on first use
+categorySchema.statics.findForUser = async function(userId) {
+  await this.seedDefaults(userId);
+  return this.find({ userId }).sort({ createdAt: 1, _id: 1 });
+};
+
+// Static method to generate a key from a name that is unique for the user
+categorySchema.statics.generateKey = async function(userId, name) {
+  const base = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30) || 'category';
+
+  let key = base;
+  for (let suffix = 2; await this.exists({ userId, key }); suffix++) {
+    key = `${base}-${suffix}`;
+  }
+  return key;
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
+module.exports.CATEGORY_COLORS = CATEGORY_COLORS;
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
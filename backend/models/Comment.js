@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A message in a task's discussion. Replies point at the comment that
+// started the thread, so threads are one level deep.
+const commentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  // The author
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Basic markdown, rendered by the client
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Users @mentioned in the body
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+commentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Static method to get a task's comments as threads, oldest first, with
+// author and mention details
+commentSchema.statics.findThreads = async function(taskId) {
+  const comments = await this.find({ taskId })
+    .populate('userId', 'name email avatar')
+    .populate('mentions', 'name')
+    .sort({ createdAt: 1 });
+
+  const threads = [];
+  const byId = new Map();
+
+  comments.forEach(comment => {
+    const { userId: author, ...rest } = comment.toJSON();
+    const entry = { ...rest, author };
+
+    if (comment.parentId && byId.has(String(comment.parentId))) {
+      byId.get(String(comment.parentId)).replies.push(entry);
+    } else {
+      entry.replies = [];
+      byId.set(String(comment._id), entry);
+      threads.push(entry);
+    }
+  });
+
+  return threads;
+};
+
+// Static method to delete a comment together with its replies
+// Returns the number of comments removed
+commentSchema.statics.deleteThread = async function(comment) {
+  const result = await this.deleteMany({
+    $or: [{ _id: comment._id }, { parentId: comment._id }]
+  });
+  return result.deletedCount;
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
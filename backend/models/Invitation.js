@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { PROJECT_ROLES } = require('./Project');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined'];
+
+// An offer to join a project with a role, answered by the invited user
+const invitationSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviting user ID is required']
+  },
+  // The registered user being invited
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invited user ID is required'],
+    index: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: PROJECT_ROLES,
+      message: 'Role must be one of: ' + PROJECT_ROLES.join(', ')
+    },
+    default: 'editor'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: INVITATION_STATUSES,
+      message: 'Status must be one of: ' + INVITATION_STATUSES.join(', ')
+    },
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One open invitation per user and project
+invitationSchema.index(
+  { projectId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Instance method to accept or decline the invitation
+invitationSchema.methods.respond = function(accepted) {
+  this.status = accepted ? 'accepted' : 'declined';
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
+module.exports.INVITATION_STATUSES = INVITATION_STATUSES;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+// A unit of background work due at runAt, run by jobs/scheduler. Keeping jobs
+// in MongoDB means scheduled work survives restarts.
+const jobSchema = new mongoose.Schema({
+  // Handler to run (see scheduler.define)
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: [true, 'Run time is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: JOB_STATUSES,
+      message: 'Status must be one of: ' + JOB_STATUSES.join(', ')
+    },
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set while a scheduler instance is running the job
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, 'data.taskId': 1, status: 1 });
+jobSchema.index({ name: 1, 'data.userId': 1, status: 1 });
+// Finished jobs are kept for a week for troubleshooting
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Static method to schedule a job
+jobSchema.statics.schedule = function(name, runAt, data = {}) {
+  return this.create({ name, runAt, data });
+};
+
+// Static method to cancel pending jobs of one kind matching a data filter,
+// e.g. cancelPending('task-reminder', { taskId })
+jobSchema.statics.cancelPending = async function(name, dataFilter = {}) {
+  const filter = { name, status: 'pending' };
+  Object.entries(dataFilter).forEach(([key, value]) => {
+    filter[`data.${key}`] = value;
+  });
+  const result = await this.deleteMany(filter);
+  return result.deletedCount;
+};
+
+// Static method to claim the next due job, so only one scheduler runs it
+jobSchema.statics.claimNext = function(names, now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: now }, name: { $in: names } },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to put jobs left running by a crashed or stopped process
+// back in the queue
+jobSchema.statics.releaseStale = async function(olderThan) {
+  const result = await this.updateMany(
+    { status: 'running', lockedAt: { $lt: olderThan } },
+    { $set: { status: 'pending', lockedAt: null } }
+  );
+  return result.modifiedCount;
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
+module.exports.JOB_STATUSES = JOB_STATUSES;
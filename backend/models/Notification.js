@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const events = require('../services/events');
+
+const NOTIFICATION_TYPES = [
+  'task-assigned',
+  'comment-mention',
+  'task-reminder',
+  'task-overdue',
+  'task-updated',
+  'task-completed',
+  'task-deleted'
+];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Something that happened which a user should hear about
+const notificationSchema = new mongoose.Schema({
+  // The recipient
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: 'Notification type must be one of: ' + NOTIFICATION_TYPES.join(', ')
+    }
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    trim: true,
+    maxlength: [300, 'Notification message cannot exceed 300 characters']
+  },
+  // The user whose action caused the notification, if any
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Static method to notify a user, unless they caused the event themselves.
+// Open tabs of the recipient get it right away over the live event stream.
+notificationSchema.statics.notify = async function({ userId, actorId = null, ...fields }) {
+  if (actorId && String(actorId) === String(userId)) return null;
+
+  const notification = await this.create({ userId, actorId, ...fields });
+  const [withActor] = await this.withActors([notification.toJSON()]);
+  events.publish([userId], 'notification:created', withActor);
+  return notification;
+};
+
+// Static method to add the actor's name and avatar to notifications as `actor`
+notificationSchema.statics.withActors = async function(notifications) {
+  const actorIds = [...new Set(notifications.filter(item => item.actorId).map(item => String(item.actorId)))];
+  if (actorIds.length === 0) return notifications.map(item => ({ ...item, actor: null }));
+
+  const actors = await mongoose.model('User').find({ _id: { $in: actorIds } }).select('name avatar').lean();
+  const actorsById = new Map(actors.map(actor => [String(actor._id), actor]));
+  return notifications.map(item => ({
+    ...item,
+    actor: item.actorId ? actorsById.get(String(item.actorId)) || null : null
+  }));
+};
+
+// Static method to get a page of a user's notifications, newest first.
+// Pass the createdAt of the last one seen as `before` for the next page.
+notificationSchema.statics.findPage = async function(userId, { before, limit, unreadOnly = false } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = { userId };
+  if (unreadOnly) filter.readAt = null;
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  const notifications = await this.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  return {
+    notifications: await this.withActors(notifications.slice(0, pageSize)),
+    hasMore: notifications.length > pageSize
+  };
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = async function(userId) {
+  const result = await this.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
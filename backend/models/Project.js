@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const { CATEGORY_COLORS } = require('./Category');
+const User = require('./User');
+
+const PROJECT_STATUSES = ['active', 'on-hold', 'completed', 'archived'];
+
+// Collaborator roles, from least to most access
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+// Whether a role grants at least the access of minRole
+const roleAtLeast = (role, minRole) =>
+  PROJECT_ROLES.includes(role) && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user ID is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: PROJECT_ROLES,
+      message: 'Role must be one of: ' + PROJECT_ROLES.join(', ')
+    },
+    default: 'editor'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A named goal that groups tasks across categories, e.g. "Website relaunch".
+// userId is the creator, who is always an owner; members are the collaborators
+// it has been shared with.
+const projectSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    minlength: [1, 'Project name cannot be empty'],
+    maxlength: [60, 'Project name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  color: {
+    type: String,
+    enum: {
+      values: CATEGORY_COLORS,
+      message: 'Color must be one of: ' + CATEGORY_COLORS.join(', ')
+    },
+    default: 'blue'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PROJECT_STATUSES,
+      message: 'Status must be one of: ' + PROJECT_STATUSES.join(', ')
+    },
+    default: 'active'
+  },
+  targetDate: {
+    type: Date,
+    default: null
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+projectSchema.index({ userId: 1, name: 1 }, { unique: true });
+projectSchema.index({ 'members.userId': 1 });
+
+// Instance method to get a user's role in the project, or null without access
+projectSchema.methods.roleOf = function(userId) {
+  if (this.userId.equals(userId)) return 'owner';
+  const member = this.members.find(m => m.userId.equals(userId));
+  return member ? member.role : null;
+};
+
+// Static method to build a condition matching projects where the user has at least minRole
+projectSchema.statics.roleFilter = function(userId, minRole = 'viewer') {
+  const roles = PROJECT_ROLES.filter(role => roleAtLeast(role, minRole));
+  return {
+    $or: [
+      { userId },
+      { members: { $elemMatch: { userId, role: { $in: roles } } } }
+    ]
+  };
+};
+
+// Static method to get the ids of the projects a user has at least minRole in
+projectSchema.statics.accessibleIds = function(userId, minRole = 'viewer') {
+  return this.distinct('_id', this.roleFilter(userId, minRole));
+};
+
+// Static method to roll up task completion across all collaborators' tasks
+// Returns a Map of project id to { total, completed, open, overdue, percent }
+projectSchema.statics.getProgress = async function(projectIds) {
+  // Required lazily because the Task model validates project ids against this one
+  const Task = mongoose.model('Task');
+  const now = new Date();
+
+  const counts = await Task.aggregate([
+    { $match: { projectId: { $in: projectIds }, deletedAt: null } },
+    {
+      $group: {
+        _id: '$projectId',
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: ['$isDone', 1, 0] } },
+        overdue: {
+          $sum: {
+            $cond: [
+              { $and: [{ $not: ['$isDone'] }, { $ne: ['$dueDate', null] }, { $lt: ['$dueDate', now] }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const countById = new Map(counts.map(count => [count._id.toString(), count]));
+
+  return new Map(projectIds.map(id => {
+    const { total = 0, completed = 0, overdue = 0 } = countById.get(id.toString()) || {};
+    return [id.toString(), {
+      total,
+      completed,
+      open: total - completed,
+      overdue,
+      percent: total > 0 ? Math.round((completed / total) * 100) : 0
+    }];
+  }));
+};
+
+// Static method to get projects as JSON for a user: their progress rollups,
+// the user's role and the owner and members' names and avatars
+projectSchema.statics.withDetails = async function(userId, projects) {
+  const userIds = projects.flatMap(project => [project.userId, ...project.members.map(m => m.userId)]);
+  const [progress, users] = await Promise.all([
+    this.getProgress(projects.map(project => project._id)),
+    User.find({ _id: { $in: userIds } }).select('name email avatar')
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return projects.map(project => ({
+    ...project.toJSON(),
+    role: project.roleOf(userId),
+    owner: usersById.get(project.userId.toString()) || null,
+    members: project.members.map(member => ({
+      user: usersById.get(member.userId.toString()) || null,
+      role: member.role,
+      addedAt: member.addedAt
+    })),
+    progress: progress.get(project._id.toString())
+  }));
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
+module.exports.PROJECT_STATUSES = PROJECT_STATUSES;
+module.exports.PROJECT_ROLES = PROJECT_ROLES;
+module.exports.roleAtLeast = roleAtLeast;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { parseFilterQuery } = require('../utils/filterQuery');
+const { SORT_FIELDS } = require('./Task');
+
+// A named task list: a filter expression plus sort order, optionally pinned
+const savedViewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [50, 'View name cannot exceed 50 characters']
+  },
+  query: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator: function(value) {
+        try {
+          parseFilterQuery(value);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: function(props) {
+        try {
+          parseFilterQuery(props.value);
+        } catch (error) {
+          return error.message;
+        }
+        return 'Invalid filter';
+      }
+    }
+  },
+  sortBy: {
+    type: String,
+    enum: {
+      values: SORT_FIELDS,
+      message: 'Sort field must be one of: ' + SORT_FIELDS.join(', ')
+    },
+    default: 'createdAt'
+  },
+  sortOrder: {
+    type: String,
+    enum: {
+      values: ['asc', 'desc'],
+      message: 'Sort order must be asc or desc'
+    },
+    default: 'desc'
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+savedViewSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { CATEGORY_COLORS } = require('./Category');
+
+// Per-user settings for a tag. Tags themselves live on Task.tags as plain
+// strings; a Tag document only exists once the user customizes one.
+const tagSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    enum: {
+      values: CATEGORY_COLORS,
+      message: 'Color must be one of: ' + CATEGORY_COLORS.join(', ')
+    },
+    default: 'gray'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+tagSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
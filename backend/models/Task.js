@@ -1,4 +1,139 @@
 const mongoose = require('mongoose');
+const { RECURRENCE_FREQUENCIES, getNextDueDate } = require('../utils/recurrence');
+const storage = require('../services/storage');
+const Category = require('./Category');
+const Project = require('./Project');
+const User = require('./User');
+const Comment = require('./Comment');
+const Job = require('./Job');
+const Notification = require('./Notification');
+const {
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch
+} = require('../utils/pagination');
+const { rankBetween, rankSequence } = require('../utils/rank');
+
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'title', 'category', 'position'];
+const MAX_REMINDERS = 5;
+
+// Scheduler jobs that deliver a reminder and tell people a task went
+// overdue (see jobs/reminders and jobs/overdue)
+const REMINDER_JOB = 'task-reminder';
+const OVERDUE_JOB = 'task-overdue';
+
+// Update that frees a user's activeTimer slot
+const CLEARED_TIMER = { 'activeTimer.taskId': null, 'activeTimer.entryId': null };
+
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    required: [true, 'Recurrence frequency is required'],
+    enum: {
+      values: RECURRENCE_FREQUENCIES,
+      message: 'Recurrence frequency must be one of: ' + RECURRENCE_FREQUENCIES.join(', ')
+    }
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Recurrence interval must be at least 1'],
+    max: [365, 'Recurrence interval cannot exceed 365'],
+    default: 1
+  },
+  weekdays: [{
+    type: Number,
+    min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)']
+  }],
+  monthDay: {
+    type: Number,
+    min: [1, 'Day of month must be between 1 and 31'],
+    max: [31, 'Day of month must be between 1 and 31'],
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    min: [1, 'Occurrence count must be at least 1'],
+    default: null
+  },
+  // 1-based index of this task within its series
+  occurrence: {
+    type: Number,
+    default: 1
+  }
+}, { _id: false });
+
+// Either relative to the due date ("1 hour before") or at a fixed time
+const reminderSchema = new mongoose.Schema({
+  // Minutes before the due date; only fires while the task has one
+  offsetMinutes: {
+    type: Number,
+    min: [0, 'Reminder offset cannot be negative'],
+    max: [User.MAX_REMINDER_OFFSET, 'Reminders can be at most 4 weeks before the due date'],
+    default: null,
+    validate: {
+      validator: function(value) {
+        return (value === null) !== !this.remindAt;
+      },
+      message: 'A reminder needs either an offset before the due date or a time, not both'
+    }
+  },
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Parts already delivered, so a retried job doesn't repeat them
+  emailedAt: {
+    type: Date,
+    default: null
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// A stretch of time someone spent on the task, tracked with the timer or
+// added by hand
+const timeEntrySchema = new mongoose.Schema({
+  // Who tracked the time
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  start: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // null while the timer is running
+  end: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return value === null || value > this.start;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Time entry note cannot exceed 200 characters'],
+    default: ''
+  }
+});
 
 const taskSchema = new mongoose.Schema({
   userId: {
@@ -20,14 +155,51 @@ const taskSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot exceed 1000 characters'],
     default: ''
   },
+  // Key of one of the user's categories (see Category model)
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: {
-      values: ['work', 'personal', 'health', 'finance', 'shopping', 'education', 'other'],
-      message: 'Category must be one of: work, personal, health, finance, shopping, education, other'
-    },
-    default: 'personal'
+    trim: true,
+    lowercase: true,
+    default: 'personal',
+    validate: {
+      validator: async function(value) {
+        if (!this.isModified('category')) return true;
+
+        await Category.seedDefaults(this.userId);
+        return !!(await Category.exists({ userId: this.userId, key: value }));
+      },
+      message: props => `Category "${props.value}" does not exist`
+    }
+  },
+  // Optional project the task belongs to (see Project model); everyone the
+  // project is shared with can see the task
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    validate: {
+      // The task's owner needs edit access to the project
+      validator: async function(value) {
+        if (!value || !this.isModified('projectId')) return true;
+        return !!(await Project.exists({ _id: value, ...Project.roleFilter(this.userId, 'editor') }));
+      },
+      message: 'Project not found'
+    }
+  },
+  // User responsible for the task, separate from its owner: the owner
+  // themselves or an editor of the task's project
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    validate: {
+      validator: async function(value) {
+        if (!value || !this.isModified('assigneeId')) return true;
+        return this.canBeAssignedTo(value);
+      },
+      message: 'Tasks can only be assigned to their owner or an editor of their project'
+    }
   },
   isDone: {
     type: Boolean,
@@ -37,8 +209,8 @@ const taskSchema = new mongoose.Schema({
   priority: {
     type: String,
     enum: {
-      values: ['low', 'medium', 'high', 'urgent'],
-      message: 'Priority must be one of: low, medium, high, urgent'
+      values: PRIORITY_LEVELS,
+      message: 'Priority must be one of: ' + PRIORITY_LEVELS.join(', ')
     },
     default: 'medium'
   },
@@ -46,8 +218,12 @@ const taskSchema = new mongoose.Schema({
     type: Date,
     default: null,
     validate: {
+      // Completed tasks may keep a past due date, and only a changed due date
+      // is checked so overdue tasks can still be saved. Imports set
+      // $locals.allowPastDueDate to restore overdue tasks from a backup.
       validator: function(value) {
-        return !value || value > new Date();
+        return !value || this.isDone || !this.isModified('dueDate') ||
+          this.$locals.allowPastDueDate || value > new Date();
       },
       message: 'Due date must be in the future'
     }
@@ -72,16 +248,67 @@ const taskSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Lexicographic rank; the array is kept sorted by it
+    position: String,
     createdAt: {
       type: Date,
       default: Date.now
     }
   }],
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  reminders: {
+    type: [reminderSchema],
+    default: [],
+    validate: {
+      validator: reminders => reminders.length <= MAX_REMINDERS,
+      message: `A task can have at most ${MAX_REMINDERS} reminders`
+    }
+  },
+  // Set when the task is moved to the trash; null for active tasks
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Lexicographic rank for manual ordering (see utils/rank)
+  position: {
+    type: String,
+    default: null
+  },
+  // Tasks that must be completed before this one
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Set once the next occurrence of a recurring task has been created
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Planned effort, compared against the time tracked in timeEntries
+  estimateMinutes: {
+    type: Number,
+    min: [1, 'Estimate must be at least 1 minute'],
+    max: [100000, 'Estimate cannot exceed 100000 minutes'],
+    default: null
+  },
+  timeEntries: [timeEntrySchema],
+  // Kept in step with the Comment collection for cheap list views
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   attachments: [{
     name: String,
     url: String,
-    type: String,
+    // Wrapped so Mongoose doesn't read `type` as the element's schema type
+    type: { type: String },
     size: Number,
+    // Location in the storage backend, never sent to clients
+    storageKey: String,
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -92,6 +319,9 @@ const taskSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.__v;
+      if (ret.attachments) {
+        ret.attachments.forEach(attachment => delete attachment.storageKey);
+      }
       return ret;
     }
   }
@@ -103,6 +333,41 @@ taskSchema.index({ userId: 1, category: 1 });
 taskSchema.index({ userId: 1, priority: 1 });
 taskSchema.index({ userId: 1, dueDate: 1 });
 taskSchema.index({ userId: 1, createdAt: -1 });
+taskSchema.index({ userId: 1, deletedAt: 1 });
+taskSchema.index({ userId: 1, position: 1 });
+taskSchema.index({ userId: 1, blockedBy: 1 });
+taskSchema.index({ userId: 1, projectId: 1 });
+taskSchema.index({ assigneeId: 1, isDone: 1 });
+taskSchema.index({ 'timeEntries.userId': 1, 'timeEntries.end': 1 });
+taskSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'task_text_search', weights: { title: 10, tags: 5, description: 1 } }
+);
+
+// Exclude trashed tasks from every query unless it filters on deletedAt itself
+// or opts in with .withDeleted()
+taskSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], function(next) {
+  if (!this.getOptions().withDeleted &&
+      !Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+// Query helper to include trashed tasks
+taskSchema.query.withDeleted = function() {
+  return this.setOptions({ withDeleted: true });
+};
+
+// Pre-validate middleware to unassign the task when moving it to another
+// project (or out of one) takes it away from its assignee
+taskSchema.pre('validate', async function() {
+  if (this.isNew || !this.assigneeId || !this.isModified('projectId') || this.isModified('assigneeId')) return;
+
+  if (!(await this.canBeAssignedTo(this.assigneeId))) {
+    this.assigneeId = null;
+  }
+});
 
 // Pre-save middleware to set completedAt when task is marked as done
 taskSchema.pre('save', function(next) {
@@ -116,6 +381,48 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to rank new tasks at the top of the manual order
+// and to keep subtask positions in step with their array order
+taskSchema.pre('save', async function() {
+  if (this.isNew && !this.position) {
+    const first = await this.constructor.findOne({ userId: this.userId, position: { $ne: null } })
+      .withDeleted()
+      .sort({ position: 1 })
+      .select('position');
+    this.position = rankBetween(null, first ? first.position : null);
+  }
+
+  if (this.isModified('subTasks')) {
+    this.ensureSubTaskPositions();
+  }
+});
+
+// Pre-save middleware to note when the task's reminder and overdue jobs need
+// rescheduling. Moving the due date re-arms reminders that were relative to it.
+taskSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('dueDate')) {
+    this.reminders.forEach(reminder => {
+      if (reminder.offsetMinutes !== null) {
+        reminder.sentAt = null;
+        reminder.emailedAt = null;
+        reminder.notifiedAt = null;
+      }
+    });
+  }
+
+  this.$locals.schedulesChanged = this.isNew ||
+    ['dueDate', 'reminders', 'isDone', 'deletedAt'].some(path => this.isModified(path));
+  next();
+});
+
+// Post-save middleware to keep reminder and overdue jobs in step with the task
+taskSchema.post('save', async function() {
+  if (this.$locals.schedulesChanged) {
+    this.$locals.schedulesChanged = false;
+    await Promise.all([this.scheduleReminders(), this.scheduleOverdueNotice()]);
+  }
+});
+
 // Virtual for completion percentage of subtasks
 taskSchema.virtual('completionPercentage').get(function() {
   if (this.subTasks.length === 0) return 0;
@@ -124,31 +431,640 @@ taskSchema.virtual('completionPercentage').get(function() {
 });
 
 // Instance method to toggle task completion
-taskSchema.methods.toggleCompletion = function() {
+// Completing a recurring task also creates its next occurrence
+taskSchema.methods.toggleCompletion = async function() {
   this.isDone = !this.isDone;
+  await this.save();
+
+  if (this.isDone) {
+    await this.spawnNextOccurrence();
+  }
+
+  return this;
+};
+
+// Instance method to create the next occurrence of a recurring task
+taskSchema.methods.spawnNextOccurrence = async function() {
+  if (!this.recurrence || this.nextOccurrenceId) return null;
+
+  const nextDueDate = getNextDueDate(this.recurrence, this.dueDate, this.completedAt);
+  if (!nextDueDate) return null;
+
+  const Task = this.constructor;
+  const nextTask = new Task({
+    userId: this.userId,
+    title: this.title,
+    description: this.description,
+    category: this.category,
+    projectId: this.projectId,
+    assigneeId: this.assigneeId,
+    priority: this.priority,
+    estimateMinutes: this.estimateMinutes,
+    dueDate: nextDueDate,
+    tags: this.tags,
+    subTasks: this.subTasks.map(subTask => ({ title: subTask.title })),
+    // Fixed-time reminders belong to this occurrence only
+    reminders: this.reminders
+      .filter(reminder => reminder.offsetMinutes !== null)
+      .map(reminder => ({ offsetMinutes: reminder.offsetMinutes })),
+    recurrence: {
+      ...this.recurrence.toObject(),
+      // Later occurrences keep the day of month the series started on
+      monthDay: this.recurrence.monthDay ||
+        (this.recurrence.frequency === 'monthly' && this.dueDate ? this.dueDate.getDate() : null),
+      occurrence: (this.recurrence.occurrence || 1) + 1
+    }
+  });
+
+  await nextTask.save();
+
+  this.nextOccurrenceId = nextTask._id;
+  await this.save();
+
+  return nextTask;
+};
+
+// Instance method to get when a reminder is due, or null if it can't fire
+// (an offset reminder on a task without a due date)
+taskSchema.methods.getReminderTime = function(reminder) {
+  if (reminder.remindAt) return reminder.remindAt;
+  if (!this.dueDate || reminder.offsetMinutes === null) return null;
+  return new Date(this.dueDate.getTime() - reminder.offsetMinutes * 60 * 1000);
+};
+
+// Instance method to replace the task's pending reminder jobs with one per
+// unsent reminder still in the future. Done and trashed tasks get none.
+taskSchema.methods.scheduleReminders = async function() {
+  await Job.cancelPending(REMINDER_JOB, { taskId: this._id });
+  if (this.isDone || this.deletedAt) return 0;
+
+  const now = new Date();
+  const due = this.reminders
+    .filter(reminder => !reminder.sentAt)
+    .map(reminder => ({ reminder, runAt: this.getReminderTime(reminder) }))
+    .filter(({ runAt }) => runAt && runAt > now);
+
+  await Promise.all(due.map(({ reminder, runAt }) =>
+    Job.schedule(REMINDER_JOB, runAt, { taskId: this._id, reminderId: reminder._id })
+  ));
+  return due.length;
+};
+
+// Instance method to replace the task's pending overdue job with one at the
+// due date, while the task is open and the due date still ahead
+taskSchema.methods.scheduleOverdueNotice = async function() {
+  await Job.cancelPending(OVERDUE_JOB, { taskId: this._id });
+  if (this.isDone || this.deletedAt || !this.dueDate || this.dueDate <= new Date()) return null;
+
+  return Job.schedule(OVERDUE_JOB, this.dueDate, { taskId: this._id });
+};
+
+// Instance method to get the user's running time entry on this task, if any
+taskSchema.methods.getRunningEntry = function(userId) {
+  return this.timeEntries.find(entry => !entry.end && entry.userId.equals(userId)) || null;
+};
+
+// Instance method to stop everyone's running timers, e.g. when trashing
+taskSchema.methods.stopTimers = function(end = new Date()) {
+  this.timeEntries.forEach(entry => {
+    if (!entry.end) entry.end = end;
+  });
+};
+
+// Instance method to get who hears about changes to the task: its owner and
+// its assignee
+taskSchema.methods.getWatcherIds = function() {
+  return [...new Set([this.userId, this.assigneeId].filter(Boolean).map(String))];
+};
+
+// Instance method to get the blockers that are still open
+// (trashed blockers no longer block)
+taskSchema.methods.findOpenBlockers = function() {
+  if (this.blockedBy.length === 0) return Promise.resolve([]);
+
+  return this.constructor.find({
+    _id: { $in: this.blockedBy },
+    isDone: false
+  }).select('title');
+};
+
+// Instance method to get the open tasks that no longer have an open blocker,
+// e.g. right after this task was completed
+taskSchema.methods.findUnblockedTasks = async function() {
+  const dependents = await this.constructor.find({
+    blockedBy: this._id,
+    isDone: false
+  }).select('title blockedBy');
+
+  const flagged = await this.constructor.withBlockedFlags(dependents);
+  return flagged
+    .filter(task => !task.isBlocked)
+    .map(task => ({ _id: task._id, title: task.title }));
+};
+
+// Instance method to check whether a user may be assigned the task
+taskSchema.methods.canBeAssignedTo = async function(userId) {
+  if (this.userId.equals(userId)) return true;
+  if (!this.projectId) return false;
+  return !!(await Project.exists({ _id: this.projectId, ...Project.roleFilter(userId, 'editor') }));
+};
+
+// Instance method to get the IDs of everyone with at least minRole on the
+// task: its owner, plus the owner and members of its project
+taskSchema.methods.findCollaboratorIds = async function(minRole = 'viewer') {
+  const project = this.projectId ? await Project.findById(this.projectId) : null;
+  if (!project) return [this.userId];
+
+  const ids = [this.userId, project.userId, ...project.members
+    .filter(member => Project.roleAtLeast(member.role, minRole))
+    .map(member => member.userId)];
+  return [...new Map(ids.map(id => [String(id), id])).values()];
+};
+
+// Instance method to move the task to the trash
+taskSchema.methods.softDelete = async function() {
+  this.deletedAt = new Date();
+  this.stopTimers(this.deletedAt);
+  await this.save();
+  await User.updateMany({ 'activeTimer.taskId': this._id }, { $set: CLEARED_TIMER });
+  return this;
+};
+
+// Instance method to restore the task from the trash
+taskSchema.methods.restore = function() {
+  this.deletedAt = null;
   return this.save();
 };
 
 // Instance method to add subtask
 taskSchema.methods.addSubTask = function(title) {
-  this.subTasks.push({ title });
+  this.ensureSubTaskPositions();
+  const last = this.subTasks[this.subTasks.length - 1];
+  this.subTasks.push({ title, position: rankBetween(last ? last.position : null, null) });
   return this.save();
 };
 
+// Instance method to update a subtask's title and/or completion
+taskSchema.methods.updateSubTask = function(subTaskId, changes) {
+  const subTask = this.subTasks.id(subTaskId);
+  if (changes.title !== undefined) subTask.title = changes.title;
+  if (changes.isDone !== undefined) subTask.isDone = changes.isDone;
+  return this.save();
+};
+
+// Instance method to remove a subtask
+taskSchema.methods.removeSubTask = function(subTaskId) {
+  this.subTasks.pull({ _id: subTaskId });
+  return this.save();
+};
+
+// Instance method to reorder subtasks to match a list of subtask ids
+taskSchema.methods.reorderSubTasks = function(orderedIds) {
+  const byId = new Map(this.subTasks.map(subTask => [subTask._id.toString(), subTask]));
+  const positions = rankSequence(orderedIds.length);
+  this.subTasks = orderedIds.map((id, index) => ({
+    ...byId.get(id.toString()).toObject(),
+    position: positions[index]
+  }));
+  return this.save();
+};
+
+// Instance method to move one subtask between two neighbours (null for either end)
+taskSchema.methods.moveSubTask = function(subTaskId, prevId, nextId) {
+  this.ensureSubTaskPositions();
+
+  const subTask = this.subTasks.id(subTaskId);
+  const prev = prevId ? this.subTasks.id(prevId) : null;
+  const next = nextId ? this.subTasks.id(nextId) : null;
+
+  subTask.position = rankBetween(prev ? prev.position : null, next ? next.position : null);
+  this.subTasks.sort((a, b) => (a.position < b.position ? -1 : 1));
+  return this.save();
+};
+
+// Instance method to give subtasks positions matching their array order
+// when any are missing (new subtasks or ones created before manual ordering)
+taskSchema.methods.ensureSubTaskPositions = function() {
+  if (this.subTasks.every(subTask => subTask.position)) return;
+
+  const positions = rankSequence(this.subTasks.length);
+  this.subTasks.forEach((subTask, index) => {
+    subTask.position = positions[index];
+  });
+};
+
+// Instance method to check whether every subtask is done
+taskSchema.methods.allSubTasksDone = function() {
+  return this.subTasks.length > 0 && this.subTasks.every(subTask => subTask.isDone);
+};
+
+// Static method to rank tasks created before manual ordering existed.
+// Unranked tasks go first (newest first), followed by the ranked ones in order.
+taskSchema.statics.ensurePositions = async function(userId) {
+  const unranked = await this.exists({ userId, position: null }).withDeleted();
+  if (!unranked) return;
+
+  const tasks = await this.find({ userId })
+    .withDeleted()
+    .sort({ position: 1, createdAt: -1 })
+    .select('_id');
+  const positions = rankSequence(tasks.length);
+
+  await this.bulkWrite(tasks.map((task, index) => ({
+    updateOne: {
+      filter: { _id: task._id },
+      update: { $set: { position: positions[index] } }
+    }
+  })));
+};
+
+// Static method to get the total size of a user's attachments in bytes
+taskSchema.statics.getAttachmentUsage = async function(userId) {
+  const result = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$attachments' },
+    { $group: { _id: null, total: { $sum: '$attachments.size' } } }
+  ]);
+  return result[0]?.total || 0;
+};
+
+// Static method to permanently delete tasks along with their attachment files
+taskSchema.statics.purge = async function(filter) {
+  const tasks = await this.find(filter).select('_id attachments.storageKey');
+
+  await Promise.all(tasks.flatMap(task => task.attachments
+    .filter(attachment => attachment.storageKey)
+    .map(attachment => storage.remove(attachment.storageKey))));
+
+  const ids = tasks.map(task => task._id);
+  const result = await this.deleteMany({ _id: { $in: ids } });
+  await Comment.deleteMany({ taskId: { $in: ids } });
+  await Notification.deleteMany({ taskId: { $in: ids } });
+
+  // Drop dependency links to the deleted tasks
+  await this.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } }).withDeleted();
+
+  return result.deletedCount;
+};
+
+// Static method to fetch one page of active tasks with keyset pagination.
+// Priority sorts by level rather than alphabetically, and text searches
+// (filters containing $text) are ranked by relevance.
+taskSchema.statics.findPage = async function(filter, { sortBy, sortOrder, cursor, limit, byRelevance = false } = {}) {
+  const pageSize = parseLimit(limit);
+
+  let sortField = SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+  if (byRelevance) sortField = 'score';
+  if (sortField === 'priority') sortField = 'priorityRank';
+
+  // Relevance is best first; manual order always reads top to bottom
+  let direction = sortOrder === 'asc' ? 1 : -1;
+  if (byRelevance) direction = -1;
+  if (sortField === 'position') direction = 1;
+
+  const pipeline = [
+    { $match: { ...filter, deletedAt: null } },
+    {
+      $addFields: byRelevance
+        ? { score: { $meta: 'textScore' } }
+        : { priorityRank: { $indexOfArray: [PRIORITY_LEVELS, '$priority'] } }
+    }
+  ];
+
+  if (cursor) {
+    pipeline.push({ $match: buildCursorMatch(sortField, direction, decodeCursor(cursor)) });
+  }
+
+  pipeline.push(
+    { $sort: { [sortField]: direction, _id: direction } },
+    // One extra document tells us whether another page exists
+    { $limit: pageSize + 1 },
+    { $project: { 'attachments.storageKey': 0, __v: 0 } }
+  );
+
+  const tasks = await this.aggregate(pipeline);
+  const hasMore = tasks.length > pageSize;
+  if (hasMore) tasks.pop();
+
+  const last = tasks[tasks.length - 1];
+  const nextCursor = hasMore ? encodeCursor(last[sortField], last._id) : null;
+
+  tasks.forEach(task => {
+    delete task.priorityRank;
+  });
+
+  return { tasks, nextCursor, hasMore };
+};
+
+// Static method to summarize a user's active tasks
+taskSchema.statics.getStats = async function(userId) {
+  const [stats] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), deletedAt: null } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$isDone', true] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$isDone', false] }, 1, 0] } },
+        overdue: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$isDone', false] },
+                  { $lt: ['$dueDate', new Date()] },
+                  { $ne: ['$dueDate', null] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $project: { _id: 0 } }
+  ]);
+
+  return stats || { total: 0, completed: 0, pending: 0, overdue: 0 };
+};
+
+// Static method to count how many active tasks use each of a user's tags
+taskSchema.statics.getTagCounts = function(userId) {
+  return this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), deletedAt: null } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+};
+
+// Static method to replace tags across all of a user's tasks (including trashed ones).
+// Tasks that already have the target tag just lose the source tags.
+taskSchema.statics.replaceTags = async function(userId, sourceTags, targetTag) {
+  const filter = { userId, tags: { $in: sourceTags } };
+
+  if (targetTag) {
+    await this.updateMany(filter, { $addToSet: { tags: targetTag } }).withDeleted();
+  }
+  const result = await this.updateMany(
+    filter,
+    { $pull: { tags: { $in: sourceTags.filter(tag => tag !== targetTag) } } }
+  ).withDeleted();
+
+  return result.modifiedCount;
+};
+
+// The next three statics take an ownership filter: { userId } for the user's
+// own tasks, or Task.accessFilter(userId) for every task they can see
+
 // Static method to get tasks by category
-taskSchema.statics.findByCategory = function(userId, category) {
-  return this.find({ userId, category }).sort({ createdAt: -1 });
+taskSchema.statics.findByCategory = function(filter, category) {
+  return this.find({ ...filter, category }).sort({ createdAt: -1 });
 };
 
 // Static method to get overdue tasks
-taskSchema.statics.findOverdue = function(userId) {
+taskSchema.statics.findOverdue = function(filter) {
   return this.find({
-    userId,
+    ...filter,
     isDone: false,
     dueDate: { $lt: new Date() }
   }).sort({ dueDate: 1 });
 };
 
+// Static method to get tasks due within [from, to)
+taskSchema.statics.findDueBetween = function(filter, from, to) {
+  return this.find({
+    ...filter,
+    dueDate: { $gte: from, $lt: to }
+  })
+    .select('-attachments.storageKey')
+    .sort({ dueDate: 1 });
+};
+
+// Static method to find the task the user has a timer running on
+taskSchema.statics.findRunningTimer = function(userId) {
+  return this.findOne({ timeEntries: { $elemMatch: { userId, end: null } } });
+};
+
+// Static method to stop the user's timer on a task with a targeted update, so
+// other changes to the task (and its validators) can't get in the way.
+// Returns the updated task, or null when no timer of theirs was running on it.
+taskSchema.statics.stopTimer = async function(taskId, userId, end = new Date()) {
+  const task = await this.findOneAndUpdate(
+    { _id: taskId, timeEntries: { $elemMatch: { userId, end: null } } },
+    { $set: { 'timeEntries.$.end': end } },
+    { new: true }
+  );
+
+  await User.updateOne({ _id: userId, 'activeTimer.taskId': taskId }, { $set: CLEARED_TIMER });
+  return task;
+};
+
+// Static method to start a timer for the user, stopping the one they have
+// running elsewhere. Claiming the user's activeTimer slot is a conditional
+// update, so of two concurrent starts only one wins; the other gets
+// { entry: null }. Returns { task, entry, stoppedTask }.
+taskSchema.statics.startTimer = async function(taskId, userId, note = '') {
+  const { activeTimer } = await User.findById(userId).select('activeTimer').lean() || {};
+  // Timers started before the slot existed are only found through their entry
+  const runningTaskId = activeTimer?.taskId || (await this.findRunningTimer(userId).select('_id'))?._id;
+  const stoppedTask = runningTaskId ? await this.stopTimer(runningTaskId, userId) : null;
+
+  const entry = { _id: new mongoose.Types.ObjectId(), userId, start: new Date(), end: null, note };
+  const claim = await User.updateOne(
+    { _id: userId, 'activeTimer.taskId': null },
+    { $set: { 'activeTimer.taskId': taskId, 'activeTimer.entryId': entry._id } }
+  );
+  if (claim.modifiedCount === 0) return { task: null, entry: null, stoppedTask };
+
+  const task = await this.findOneAndUpdate(
+    { _id: taskId },
+    { $push: { timeEntries: entry } },
+    { new: true }
+  );
+
+  // The task was trashed in the meantime
+  if (!task) {
+    await User.updateOne({ _id: userId, 'activeTimer.entryId': entry._id }, { $set: CLEARED_TIMER });
+    return { task: null, entry: null, stoppedTask };
+  }
+
+  return { task, entry: task.timeEntries.id(entry._id), stoppedTask };
+};
+
+// Static method to total the time a user tracked within [from, to) per
+// category, with the tasks behind each total. Entries count by start time.
+taskSchema.statics.getTimeReport = async function(userId, from, to) {
+  const trackedBy = new mongoose.Types.ObjectId(userId);
+  const entryFilter = { userId: trackedBy, end: { $ne: null }, start: { $gte: from, $lt: to } };
+
+  const categories = await this.aggregate([
+    { $match: { deletedAt: null, timeEntries: { $elemMatch: entryFilter } } },
+    { $unwind: '$timeEntries' },
+    {
+      $match: Object.fromEntries(Object.entries(entryFilter)
+        .map(([key, value]) => [`timeEntries.${key}`, value]))
+    },
+    {
+      $group: {
+        _id: '$_id',
+        title: { $first: '$title' },
+        category: { $first: '$category' },
+        estimateMinutes: { $first: '$estimateMinutes' },
+        minutes: { $sum: { $divide: [{ $subtract: ['$timeEntries.end', '$timeEntries.start'] }, 60 * 1000] } },
+        entries: { $sum: 1 }
+      }
+    },
+    { $sort: { minutes: -1 } },
+    {
+      $group: {
+        _id: '$category',
+        minutes: { $sum: '$minutes' },
+        estimateMinutes: { $sum: { $ifNull: ['$estimateMinutes', 0] } },
+        entries: { $sum: '$entries' },
+        tasks: {
+          $push: {
+            _id: '$_id',
+            title: '$title',
+            minutes: { $round: ['$minutes', 0] },
+            estimateMinutes: '$estimateMinutes'
+          }
+        }
+      }
+    },
+    { $sort: { minutes: -1 } },
+    {
+      $project: {
+        _id: 0,
+        category: '$_id',
+        minutes: { $round: ['$minutes', 0] },
+        estimateMinutes: 1,
+        entries: 1,
+        tasks: 1
+      }
+    }
+  ]);
+
+  return {
+    categories,
+    totalMinutes: categories.reduce((sum, category) => sum + category.minutes, 0)
+  };
+};
+
+// Static method to get tasks completed within [from, to)
+taskSchema.statics.findCompletedBetween = function(userId, from, to) {
+  return this.find({
+    userId,
+    isDone: true,
+    completedAt: { $gte: from, $lt: to }
+  }).sort({ completedAt: 1 });
+};
+
+// Static method to get the open, dated tasks published in the calendar feed
+taskSchema.statics.findForFeed = function(userId) {
+  return this.find({
+    userId,
+    isDone: false,
+    dueDate: { $ne: null }
+  })
+    .select('title description priority category tags dueDate createdAt updatedAt')
+    .sort({ dueDate: 1 })
+    .lean();
+};
+
+// Static method to check whether making blockerId block taskId would close a
+// loop, i.e. taskId is already (transitively) blocking blockerId
+taskSchema.statics.createsDependencyCycle = async function(taskId, blockerId) {
+  const target = String(taskId);
+  const visited = new Set();
+  let frontier = [String(blockerId)];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => visited.add(id));
+
+    // Not scoped to one user: chains can run through shared projects
+    const tasks = await this.find({ _id: { $in: frontier } })
+      .withDeleted()
+      .select('blockedBy')
+      .lean();
+
+    frontier = [...new Set(tasks.flatMap(task => task.blockedBy.map(String)))]
+      .filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+// Static method to add isBlocked to tasks (documents or plain objects):
+// true while any of their blockers is still open
+taskSchema.statics.withBlockedFlags = async function(tasks) {
+  const blockerIds = [...new Set(tasks.flatMap(task => (task.blockedBy || []).map(String)))];
+  const openBlockers = blockerIds.length > 0
+    ? await this.find({ _id: { $in: blockerIds }, isDone: false }).select('_id').lean()
+    : [];
+  const openIds = new Set(openBlockers.map(task => String(task._id)));
+
+  return tasks.map(task => {
+    const plain = typeof task.toJSON === 'function' ? task.toJSON() : task;
+    return {
+      ...plain,
+      isBlocked: (plain.blockedBy || []).some(id => openIds.has(String(id)))
+    };
+  });
+};
+
+// Static method to add the assignee's name, email and avatar to tasks
+// (plain objects, e.g. from withBlockedFlags)
+taskSchema.statics.withAssignees = async function(tasks) {
+  const assigneeIds = [...new Set(tasks.filter(task => task.assigneeId).map(task => String(task.assigneeId)))];
+  const users = assigneeIds.length > 0
+    ? await User.find({ _id: { $in: assigneeIds } }).select('name email avatar').lean()
+    : [];
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+
+  return tasks.map(task => ({
+    ...task,
+    assignee: task.assigneeId ? usersById.get(String(task.assigneeId)) || null : null
+  }));
+};
+
+// Static method to unassign matching tasks (including trashed ones) from
+// anyone but their owner, e.g. when the assignee loses access to the project
+taskSchema.statics.unassignCollaborators = async function(filter) {
+  const result = await this.updateMany(
+    // Guarded inside $and so the caller's own assigneeId condition still applies
+    { ...filter, $and: [{ assigneeId: { $ne: null } }], $expr: { $ne: ['$assigneeId', '$userId'] } },
+    { $set: { assigneeId: null } }
+  ).withDeleted();
+  return result.modifiedCount;
+};
+
+// Static method to build a condition matching the tasks a user can see:
+// their own tasks and every task in a project shared with them
+taskSchema.statics.accessFilter = async function(userId) {
+  const projectIds = await Project.accessibleIds(userId);
+  return projectIds.length > 0
+    ? { $or: [{ userId }, { projectId: { $in: projectIds } }] }
+    : { userId };
+};
+
+// Static method to load a task with the user's role on it. The task's owner
+// has the owner role; others get their role in the task's project.
+// Returns { task: null } when the user cannot see the task.
+taskSchema.statics.findAccessible = async function(taskId, userId) {
+  const task = await this.findById(taskId);
+  if (!task) return { task: null, role: null };
+
+  if (task.userId.equals(userId)) return { task, role: 'owner' };
+
+  const project = task.projectId ? await Project.findById(task.projectId) : null;
+  const role = project ? project.roleOf(userId) : null;
+
+  return role ? { task, role } : { task: null, role: null };
+};
+
 // Static method to get tasks by priority
 taskSchema.statics.findByPriority = function(userId, priority) {
   return this.find({ userId, priority, isDone: false }).sort({ createdAt: -1 });
@@ -157,3 +1073,8 @@ taskSchema.statics.findByPriority = function(userId, priority) {
 const Task = mongoose.model('Task', taskSchema);
 
 module.exports = Task;
+module.exports.PRIORITY_LEVELS = PRIORITY_LEVELS;
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.MAX_REMINDERS = MAX_REMINDERS;
+module.exports.REMINDER_JOB = REMINDER_JOB;
+module.exports.OVERDUE_JOB = OVERDUE_JOB;
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('./Task');
+
+const { ObjectId } = mongoose.Types;
+
+test('findPage matches project and assignee IDs as given, leaving out trashed tasks', async (t) => {
+  const aggregate = t.mock.method(Task, 'aggregate', async () => []);
+  const projectId = new ObjectId();
+  const assigneeId = new ObjectId();
+
+  const page = await Task.findPage({ projectId, assigneeId });
+
+  const [{ $match: match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(match, { projectId, assigneeId, deletedAt: null });
+  assert.deepEqual(page, { tasks: [], nextCursor: null, hasMore: false });
+});
+
+test('findPage matches tasks without a project or assignee', async (t) => {
+  const aggregate = t.mock.method(Task, 'aggregate', async () => []);
+
+  await Task.findPage({ projectId: null, assigneeId: null });
+
+  const [{ $match: match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(match, { projectId: null, assigneeId: null, deletedAt: null });
+});
+
+const mockUpdateMany = (t, modifiedCount) => t.mock.method(Task, 'updateMany', () => ({
+  withDeleted: async () => ({ modifiedCount })
+}));
+
+test('unassignCollaborators only unassigns the given assignee', async (t) => {
+  const updateMany = mockUpdateMany(t, 2);
+  const projectId = new ObjectId();
+  const assigneeId = new ObjectId();
+
+  const count = await Task.unassignCollaborators({ projectId, assigneeId });
+
+  const [query, update] = updateMany.mock.calls[0].arguments;
+  assert.equal(count, 2);
+  assert.equal(query.projectId, projectId);
+  assert.equal(query.assigneeId, assigneeId);
+  assert.deepEqual(query.$and, [{ assigneeId: { $ne: null } }]);
+  assert.deepEqual(query.$expr, { $ne: ['$assigneeId', '$userId'] });
+  assert.deepEqual(update, { $set: { assigneeId: null } });
+});
+
+test('unassignCollaborators without an assignee unassigns every collaborator', async (t) => {
+  const updateMany = mockUpdateMany(t, 0);
+  const projectId = new ObjectId();
+
+  await Task.unassignCollaborators({ projectId });
+
+  const [query] = updateMany.mock.calls[0].arguments;
+  assert.equal(query.assigneeId, undefined);
+  assert.deepEqual(query.$and, [{ assigneeId: { $ne: null } }]);
+});
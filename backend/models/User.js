@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Job = require('./Job');
+const { isValidTimeZone, getNextZonedTime } = require('../utils/timezone');
+
+// Reminder offsets are minutes before a task's due date
+const MAX_REMINDER_OFFSET = 4 * 7 * 24 * 60; // 4 weeks
+const MAX_DEFAULT_REMINDERS = 5;
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+// Scheduler job that emails a user's digest (see jobs/digest)
+const DIGEST_JOB = 'send-digest';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -38,6 +50,79 @@ const userSchema = new mongoose.Schema({
     defaultCategory: {
       type: String,
       default: 'personal'
+    },
+    // Reminders added to new tasks that have a due date, e.g. [60] for
+    // "1 hour before"
+    reminderOffsets: {
+      type: [{
+        type: Number,
+        min: [0, 'Reminder offset cannot be negative'],
+        max: [MAX_REMINDER_OFFSET, 'Reminders can be at most 4 weeks before the due date']
+      }],
+      default: [],
+      validate: {
+        validator: offsets => offsets.length <= MAX_DEFAULT_REMINDERS,
+        message: `You can have at most ${MAX_DEFAULT_REMINDERS} default reminders`
+      }
+    },
+    emailReminders: {
+      type: Boolean,
+      default: true
+    },
+    // IANA timezone, e.g. "Europe/Berlin"; null means UTC
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: value => value === null || isValidTimeZone(value),
+        message: props => `"${props.value}" is not a valid timezone`
+      }
+    },
+    // Email summary of due, overdue and completed tasks
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      frequency: {
+        type: String,
+        enum: {
+          values: DIGEST_FREQUENCIES,
+          message: 'Digest frequency must be one of: ' + DIGEST_FREQUENCIES.join(', ')
+        },
+        default: 'daily'
+      },
+      // Local time in the user's timezone, "HH:MM"
+      sendTime: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Digest time must be in HH:MM format'],
+        default: '08:00'
+      },
+      // Day weekly digests go out, 0 (Sunday) to 6 (Saturday)
+      weekday: {
+        type: Number,
+        min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+        default: 1
+      }
+    }
+  },
+  // Secret for the calendar subscription URL; unset while the feed is off
+  // (left out rather than null so the sparse unique index skips it)
+  feedToken: {
+    type: String
+  },
+  // The user's running timer. Claimed with a conditional update so a user
+  // never has two running at once (see Task.startTimer)
+  activeTimer: {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null
+    },
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
     }
   },
   isVerified: {
@@ -53,6 +138,7 @@ const userSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.passwordHash;
+      delete ret.feedToken;
       delete ret.__v;
       return ret;
     }
@@ -61,6 +147,7 @@ const userSchema = new mongoose.Schema({
 
 // Index for email uniqueness and performance
 userSchema.index({ email: 1 });
+userSchema.index({ feedToken: 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -77,6 +164,20 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to note when the digest job needs rescheduling
+userSchema.pre('save', function(next) {
+  this.$locals.digestChanged = this.isModified('preferences.digest') || this.isModified('preferences.timezone');
+  next();
+});
+
+// Post-save middleware to keep the digest job in step with the preferences
+userSchema.post('save', async function() {
+  if (this.$locals.digestChanged) {
+    this.$locals.digestChanged = false;
+    await this.scheduleDigest();
+  }
+});
+
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.passwordHash);
@@ -88,11 +189,84 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Instance method to issue a new calendar feed token, invalidating the old URL
+userSchema.methods.regenerateFeedToken = function() {
+  this.feedToken = crypto.randomBytes(24).toString('hex');
+  return this.save();
+};
+
+// Instance method to turn the calendar feed off
+userSchema.methods.revokeFeedToken = function() {
+  this.feedToken = undefined;
+  return this.save();
+};
+
+// Instance method to get when the next digest is due, or null when it's off
+userSchema.methods.getNextDigestTime = function(after = new Date()) {
+  const { digest, timezone } = this.preferences;
+  if (!digest?.enabled) return null;
+
+  const weekday = digest.frequency === 'weekly' ? digest.weekday : null;
+  return getNextZonedTime(digest.sendTime, timezone || 'UTC', after, weekday);
+};
+
+// Instance method to replace the user's pending digest job with the next one
+userSchema.methods.scheduleDigest = async function(after = new Date()) {
+  await Job.cancelPending(DIGEST_JOB, { userId: this._id });
+
+  const runAt = this.getNextDigestTime(after);
+  if (runAt) {
+    await Job.schedule(DIGEST_JOB, runAt, { userId: this._id });
+  }
+  return runAt;
+};
+
+// Instance method to get the token for the digest's unsubscribe link. It is
+// derived from the user ID, so links keep working without being stored.
+userSchema.methods.getUnsubscribeToken = function() {
+  const signature = crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`digest-unsubscribe:${this._id}`)
+    .digest('hex');
+  return `${this._id}.${signature}`;
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find the owner of a calendar feed token
+userSchema.statics.findByFeedToken = function(token) {
+  if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ feedToken: token });
+};
+
+// Static method to find the user an unsubscribe token was issued to
+userSchema.statics.findByUnsubscribeToken = async function(token) {
+  const [userId, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!mongoose.isValidObjectId(userId) || !/^[a-f0-9]{64}$/.test(signature || '')) return null;
+
+  const user = await this.findById(userId);
+  if (!user) return null;
+
+  const expected = user.getUnsubscribeToken().split('.')[1];
+  return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ? user : null;
+};
+
+// Static method to make sure every user with the digest on has a job queued,
+// e.g. after jobs were cleared
+userSchema.statics.ensureDigestJobs = async function() {
+  const scheduledIds = await Job.distinct('data.userId', { name: DIGEST_JOB, status: { $in: ['pending', 'running'] } });
+  const users = await this.find({ 'preferences.digest.enabled': true, _id: { $nin: scheduledIds } });
+  await Promise.all(users.map(user => user.scheduleDigest()));
+  return users.length;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
+module.exports.MAX_REMINDER_OFFSET = MAX_REMINDER_OFFSET;
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+module.exports.DIGEST_JOB = DIGEST_JOB;
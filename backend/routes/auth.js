@@ -5,6 +5,9 @@ const {
   login, 
   getProfile, 
   updateProfile, 
+  getFeed,
+  regenerateFeed,
+  revokeFeed,
   verifyToken 
 } = require('../controllers/authController');
 const { auth } = require('../middleware/auth');
@@ -46,6 +49,21 @@ router.get('/me', auth, getProfile);
 // @access  Private
 router.put('/profile', auth, updateProfile);
 
+// @route   GET /api/auth/profile/feed
+// @desc    Get calendar feed subscription URL
+// @access  Private
+router.get('/profile/feed', auth, getFeed);
+
+// @route   POST /api/auth/profile/feed
+// @desc    Create or regenerate calendar feed token
+// @access  Private
+router.post('/profile/feed', auth, regenerateFeed);
+
+// @route   DELETE /api/auth/profile/feed
+// @desc    Revoke calendar feed token
+// @access  Private
+router.delete('/profile/feed', auth, revokeFeed);
+
 // @route   POST /api/auth/verify
 // @desc    Verify token validity
 // @access  Private
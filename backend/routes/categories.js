@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/categories
+// @desc    Get all categories for authenticated user
+// @access  Private
+router.get('/', getCategories);
+
+// @route   POST /api/categories
+// @desc    Create category
+// @access  Private
+router.post('/', createCategory);
+
+// @route   PATCH /api/categories/:id
+// @desc    Update category
+// @access  Private
+router.patch('/:id', updateCategory);
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete category, moving its tasks to ?reassignTo=<categoryId>
+// @access  Private
+router.delete('/:id', deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const { unsubscribe } = require('../controllers/digestController');
+
+const router = express.Router();
+
+// Unsubscribe links are opened from email without a session, so they are
+// authorized by the signed token in the URL instead of the auth middleware
+
+// @route   GET /api/digest/unsubscribe?token=
+// @desc    Turn the email digest off and show a confirmation page
+// @access  Public (signed token)
+router.get('/unsubscribe', unsubscribe);
+
+// @route   POST /api/digest/unsubscribe?token=
+// @desc    One-click unsubscribe (List-Unsubscribe-Post)
+// @access  Public (signed token)
+router.post('/unsubscribe', unsubscribe);
+
+module.exports = router;
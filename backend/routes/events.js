@@ -0,0 +1,12 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/eventController');
+const { auth, tokenFromQuery } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/events
+// @desc    Stream live task changes (Server-Sent Events)
+// @access  Private
+router.get('/', tokenFromQuery, auth, streamEvents);
+
+module.exports = router;
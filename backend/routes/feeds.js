@@ -0,0 +1,14 @@
+const express = require('express');
+const { getTaskFeed } = require('../controllers/feedController');
+
+const router = express.Router();
+
+// Calendar clients cannot send Bearer headers, so feeds are authorized by the
+// secret token in the URL instead of the auth middleware
+
+// @route   GET /api/feeds/:token/tasks.ics
+// @desc    Get open tasks with due dates as an iCalendar feed
+// @access  Public (secret token)
+router.get('/:token/tasks.ics', getTaskFeed);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getInvitations,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/invitationController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/invitations
+// @desc    Get the user's open project invitations
+// @access  Private
+router.get('/', getInvitations);
+
+// @route   POST /api/invitations/:id/accept
+// @desc    Accept an invitation and join the project
+// @access  Private
+router.post('/:id/accept', acceptInvitation);
+
+// @route   POST /api/invitations/:id/decline
+// @desc    Decline an invitation
+// @access  Private
+router.post('/:id/decline', declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/notifications
+// @desc    Get the user's notifications and unread count
+// @access  Private
+router.get('/', getNotifications);
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.patch('/read-all', markAllNotificationsRead);
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.patch('/:id/read', markNotificationRead);
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
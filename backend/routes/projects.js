@@ -0,0 +1,71 @@
+const express = require('express');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  inviteMember,
+  getProjectInvitations,
+  cancelInvitation,
+  updateMember,
+  removeMember
+} = require('../controllers/projectController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/projects
+// @desc    Get user projects with progress rollups, optionally ?status=
+// @access  Private
+router.get('/', getProjects);
+
+// @route   POST /api/projects
+// @desc    Create project
+// @access  Private
+router.post('/', createProject);
+
+// @route   GET /api/projects/:id
+// @desc    Get single project with its progress rollup
+// @access  Private
+router.get('/:id', getProject);
+
+// @route   PATCH /api/projects/:id
+// @desc    Update project details or status
+// @access  Private
+router.patch('/:id', updateProject);
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete project, keeping its tasks without a project
+// @access  Private
+router.delete('/:id', deleteProject);
+
+// @route   GET /api/projects/:id/invitations
+// @desc    Get the project's open invitations (owners only)
+// @access  Private
+router.get('/:id/invitations', getProjectInvitations);
+
+// @route   POST /api/projects/:id/invitations
+// @desc    Invite a registered user by email as viewer, editor or owner
+// @access  Private
+router.post('/:id/invitations', inviteMember);
+
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @desc    Withdraw an open invitation
+// @access  Private
+router.delete('/:id/invitations/:invitationId', cancelInvitation);
+
+// @route   PATCH /api/projects/:id/members/:userId
+// @desc    Change a collaborator's role
+// @access  Private
+router.patch('/:id/members/:userId', updateMember);
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a collaborator or leave the project
+// @access  Private
+router.delete('/:id/members/:userId', removeMember);
+
+module.exports = router;
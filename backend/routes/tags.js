@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getTags,
+  updateTag,
+  mergeTags,
+  deleteTag
+} = require('../controllers/tagController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/tags
+// @desc    Get user tags with usage counts (optional ?q= prefix for autocomplete)
+// @access  Private
+router.get('/', getTags);
+
+// @route   POST /api/tags/merge
+// @desc    Merge source tag(s) into a target tag
+// @access  Private
+router.post('/merge', mergeTags);
+
+// @route   PATCH /api/tags/:name
+// @desc    Rename tag across all tasks and/or set its color
+// @access  Private
+router.patch('/:name', updateTag);
+
+// @route   DELETE /api/tags/:name
+// @desc    Remove tag from all tasks
+// @access  Private
+router.delete('/:name', deleteTag);
+
+module.exports = router;
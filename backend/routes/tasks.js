@@ -1,16 +1,58 @@
 const express = require('express');
 const { 
   getTasks,
+  getTaskStats,
   getTask,
   createTask,
   updateTask,
   deleteTask,
+  getTrash,
+  restoreTask,
+  permanentlyDeleteTask,
+  emptyTrash,
   toggleTask,
+  moveTask,
+  getAssignableUsers,
+  assignTask,
+  getDependencies,
+  addBlocker,
+  removeBlocker,
   addSubTask,
+  updateSubTask,
+  toggleSubTask,
+  reorderSubTasks,
+  moveSubTask,
+  deleteSubTask,
   getTasksByCategory,
-  getOverdueTasks
+  getOverdueTasks,
+  getCalendarTasks
 } = require('../controllers/taskController');
+const {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const {
+  exportTasks,
+  importTasks
+} = require('../controllers/transferController');
+const {
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport
+} = require('../controllers/timeEntryController');
 const { auth } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -18,15 +60,65 @@ const router = express.Router();
 router.use(auth);
 
 // @route   GET /api/tasks
-// @desc    Get all tasks for authenticated user
+// @desc    Get a page of tasks for authenticated user (filter, sort, cursor)
 // @access  Private
 router.get('/', getTasks);
 
+// @route   GET /api/tasks/stats
+// @desc    Get task statistics
+// @access  Private
+router.get('/stats', getTaskStats);
+
 // @route   GET /api/tasks/overdue
 // @desc    Get overdue tasks
 // @access  Private
 router.get('/overdue', getOverdueTasks);
 
+// @route   GET /api/tasks/calendar
+// @desc    Get tasks due within a date range (?from=&to=)
+// @access  Private
+router.get('/calendar', getCalendarTasks);
+
+// @route   GET /api/tasks/timer
+// @desc    Get the task the user's timer is running on
+// @access  Private
+router.get('/timer', getRunningTimer);
+
+// @route   GET /api/tasks/reports/time
+// @desc    Get time tracked per category (?from=&to=&format=json|csv)
+// @access  Private
+router.get('/reports/time', getTimeReport);
+
+// @route   GET /api/tasks/export
+// @desc    Export all tasks as CSV or JSON (?format=csv|json)
+// @access  Private
+router.get('/export', exportTasks);
+
+// @route   POST /api/tasks/import
+// @desc    Import tasks from CSV or JSON (dryRun previews without saving)
+// @access  Private
+router.post('/import', importTasks);
+
+// @route   GET /api/tasks/trash
+// @desc    Get trashed tasks
+// @access  Private
+router.get('/trash', getTrash);
+
+// @route   DELETE /api/tasks/trash
+// @desc    Permanently delete all trashed tasks
+// @access  Private
+router.delete('/trash', emptyTrash);
+
+// @route   PATCH /api/tasks/trash/:id/restore
+// @desc    Restore task from trash
+// @access  Private
+router.patch('/trash/:id/restore', restoreTask);
+
+// @route   DELETE /api/tasks/trash/:id
+// @desc    Permanently delete task from trash
+// @access  Private
+router.delete('/trash/:id', permanentlyDeleteTask);
+
 // @route   GET /api/tasks/category/:category
 // @desc    Get tasks by category
 // @access  Private
@@ -52,13 +144,128 @@ router.patch('/:id', updateTask);
 // @access  Private
 router.patch('/:id/toggle', toggleTask);
 
+// @route   PATCH /api/tasks/:id/position
+// @desc    Move task between two neighbours in the manual order
+// @access  Private
+router.patch('/:id/position', moveTask);
+
+// @route   GET /api/tasks/:id/assignees
+// @desc    Get the users a task can be assigned to
+// @access  Private
+router.get('/:id/assignees', getAssignableUsers);
+
+// @route   PATCH /api/tasks/:id/assignee
+// @desc    Assign or unassign a task
+// @access  Private
+router.patch('/:id/assignee', assignTask);
+
+// @route   GET /api/tasks/:id/dependencies
+// @desc    Get the tasks blocking a task and the tasks it blocks
+// @access  Private
+router.get('/:id/dependencies', getDependencies);
+
+// @route   POST /api/tasks/:id/blockers
+// @desc    Mark a task as blocked by another task
+// @access  Private
+router.post('/:id/blockers', addBlocker);
+
+// @route   DELETE /api/tasks/:id/blockers/:blockerId
+// @desc    Remove a blocking task
+// @access  Private
+router.delete('/:id/blockers/:blockerId', removeBlocker);
+
 // @route   POST /api/tasks/:id/subtasks
 // @desc    Add subtask to task
 // @access  Private
 router.post('/:id/subtasks', addSubTask);
 
+// @route   PATCH /api/tasks/:id/subtasks/reorder
+// @desc    Reorder subtasks
+// @access  Private
+router.patch('/:id/subtasks/reorder', reorderSubTasks);
+
+// @route   PATCH /api/tasks/:id/subtasks/:subTaskId
+// @desc    Update subtask title or completion
+// @access  Private
+router.patch('/:id/subtasks/:subTaskId', updateSubTask);
+
+// @route   PATCH /api/tasks/:id/subtasks/:subTaskId/toggle
+// @desc    Toggle subtask completion
+// @access  Private
+router.patch('/:id/subtasks/:subTaskId/toggle', toggleSubTask);
+
+// @route   PATCH /api/tasks/:id/subtasks/:subTaskId/position
+// @desc    Move subtask between two neighbouring subtasks
+// @access  Private
+router.patch('/:id/subtasks/:subTaskId/position', moveSubTask);
+
+// @route   DELETE /api/tasks/:id/subtasks/:subTaskId
+// @desc    Delete subtask
+// @access  Private
+router.delete('/:id/subtasks/:subTaskId', deleteSubTask);
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload attachment (multipart field "file")
+// @access  Private
+router.post('/:id/attachments', uploadSingle('file'), uploadAttachment);
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @desc    Download attachment
+// @access  Private
+router.get('/:id/attachments/:attachmentId', downloadAttachment);
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Delete attachment
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get the task's comment threads
+// @access  Private
+router.get('/:id/comments', getComments);
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Comment on a task or reply to a comment
+// @access  Private
+router.post('/:id/comments', createComment);
+
+// @route   PATCH /api/tasks/:id/comments/:commentId
+// @desc    Edit own comment
+// @access  Private
+router.patch('/:id/comments/:commentId', updateComment);
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment and its replies
+// @access  Private
+router.delete('/:id/comments/:commentId', deleteComment);
+
+// @route   POST /api/tasks/:id/timer/start
+// @desc    Start a timer on a task (stops the user's timer elsewhere)
+// @access  Private
+router.post('/:id/timer/start', startTimer);
+
+// @route   POST /api/tasks/:id/timer/stop
+// @desc    Stop the user's timer on a task
+// @access  Private
+router.post('/:id/timer/stop', stopTimer);
+
+// @route   POST /api/tasks/:id/time-entries
+// @desc    Log time on a task by hand
+// @access  Private
+router.post('/:id/time-entries', addTimeEntry);
+
+// @route   PATCH /api/tasks/:id/time-entries/:entryId
+// @desc    Edit a time entry
+// @access  Private
+router.patch('/:id/time-entries/:entryId', updateTimeEntry);
+
+// @route   DELETE /api/tasks/:id/time-entries/:entryId
+// @desc    Delete a time entry
+// @access  Private
+router.delete('/:id/time-entries/:entryId', deleteTimeEntry);
+
 // @route   DELETE /api/tasks/:id
-// @desc    Delete task
+// @desc    Move task to trash
 // @access  Private
 router.delete('/:id', deleteTask);
 
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+} = require('../controllers/savedViewController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/views
+// @desc    Get user saved views
+// @access  Private
+router.get('/', getSavedViews);
+
+// @route   POST /api/views
+// @desc    Save a filter expression and sort order as a named view
+// @access  Private
+router.post('/', createSavedView);
+
+// @route   PATCH /api/views/:id
+// @desc    Update saved view or pin/unpin it
+// @access  Private
+router.patch('/:id', updateSavedView);
+
+// @route   DELETE /api/views/:id
+// @desc    Delete saved view
+// @access  Private
+router.delete('/:id', deleteSavedView);
+
+module.exports = router;
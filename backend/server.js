@@ -7,6 +7,20 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const viewRoutes = require('./routes/views');
+const feedRoutes = require('./routes/feeds');
+const projectRoutes = require('./routes/projects');
+const invitationRoutes = require('./routes/invitations');
+const eventRoutes = require('./routes/events');
+const digestRoutes = require('./routes/digest');
+const notificationRoutes = require('./routes/notifications');
+const { startTrashPurge } = require('./jobs/purgeTrash');
+const { startScheduler } = require('./jobs/scheduler');
+require('./jobs/reminders'); // registers the task reminder job
+require('./jobs/overdue'); // registers the overdue notice job
+const { scheduleDigests } = require('./jobs/digest');
 
 const app = express();
 
@@ -30,7 +44,7 @@ app.use(cors({
   ].filter(Boolean),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id']
 }));
 
 // Body parser middleware
@@ -42,12 +56,26 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB Atlas'))
+.then(() => {
+  console.log('✅ Connected to MongoDB Atlas');
+  startTrashPurge();
+  startScheduler();
+  scheduleDigests();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/digest', digestRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
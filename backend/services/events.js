@@ -0,0 +1,55 @@
+// Server-Sent Events hub that pushes changes to every open tab and device of
+// a user. Connections live in this process's memory, so running more than one
+// server instance would need a shared broker (e.g. Redis pub/sub) in front.
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// userId -> Set of { res, clientId }
+const connections = new Map();
+
+// Start an event stream on the response and keep it until the client leaves.
+// clientId identifies the browser tab, so changes it made itself can be skipped.
+const subscribe = (userId, req, res, clientId = null) => {
+  const key = String(userId);
+  const connection = { res, clientId };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  if (!connections.has(key)) connections.set(key, new Set());
+  connections.get(key).add(connection);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const userConnections = connections.get(key);
+    userConnections.delete(connection);
+    if (userConnections.size === 0) connections.delete(key);
+  });
+};
+
+// Send an event to every connection of the given users, except the tab that
+// caused it
+const publish = (userIds, type, data, originClientId = null) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  new Set(userIds.map(String)).forEach(key => {
+    connections.get(key)?.forEach(({ res, clientId }) => {
+      if (originClientId && clientId === originClientId) return;
+      res.write(message);
+    });
+  });
+};
+
+module.exports = {
+  subscribe,
+  publish
+};
@@ -0,0 +1,24 @@
+const SmtpMailer = require('./smtpMailer');
+const LogMailer = require('./logMailer');
+const mailConfig = require('../../config/mail');
+
+// Mail drivers must implement:
+//   send({ to, subject, text, html, headers }) -> Promise
+// where headers is an optional object of extra message headers
+const drivers = {
+  smtp: () => new SmtpMailer(mailConfig.smtp, mailConfig.from),
+  log: () => new LogMailer(mailConfig.from)
+};
+
+const createMailer = (driver = mailConfig.driver) => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown mail driver: ${driver}`);
+  }
+  return drivers[driver]();
+};
+
+const mailer = createMailer();
+
+module.exports = mailer;
+module.exports.createMailer = createMailer;
+module.exports.drivers = drivers;
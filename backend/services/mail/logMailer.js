@@ -0,0 +1,14 @@
+// Prints emails to the console instead of sending them, for development
+// without a mail server
+class LogMailer {
+  constructor(from) {
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`📧 Email from ${this.from} to ${to}: ${subject}\n${text}`);
+    return { to, subject };
+  }
+}
+
+module.exports = LogMailer;
@@ -0,0 +1,15 @@
+const nodemailer = require('nodemailer');
+
+// Sends email through an SMTP server
+class SmtpMailer {
+  constructor(options, from) {
+    this.transport = nodemailer.createTransport(options);
+    this.from = from;
+  }
+
+  send({ to, subject, text, html, headers }) {
+    return this.transport.sendMail({ from: this.from, to, subject, text, html, headers });
+  }
+}
+
+module.exports = SmtpMailer;
@@ -0,0 +1,23 @@
+const LocalDiskStorage = require('./localDiskStorage');
+const attachmentConfig = require('../../config/attachments');
+
+// Storage backends must implement:
+//   save(key, buffer)      -> Promise<{ key, size }>
+//   createReadStream(key)  -> Readable stream
+//   remove(key)            -> Promise
+const drivers = {
+  local: () => new LocalDiskStorage(attachmentConfig.uploadDir)
+};
+
+const createStorage = (driver = attachmentConfig.storageDriver) => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return drivers[driver]();
+};
+
+const storage = createStorage();
+
+module.exports = storage;
+module.exports.createStorage = createStorage;
+module.exports.drivers = drivers;
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the local disk under a root directory.
+// Keys are relative paths such as `<userId>/<taskId>/<name>`.
+class LocalDiskStorage {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Resolve a key to an absolute path, refusing anything outside the root
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, size: buffer.length };
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      // Already gone is fine
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
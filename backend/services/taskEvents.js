@@ -0,0 +1,31 @@
+const Task = require('../models/Task');
+const events = require('./events');
+
+// Tasks as JSON with their computed isBlocked flag and assignee details
+const withDetails = async (tasks) => Task.withAssignees(await Task.withBlockedFlags(tasks));
+
+const taskWithDetails = async (task) => (await withDetails([task]))[0];
+
+// Push a change live to every open tab of everyone who can see the task,
+// except the tab that made it. Never fails the request.
+const publishTaskEvent = async (req, type, task, data) => {
+  try {
+    events.publish(await task.findCollaboratorIds(), type, data, req.get('X-Client-Id'));
+  } catch (error) {
+    console.error('Publish task event error:', error);
+  }
+};
+
+// Task as JSON for a response, also published as a live event
+const publishTask = async (req, type, task) => {
+  const data = await taskWithDetails(task);
+  await publishTaskEvent(req, type, task, data);
+  return data;
+};
+
+module.exports = {
+  withDetails,
+  taskWithDetails,
+  publishTaskEvent,
+  publishTask
+};
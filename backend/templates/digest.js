@@ -0,0 +1,80 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+const SECTION_TITLES = {
+  daily: { dueSoon: 'Due today', overdue: 'Overdue', completed: 'Completed yesterday' },
+  weekly: { dueSoon: 'Due this week', overdue: 'Overdue', completed: 'Completed last week' }
+};
+
+const SECTION_ORDER = ['overdue', 'dueSoon', 'completed'];
+
+// Digest of a user's tasks. sections holds { dueSoon, overdue, completed },
+// each { tasks: [{ title, priority, dueLabel }], total } where total can exceed
+// the tasks listed; dateLabel is the local date it covers.
+const renderDigestEmail = ({ user, frequency, dateLabel, sections, appUrl, unsubscribeUrl }) => {
+  const titles = SECTION_TITLES[frequency];
+  const subject = frequency === 'weekly'
+    ? `Your weekly Taskify digest (week of ${dateLabel})`
+    : `Your Taskify digest for ${dateLabel}`;
+  const link = `${appUrl}/dashboard`;
+  const present = SECTION_ORDER.filter(key => sections[key].total > 0);
+  const moreCount = (key) => sections[key].total - sections[key].tasks.length;
+
+  const describe = (task) => [
+    task.title,
+    ['high', 'urgent'].includes(task.priority) ? `(${task.priority})` : '',
+    task.dueLabel ? `- due ${task.dueLabel}` : ''
+  ].filter(Boolean).join(' ');
+
+  const text = [
+    `Hi ${user.name},`,
+    '',
+    ...present.flatMap(key => [
+      `${titles[key]} (${sections[key].total})`,
+      ...sections[key].tasks.map(task => `  - ${describe(task)}`),
+      ...(moreCount(key) > 0 ? [`  ...and ${moreCount(key)} more`] : []),
+      ''
+    ]),
+    `Open Taskify: ${link}`,
+    '',
+    `Unsubscribe from these emails: ${unsubscribeUrl}`
+  ].join('\n');
+
+  const renderSection = (key) => `
+<h2 style="margin:24px 0 8px;font-size:15px;color:${key === 'overdue' ? '#dc2626' : '#111827'}">${escapeHtml(titles[key])} (${sections[key].total})</h2>
+<ul style="margin:0;padding-left:20px">
+${sections[key].tasks.map(task => `<li style="margin:4px 0">${escapeHtml(task.title)}${
+    ['high', 'urgent'].includes(task.priority) ? ` <span style="color:#dc2626;font-size:12px">${escapeHtml(task.priority)}</span>` : ''
+  }${
+    task.dueLabel ? ` <span style="color:#6b7280;font-size:12px">due ${escapeHtml(task.dueLabel)}</span>` : ''
+  }</li>`).join('\n')}
+${moreCount(key) > 0 ? `<li style="margin:4px 0;color:#6b7280">...and ${moreCount(key)} more</li>` : ''}
+</ul>`;
+
+  const html = renderLayout({
+    title: subject,
+    body: [
+      `<p>Hi ${escapeHtml(user.name)}, here's where your tasks stand.</p>`,
+      ...present.map(renderSection),
+      renderButton(link, 'Open Taskify')
+    ].join('\n'),
+    footer: `You're getting this because you turned on the ${frequency} digest. ` +
+      `<a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280">Unsubscribe</a>`
+  });
+
+  return { subject, text, html };
+};
+
+// Page shown after following the unsubscribe link
+const renderUnsubscribedPage = ({ appUrl }) => renderLayout({
+  title: 'Unsubscribed',
+  body: [
+    '<p>You won\'t get any more digest emails.</p>',
+    '<p style="color:#4b5563">You can turn the digest back on in Notification Settings.</p>',
+    renderButton(`${appUrl}/dashboard`, 'Open Taskify')
+  ].join('\n')
+});
+
+module.exports = {
+  renderDigestEmail,
+  renderUnsubscribedPage
+};
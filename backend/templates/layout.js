@@ -0,0 +1,36 @@
+// Shared pieces for email templates. Every template returns
+// { subject, text, html }; HTML uses inline styles since mail clients drop
+// stylesheets.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap an email body in the Taskify frame, with an optional footer line
+const renderLayout = ({ title, body, footer = '' }) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#111827">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:24px">
+<p style="margin:0 0 16px;font-size:18px;font-weight:bold">📝 Taskify</p>
+${body}
+</div>
+${footer ? `<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280;text-align:center">${footer}</p>` : ''}
+</body>
+</html>`;
+
+const renderButton = (href, label) =>
+  `<p style="margin:24px 0 0"><a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 16px;border-radius:8px;background:#3b82f6;color:#ffffff;text-decoration:none">${escapeHtml(label)}</a></p>`;
+
+module.exports = {
+  escapeHtml,
+  renderLayout,
+  renderButton
+};
@@ -0,0 +1,36 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+// Reminder for one task. dueIn is a phrase like "in 1 hour" or "now", or null
+// when the task has no due date.
+const renderReminderEmail = ({ task, recipient, dueIn, appUrl }) => {
+  const summary = dueIn === null
+    ? `This is your reminder for "${task.title}".`
+    : dueIn === 'now'
+      ? `"${task.title}" is due now.`
+      : `"${task.title}" is due ${dueIn}.`;
+  const link = `${appUrl}/dashboard`;
+
+  return {
+    subject: `Reminder: ${task.title}`,
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      summary,
+      task.description ? `\n${task.description}\n` : '',
+      `Open Taskify: ${link}`
+    ].join('\n'),
+    html: renderLayout({
+      title: `Reminder: ${task.title}`,
+      body: [
+        `<p>Hi ${escapeHtml(recipient.name)},</p>`,
+        `<p>${escapeHtml(summary)}</p>`,
+        task.description ? `<p style="color:#4b5563;white-space:pre-line">${escapeHtml(task.description)}</p>` : '',
+        renderButton(link, 'Open Taskify')
+      ].join('\n')
+    })
+  };
+};
+
+module.exports = {
+  renderReminderEmail
+};
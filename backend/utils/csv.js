@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV reading and writing.
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value when needed and neutralize formula injection
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatRow = (values) => values.map(formatCell).join(',') + '\r\n';
+
+// Undo the formula guard added by formatCell
+const unguardCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Parse CSV text into an array of rows, each an array of cell strings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(unguardCell(cell));
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(unguardCell(cell));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(unguardCell(cell));
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  formatCell,
+  formatRow,
+  parseCsv
+};
@@ -0,0 +1,145 @@
+// Filter expression language for task lists and saved views.
+//
+//   priority:high category:work due:<7d -tag:later is:open report
+//
+// key:value pairs become MongoDB conditions, a leading "-" negates a pair and
+// anything else is left over as free text for full-text search. Multiple values
+// are comma separated (priority:high,urgent) and values may be quoted
+// (tag:"follow up").
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const MAX_EXPRESSION_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_DAYS = { d: 1, w: 7, m: 30 };
+
+class FilterQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterQueryError';
+  }
+}
+
+const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const splitValues = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+// due:today | tomorrow | overdue | none | any | <7d | >2w | <=2024-06-01
+const parseDue = (value, now) => {
+  const today = startOfDay(now);
+
+  switch (value) {
+    case 'today':
+      return { dueDate: { $gte: today, $lt: addDays(today, 1) } };
+    case 'tomorrow':
+      return { dueDate: { $gte: addDays(today, 1), $lt: addDays(today, 2) } };
+    case 'overdue':
+      return { dueDate: { $lt: now } };
+    case 'none':
+      return { dueDate: null };
+    case 'any':
+      return { dueDate: { $ne: null } };
+  }
+
+  const match = /^(<=?|>=?)(?:(\d+)([dwm])|(\d{4}-\d{2}-\d{2}))$/.exec(value);
+  if (!match) {
+    throw new FilterQueryError(`Invalid due filter "${value}". Use today, tomorrow, overdue, none, any, <7d, >2w or <YYYY-MM-DD`);
+  }
+
+  const [, operator, amount, unit, isoDate] = match;
+  const date = isoDate
+    ? new Date(`${isoDate}T00:00:00`)
+    : addDays(now, parseInt(amount) * UNIT_DAYS[unit]);
+
+  if (isNaN(date.getTime())) {
+    throw new FilterQueryError(`Invalid date "${isoDate}"`);
+  }
+
+  const mongoOperator = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' }[operator];
+  return { dueDate: { [mongoOperator]: date, $ne: null } };
+};
+
+const parseIs = (value, now) => {
+  switch (value) {
+    case 'done':
+    case 'completed':
+      return { isDone: true };
+    case 'open':
+    case 'pending':
+      return { isDone: false };
+    case 'overdue':
+      return { isDone: false, dueDate: { $lt: now } };
+    case 'recurring':
+      return { recurrence: { $ne: null } };
+    default:
+      throw new FilterQueryError(`Unknown status "${value}". Use done, open, overdue or recurring`);
+  }
+};
+
+const buildCondition = (key, value, now) => {
+  switch (key) {
+    case 'priority': {
+      const values = splitValues(value.toLowerCase());
+      const invalid = values.find(v => !PRIORITIES.includes(v));
+      if (invalid || values.length === 0) {
+        throw new FilterQueryError(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+      }
+      return { priority: { $in: values } };
+    }
+    case 'category':
+      return { category: { $in: splitValues(value.toLowerCase()) } };
+    case 'tag':
+      return { tags: { $in: splitValues(value) } };
+    case 'is':
+    case 'status':
+      return parseIs(value.toLowerCase(), now);
+    case 'due':
+      return parseDue(value.toLowerCase(), now);
+    default:
+      throw new FilterQueryError(`Unknown filter "${key}:"`);
+  }
+};
+
+// Parse an expression into { conditions, text }; throws FilterQueryError
+const parseFilterQuery = (expression, now = new Date()) => {
+  const input = String(expression || '');
+  if (input.length > MAX_EXPRESSION_LENGTH) {
+    throw new FilterQueryError(`Filter cannot exceed ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const conditions = [];
+  const text = [];
+
+  // -key:"quoted value" | -key:value | any other token
+  const tokenPattern = /(-?)([a-z]+):(?:"([^"]*)"|(\S+))|("[^"]*"|\S+)/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(input))) {
+    const [, negated, key, quotedValue, value, freeText] = match;
+
+    if (freeText !== undefined) {
+      text.push(freeText);
+      continue;
+    }
+
+    const rawValue = (quotedValue !== undefined ? quotedValue : value).trim();
+    if (!rawValue) {
+      throw new FilterQueryError(`Missing value for "${key}:"`);
+    }
+
+    const condition = buildCondition(key.toLowerCase(), rawValue, now);
+    conditions.push(negated ? { $nor: [condition] } : condition);
+  }
+
+  return { conditions, text: text.join(' ') };
+};
+
+module.exports = {
+  FilterQueryError,
+  parseFilterQuery
+};
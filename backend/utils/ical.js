@@ -0,0 +1,118 @@
+// iCalendar (RFC 5545) rendering for the task subscription feed.
+// Tasks become VEVENTs (shown by every calendar app) or VTODOs (shown by
+// apps with task lists, e.g. Apple Reminders and Thunderbird).
+
+const FEED_ITEM_TYPES = ['event', 'todo'];
+
+// RFC 5545 priorities run from 1 (highest) to 9 (lowest)
+const ICAL_PRIORITIES = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9
+};
+
+// Content lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20250131T235900Z
+const formatDateTime = (date) => new Date(date)
+  .toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// 20250131, for all-day values
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Due dates picked without a time are stored as midnight UTC
+const isDateOnly = (date) => new Date(date).getTime() % (24 * 60 * 60 * 1000) === 0;
+
+// DTSTART/DUE property; date-only due dates become all-day values so apps
+// west of UTC don't show them on the evening before
+const formatDueProperty = (name, date) => (isDateOnly(date)
+  ? `${name};VALUE=DATE:${formatDate(date)}`
+  : `${name}:${formatDateTime(date)}`);
+
+// Split a line into chunks of at most 75 octets without breaking UTF-8 characters
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const renderTask = (task, { type, categoryNames, host }) => {
+  const component = type === 'todo' ? 'VTODO' : 'VEVENT';
+  const categories = [categoryNames[task.category] || task.category, ...(task.tags || [])]
+    .filter(Boolean)
+    .map(escapeText);
+
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${task._id}@${host}`,
+    `DTSTAMP:${formatDateTime(task.updatedAt || task.createdAt || new Date())}`,
+    formatDueProperty(type === 'todo' ? 'DUE' : 'DTSTART', task.dueDate),
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (ICAL_PRIORITIES[task.priority]) lines.push(`PRIORITY:${ICAL_PRIORITIES[task.priority]}`);
+  if (categories.length > 0) lines.push(`CATEGORIES:${categories.join(',')}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`);
+  if (type === 'todo') lines.push('STATUS:NEEDS-ACTION');
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+// Render tasks as a complete VCALENDAR document
+const renderCalendar = (tasks, { name, type = 'event', categoryNames = {}, host = 'taskify' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Taskify//Task Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name || 'Taskify')}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  tasks.forEach(task => {
+    lines.push(...renderTask(task, { type, categoryNames, host }));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  FEED_ITEM_TYPES,
+  ICAL_PRIORITIES,
+  escapeText,
+  formatDateTime,
+  formatDate,
+  foldLine,
+  renderCalendar
+};
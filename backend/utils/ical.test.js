@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderCalendar } = require('./ical');
+
+const task = (dueDate) => ({
+  _id: 'abc',
+  title: 'Pay rent',
+  category: 'personal',
+  priority: 'high',
+  dueDate: new Date(dueDate),
+  updatedAt: new Date('2025-01-01T10:00:00Z')
+});
+
+test('date-only due dates render as all-day values', () => {
+  const event = renderCalendar([task('2025-01-31T00:00:00Z')]);
+  assert.match(event, /\r\nDTSTART;VALUE=DATE:20250131\r\n/);
+
+  const todo = renderCalendar([task('2025-01-31T00:00:00Z')], { type: 'todo' });
+  assert.match(todo, /\r\nDUE;VALUE=DATE:20250131\r\n/);
+});
+
+test('due dates with a time render as UTC date-times', () => {
+  const event = renderCalendar([task('2025-01-31T17:30:00Z')]);
+  assert.match(event, /\r\nDTSTART:20250131T173000Z\r\n/);
+});
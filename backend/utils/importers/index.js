@@ -0,0 +1,47 @@
+const convertTodoist = require('./todoist');
+const convertTrello = require('./trello');
+const { ImportError, MAX_IMPORT_ROWS } = require('../taskTransfer');
+
+// Importers turn another app's export into the same task records as a
+// Taskify JSON file, plus a list of { item, reason } for what was left out.
+const importers = {
+  todoist: convertTodoist,
+  trello: convertTrello
+};
+
+const IMPORT_SOURCES = ['taskify', ...Object.keys(importers)];
+
+// Projects and lists become categories unless tags are asked for
+const GROUP_MODES = ['category', 'tag'];
+
+const readSourceRows = ({ source, format, data, fileName, groupAs = 'category' }) => {
+  if (!importers[source]) {
+    throw new ImportError('Source must be one of: ' + IMPORT_SOURCES.join(', '));
+  }
+
+  if (!GROUP_MODES.includes(groupAs)) {
+    throw new ImportError('Group projects as one of: ' + GROUP_MODES.join(', '));
+  }
+
+  if (typeof data !== 'string' || !data.trim()) {
+    throw new ImportError('The import file is empty');
+  }
+
+  const { rows, skipped } = importers[source]({ format, data, fileName, groupAs });
+
+  if (rows.length === 0) {
+    throw new ImportError('The import file has no tasks');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Imports are limited to ${MAX_IMPORT_ROWS} tasks`);
+  }
+
+  return { columns: [], mapping: null, rows, skipped };
+};
+
+module.exports = {
+  IMPORT_SOURCES,
+  GROUP_MODES,
+  readSourceRows
+};
@@ -0,0 +1,85 @@
+// Helpers shared by the Todoist and Trello importers.
+
+// Longest category name and tag the Category and Task schemas accept
+const MAX_GROUP_LENGTH = 30;
+
+const clip = (text, length) => {
+  const value = String(text || '').trim();
+  return value.length > length ? `${value.slice(0, length - 1).trim()}…` : value;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read a due date from an export. Natural-language dates other than
+// today/tomorrow and repeating dates are reported instead of guessed.
+const parseDueDate = (value, recurringText = null) => {
+  const text = String(value || '').trim();
+  if (!text) return { date: null };
+
+  const lower = text.toLowerCase();
+  if (recurringText || lower.startsWith('every')) {
+    const date = new Date(text);
+    return {
+      date: isNaN(date.getTime()) ? null : date,
+      recurring: true,
+      text: recurringText || text
+    };
+  }
+
+  if (lower === 'today' || lower === 'tomorrow') {
+    const date = new Date();
+    date.setHours(23, 59, 0, 0);
+    return { date: lower === 'today' ? date : new Date(date.getTime() + DAY_MS) };
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? { date: null, unreadable: true, text } : { date };
+};
+
+// Due date for a task, noting anything about it that could not be imported
+const dueDateFor = (title, value, recurringText, skipped) => {
+  const due = parseDueDate(value, recurringText);
+
+  if (due.recurring) {
+    skipped.push({
+      item: title,
+      reason: due.date
+        ? `Repeats "${due.text}"; only the next due date was imported`
+        : `Repeating due date "${due.text}" not imported`
+    });
+  } else if (due.unreadable) {
+    skipped.push({ item: title, reason: `Could not read due date "${due.text}"` });
+  }
+
+  return due.date;
+};
+
+// Put the project or list name in the category or in the tags
+const groupFields = (groupName, tags, groupAs) => {
+  const group = clip(groupName, MAX_GROUP_LENGTH);
+  const allTags = groupAs === 'tag' ? [group, ...tags] : tags;
+
+  return {
+    category: groupAs === 'tag' ? '' : group,
+    tags: [...new Set(allTags.map(tag => clip(tag, MAX_GROUP_LENGTH)).filter(Boolean))]
+  };
+};
+
+// Drop values the Task schema would reject for an otherwise good row and say so
+const finalizeRows = (rows, skipped) => {
+  rows.forEach(row => {
+    if (row.description && row.description.length > 1000) {
+      skipped.push({ item: row.title, reason: 'Description shortened to 1000 characters' });
+      row.description = clip(row.description, 1000);
+    }
+  });
+
+  return rows;
+};
+
+module.exports = {
+  clip,
+  dueDateFor,
+  groupFields,
+  finalizeRows
+};
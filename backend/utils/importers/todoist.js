@@ -0,0 +1,164 @@
+// Todoist exports: project CSV templates (one project per file) and the JSON
+// returned by the Sync API (projects, sections, items and labels).
+
+const { parseCsv } = require('../csv');
+const { ImportError } = require('../taskTransfer');
+const { clip, groupFields, dueDateFor, finalizeRows } = require('./shared');
+
+// Todoist p1 is the most urgent; the API stores it as 4, CSV templates as 1
+const API_PRIORITIES = { 4: 'urgent', 3: 'high', 2: 'medium', 1: 'low' };
+const CSV_PRIORITIES = { 1: 'urgent', 2: 'high', 3: 'medium', 4: 'low' };
+
+// "Work [2203306141].csv" -> "Work"
+const projectFromFileName = (fileName) => String(fileName || 'Todoist')
+  .replace(/\.[^.]+$/, '')
+  .replace(/\s*\[\d+\]$/, '')
+  .trim() || 'Todoist';
+
+// Labels are written inline in CSV task content, e.g. "Call mum @phone"
+const extractLabels = (content) => {
+  const labels = [];
+  const title = content.replace(/(^|\s)@([^\s@]+)/g, (match, space, label) => {
+    labels.push(label);
+    return space;
+  }).replace(/\s+/g, ' ').trim();
+  return { title, labels };
+};
+
+const subTaskNote = (title, skipped) => {
+  skipped.push({ item: title, reason: 'Subtask details (due date, labels, description) are not imported' });
+};
+
+const convertCsv = (data, { fileName, groupAs }) => {
+  const [header = [], ...body] = parseCsv(data);
+  const columns = header.map(column => column.trim().toUpperCase());
+  if (!columns.includes('TYPE') || !columns.includes('CONTENT')) {
+    throw new ImportError('This is not a Todoist CSV export (expected TYPE and CONTENT columns)');
+  }
+
+  const cell = (cells, column) => (cells[columns.indexOf(column)] || '').trim();
+  const project = projectFromFileName(fileName);
+  const rows = [];
+  const skipped = [];
+  let section = null;
+  let parent = null;
+
+  body.forEach(cells => {
+    const type = cell(cells, 'TYPE').toLowerCase();
+    const content = cell(cells, 'CONTENT');
+
+    if (type === 'section') {
+      section = content;
+      return;
+    }
+
+    if (type !== 'task') {
+      if (content) skipped.push({ item: clip(content, 60), reason: type === 'note' ? 'Comments are not imported' : `Unknown row type "${type}"` });
+      return;
+    }
+
+    const { title, labels } = extractLabels(content);
+    const indent = parseInt(cell(cells, 'INDENT'), 10) || 1;
+
+    // Nested tasks become subtasks of the nearest top-level task
+    if (indent > 1 && parent) {
+      parent.subTasks.push({ title, isDone: false });
+      if (labels.length > 0 || cell(cells, 'DATE') || cell(cells, 'DESCRIPTION')) subTaskNote(title, skipped);
+      return;
+    }
+
+    parent = {
+      title,
+      description: cell(cells, 'DESCRIPTION'),
+      priority: CSV_PRIORITIES[cell(cells, 'PRIORITY')] || 'medium',
+      dueDate: dueDateFor(title, cell(cells, 'DATE'), null, skipped),
+      subTasks: [],
+      ...groupFields(project, [...labels, ...(section ? [section] : [])], groupAs)
+    };
+    rows.push(parent);
+  });
+
+  return { rows: finalizeRows(rows, skipped), skipped };
+};
+
+const convertJson = (parsed, { groupAs }) => {
+  const projects = new Map((parsed.projects || []).map(project => [String(project.id), project]));
+  const sections = new Map((parsed.sections || []).map(section => [String(section.id), section.name]));
+  const labelNames = new Map((parsed.labels || []).map(label => [String(label.id), label.name]));
+  const items = parsed.items;
+  const byId = new Map(items.map(item => [String(item.id), item]));
+  const rows = [];
+  const rowsById = new Map();
+  const skipped = [];
+
+  const rootOf = (item) => {
+    let current = item;
+    while (current.parent_id && byId.has(String(current.parent_id))) {
+      current = byId.get(String(current.parent_id));
+    }
+    return current;
+  };
+
+  // Top-level tasks first so subtasks always find their parent row
+  const ordered = [...items].sort((a, b) => (a.parent_id ? 1 : 0) - (b.parent_id ? 1 : 0));
+
+  ordered.forEach(item => {
+    const title = String(item.content || '').trim();
+    const project = projects.get(String(item.project_id));
+
+    if (item.is_deleted) return;
+    if (project && (project.is_archived || project.is_deleted)) {
+      skipped.push({ item: title, reason: `Project "${project.name}" is archived` });
+      return;
+    }
+
+    const isDone = !!(item.checked || item.completed_at);
+
+    if (item.parent_id) {
+      const parentRow = rowsById.get(String(rootOf(item).id));
+      if (parentRow) {
+        parentRow.subTasks.push({ title, isDone });
+        if ((item.labels || []).length > 0 || item.due || item.description) subTaskNote(title, skipped);
+        return;
+      }
+    }
+
+    // Older exports list label ids, newer ones label names
+    const labels = (item.labels || []).map(label => labelNames.get(String(label)) || String(label));
+    const section = sections.get(String(item.section_id));
+
+    const row = {
+      title,
+      description: item.description || '',
+      priority: API_PRIORITIES[item.priority] || 'medium',
+      isDone,
+      completedAt: item.completed_at || null,
+      dueDate: dueDateFor(title, item.due?.datetime || item.due?.date, item.due?.is_recurring ? item.due.string : null, skipped),
+      subTasks: [],
+      ...groupFields(project?.name || 'Todoist', [...labels, ...(section ? [section] : [])], groupAs)
+    };
+    rows.push(row);
+    rowsById.set(String(item.id), row);
+  });
+
+  return { rows: finalizeRows(rows, skipped), skipped };
+};
+
+const convertTodoist = ({ format, data, fileName, groupAs }) => {
+  if (format === 'csv') return convertCsv(data, { fileName, groupAs });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (error) {
+    throw new ImportError('The import file is not valid JSON');
+  }
+
+  if (!parsed || !Array.isArray(parsed.items)) {
+    throw new ImportError('This is not a Todoist JSON export (expected an items array)');
+  }
+
+  return convertJson(parsed, { groupAs });
+};
+
+module.exports = convertTodoist;
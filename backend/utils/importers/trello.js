@@ -0,0 +1,87 @@
+// Trello board exports (Board menu -> Print, export and share -> Export as JSON).
+
+const { ImportError } = require('../taskTransfer');
+const { groupFields, dueDateFor, finalizeRows } = require('./shared');
+
+// Labels like "High", "urgent priority" or "Priority: low" set the priority
+const PRIORITY_LABEL = /^(?:priority[:\s-]*)?(low|medium|high|urgent)(?:[\s-]*priority)?$/i;
+
+// Cards in lists with these names are imported as completed
+const DONE_LIST = /^(done|complete|completed|finished)$/i;
+
+const byPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+const convertTrello = ({ format, data, groupAs }) => {
+  if (format !== 'json') {
+    throw new ImportError('Trello boards must be imported from their JSON export');
+  }
+
+  let board;
+  try {
+    board = JSON.parse(data);
+  } catch (error) {
+    throw new ImportError('The import file is not valid JSON');
+  }
+
+  if (!board || !Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+    throw new ImportError('This is not a Trello board export (expected cards and lists)');
+  }
+
+  const lists = new Map(board.lists.map(list => [list.id, list]));
+  const checklists = board.checklists || [];
+  const rows = [];
+  const skipped = [];
+
+  [...board.cards].sort(byPosition).forEach(card => {
+    const title = String(card.name || '').trim();
+    const list = lists.get(card.idList);
+
+    if (card.closed) {
+      skipped.push({ item: title, reason: 'Card is archived' });
+      return;
+    }
+    if (list?.closed) {
+      skipped.push({ item: title, reason: `List "${list.name}" is archived` });
+      return;
+    }
+
+    let priority = 'medium';
+    const tags = [];
+    (card.labels || []).forEach(label => {
+      const match = String(label.name || '').trim().match(PRIORITY_LABEL);
+      if (match) {
+        priority = match[1].toLowerCase();
+      } else if (label.name || label.color) {
+        // Unnamed labels are only a color on Trello
+        tags.push(label.name || label.color);
+      }
+    });
+
+    const subTasks = checklists
+      .filter(checklist => checklist.idCard === card.id)
+      .sort(byPosition)
+      .flatMap(checklist => [...(checklist.checkItems || [])].sort(byPosition))
+      .map(item => ({ title: String(item.name || '').trim(), isDone: item.state === 'complete' }));
+
+    if ((card.badges?.attachments || 0) > 0 || (card.attachments || []).length > 0) {
+      skipped.push({ item: title, reason: 'Attachments are not imported' });
+    }
+    if ((card.badges?.comments || 0) > 0) {
+      skipped.push({ item: title, reason: 'Comments are not imported' });
+    }
+
+    rows.push({
+      title,
+      description: card.desc || '',
+      priority,
+      isDone: !!card.dueComplete || DONE_LIST.test(list?.name || ''),
+      dueDate: dueDateFor(title, card.due, null, skipped),
+      subTasks,
+      ...groupFields(list?.name || board.name || 'Trello', tags, groupAs)
+    });
+  });
+
+  return { rows: finalizeRows(rows, skipped), skipped };
+};
+
+module.exports = convertTrello;
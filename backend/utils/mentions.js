@@ -0,0 +1,55 @@
+// @mentions in comments.
+//
+//   Thanks @Ada Lovelace, can @grace take a look?
+//
+// A mention is "@" followed by a user's full name or, when no one else shares
+// it, their first name (case-insensitive). The longest name wins, so
+// "@Ada Lovelace" isn't read as a mention of someone called just "Ada".
+// An "@" inside a word, as in an email address, is not a mention.
+
+const isWordChar = (char) => /\w/.test(char);
+
+// Every name each user can be mentioned by, longest first
+const buildAliases = (users) => {
+  const firstNameCounts = new Map();
+  users.forEach(user => {
+    const firstName = user.name.split(/\s+/)[0].toLowerCase();
+    firstNameCounts.set(firstName, (firstNameCounts.get(firstName) || 0) + 1);
+  });
+
+  return users
+    .flatMap(user => {
+      const fullName = user.name.toLowerCase();
+      const firstName = fullName.split(/\s+/)[0];
+      return firstName !== fullName && firstNameCounts.get(firstName) === 1
+        ? [{ alias: fullName, user }, { alias: firstName, user }]
+        : [{ alias: fullName, user }];
+    })
+    .sort((a, b) => b.alias.length - a.alias.length);
+};
+
+// Find the users (objects with a name) mentioned in text, without duplicates
+const findMentions = (text, users) => {
+  const aliases = buildAliases(users.filter(user => user.name));
+  const lowerText = text.toLowerCase();
+  const mentioned = new Map();
+
+  for (let index = lowerText.indexOf('@'); index !== -1; index = lowerText.indexOf('@', index + 1)) {
+    if (index > 0 && isWordChar(lowerText[index - 1])) continue;
+
+    const rest = lowerText.slice(index + 1);
+    const match = aliases.find(({ alias }) =>
+      rest.startsWith(alias) && !isWordChar(rest.charAt(alias.length))
+    );
+
+    if (match) {
+      mentioned.set(String(match.user._id), match.user);
+    }
+  }
+
+  return [...mentioned.values()];
+};
+
+module.exports = {
+  findMentions
+};
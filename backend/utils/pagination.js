@@ -0,0 +1,75 @@
+// Keyset (cursor) pagination helpers.
+// A cursor records the sort value and _id of the last task on a page; the next
+// page starts strictly after that pair, so inserts and deletes elsewhere in the
+// list never shift or repeat results the way skip/limit offsets do.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+class CursorError extends Error {
+  constructor(message = 'Invalid pagination cursor') {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit);
+  if (isNaN(parsed) || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+const encodeCursor = (value, id) => {
+  const payload = {
+    v: value === undefined ? null : value,
+    d: value instanceof Date,
+    id: String(id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new CursorError();
+
+    const value = d ? new Date(v) : v;
+    if (d && isNaN(value.getTime())) throw new CursorError();
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new CursorError();
+  }
+};
+
+// Match everything after the cursor for a { [field]: direction, _id: direction } sort.
+// MongoDB sorts null before any value, so nulls come first ascending and last descending.
+const buildCursorMatch = (field, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  const sameValueLaterId = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [sameValueLaterId, { [field]: { $ne: null } }] }
+      : sameValueLaterId;
+  }
+
+  const laterValues = [{ [field]: { [after]: value } }];
+  if (direction === -1) {
+    laterValues.push({ [field]: null });
+  }
+
+  return { $or: [...laterValues, sameValueLaterId] };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  CursorError,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch
+};
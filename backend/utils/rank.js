@@ -0,0 +1,59 @@
+// Lexicographic ranks for manual ordering.
+// Ranks are base-36 strings compared as plain strings, so a new rank can always
+// be generated between two neighbours without renumbering the rest of the list.
+// Generated ranks never end in '0', which guarantees there is room between any two.
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+const digitAt = (rank, index, fallback) => (
+  rank && index < rank.length ? DIGITS.indexOf(rank[index]) : fallback
+);
+
+// Rank strictly between `before` and `after`; either may be null for an open end
+const rankBetween = (before, after) => {
+  if (before && after && before >= after) {
+    throw new Error('Rank bounds are out of order');
+  }
+
+  let upper = after || null;
+  let rank = '';
+
+  for (let i = 0; ; i++) {
+    const low = digitAt(before, i, 0);
+    const high = digitAt(upper, i, BASE);
+
+    if (low === high) {
+      rank += DIGITS[low];
+      continue;
+    }
+
+    if (high - low > 1) {
+      // Step by one digit at an open end so repeated prepends/appends stay short
+      if (!before) return rank + DIGITS[high - 1];
+      if (!upper) return rank + DIGITS[low + 1];
+      return rank + DIGITS[Math.floor((low + high) / 2)];
+    }
+
+    // Adjacent digits: keep the lower one and look for room further right
+    rank += DIGITS[low];
+    upper = null;
+  }
+};
+
+// `count` evenly spaced ranks, used when assigning positions to a whole list
+const rankSequence = (count) => {
+  const width = Math.max(1, Math.ceil(Math.log(count + 1) / Math.log(BASE)));
+  const span = Math.pow(BASE, width);
+
+  return Array.from({ length: count }, (_, index) => {
+    const value = Math.floor(((index + 1) * span) / (count + 1));
+    // The trailing middle digit keeps ranks from ending in '0'
+    return value.toString(BASE).padStart(width, '0') + DIGITS[BASE / 2];
+  });
+};
+
+module.exports = {
+  rankBetween,
+  rankSequence
+};
@@ -0,0 +1,113 @@
+// Recurrence helpers for repeating tasks.
+// Rules are a small subset of RFC 5545 RRULEs:
+//   daily           - every `interval` days
+//   weekly          - every `interval` weeks on `weekdays` (0 = Sunday)
+//   monthly         - every `interval` months on `monthDay` (clamped to month length)
+//   afterCompletion - `interval` days after the task was completed
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety net for malformed rules (e.g. weekly with no weekdays)
+const MAX_ITERATIONS = 3660;
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'afterCompletion'];
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const addMonths = (date, months, monthDay) => {
+  const result = new Date(date);
+  const day = monthDay || date.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  result.setDate(Math.min(day, daysInMonth(result.getFullYear(), result.getMonth())));
+  return result;
+};
+
+const startOfWeek = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  result.setDate(result.getDate() - result.getDay());
+  return result;
+};
+
+// Advance one step from `date` according to the rule
+const step = (recurrence, date, anchor) => {
+  const interval = recurrence.interval || 1;
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      return addDays(date, interval);
+
+    case 'weekly': {
+      const weekdays = recurrence.weekdays && recurrence.weekdays.length > 0
+        ? recurrence.weekdays
+        : [anchor.getDay()];
+      const anchorWeek = startOfWeek(anchor).getTime();
+      let candidate = addDays(date, 1);
+
+      for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const weeksSinceAnchor = Math.round((startOfWeek(candidate).getTime() - anchorWeek) / (7 * DAY_MS));
+        if (weekdays.includes(candidate.getDay()) && weeksSinceAnchor % interval === 0) {
+          return candidate;
+        }
+        candidate = addDays(candidate, 1);
+      }
+      return null;
+    }
+
+    // Without a monthDay, stay on the anchor's day so a series starting on
+    // the 31st doesn't drift to the 28th after February
+    case 'monthly':
+      return addMonths(date, interval, recurrence.monthDay || anchor.getDate());
+
+    default:
+      return null;
+  }
+};
+
+// Compute the due date of the occurrence that follows a completed task.
+// Returns null when the series has ended or the rule cannot produce a date.
+const getNextDueDate = (recurrence, dueDate, completedAt, now = new Date()) => {
+  if (!recurrence || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+    return null;
+  }
+
+  if (recurrence.count && (recurrence.occurrence || 1) >= recurrence.count) {
+    return null;
+  }
+
+  let next;
+
+  if (recurrence.frequency === 'afterCompletion') {
+    next = addDays(completedAt || now, recurrence.interval || 1);
+  } else {
+    const anchor = new Date(dueDate || completedAt || now);
+    next = step(recurrence, anchor, anchor);
+
+    // Skip occurrences that are already in the past (e.g. completing an overdue task)
+    for (let i = 0; next && next <= now && i < MAX_ITERATIONS; i++) {
+      next = step(recurrence, next, anchor);
+    }
+  }
+
+  if (!next || next <= now) {
+    return null;
+  }
+
+  if (recurrence.endDate && next > new Date(recurrence.endDate)) {
+    return null;
+  }
+
+  return next;
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  getNextDueDate
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getNextDueDate } = require('./recurrence');
+
+// Local dates, matching how the helpers step through days
+const date = (year, month, day, hours = 9) => new Date(year, month - 1, day, hours);
+
+test('daily rules step by the interval', () => {
+  const next = getNextDueDate({ frequency: 'daily', interval: 3 }, date(2024, 3, 1), null, date(2024, 3, 1, 8));
+  assert.deepEqual(next, date(2024, 3, 4));
+});
+
+test('monthly rules keep the anchor day through short months', () => {
+  const rule = { frequency: 'monthly' };
+  const now = date(2024, 1, 31, 8);
+
+  assert.deepEqual(getNextDueDate(rule, date(2024, 1, 31), null, now), date(2024, 2, 29));
+
+  // Completing an overdue task skips ahead without drifting to the 29th
+  assert.deepEqual(getNextDueDate(rule, date(2024, 1, 31), null, date(2024, 3, 5)), date(2024, 3, 31));
+  assert.deepEqual(getNextDueDate(rule, date(2024, 1, 31), null, date(2024, 4, 1)), date(2024, 4, 30));
+});
+
+test('monthly rules use monthDay when set', () => {
+  const rule = { frequency: 'monthly', interval: 2, monthDay: 15 };
+  assert.deepEqual(getNextDueDate(rule, date(2024, 1, 15), null, date(2024, 1, 15, 8)), date(2024, 3, 15));
+  assert.deepEqual(getNextDueDate({ frequency: 'monthly', monthDay: 31 }, date(2023, 1, 31), null, date(2023, 1, 31, 8)), date(2023, 2, 28));
+});
+
+test('weekly rules honour the interval and weekdays', () => {
+  // Monday 2024-03-04, every 2 weeks on Monday and Thursday
+  const rule = { frequency: 'weekly', interval: 2, weekdays: [1, 4] };
+  const now = date(2024, 3, 4, 8);
+
+  assert.deepEqual(getNextDueDate(rule, date(2024, 3, 4), null, now), date(2024, 3, 7));
+  assert.deepEqual(getNextDueDate(rule, date(2024, 3, 7), null, now), date(2024, 3, 18));
+});
+
+test('weekly rules without weekdays repeat on the due date weekday', () => {
+  const rule = { frequency: 'weekly' };
+  assert.deepEqual(getNextDueDate(rule, date(2024, 3, 6), null, date(2024, 3, 6, 8)), date(2024, 3, 13));
+});
+
+test('afterCompletion rules count from the completion time', () => {
+  const rule = { frequency: 'afterCompletion', interval: 2 };
+  const completedAt = date(2024, 3, 10, 17);
+  assert.deepEqual(getNextDueDate(rule, date(2024, 3, 1), completedAt, completedAt), date(2024, 3, 12, 17));
+});
+
+test('series end after count occurrences', () => {
+  const now = date(2024, 3, 1, 8);
+  assert.ok(getNextDueDate({ frequency: 'daily', count: 3, occurrence: 2 }, date(2024, 3, 1), null, now));
+  assert.equal(getNextDueDate({ frequency: 'daily', count: 3, occurrence: 3 }, date(2024, 3, 1), null, now), null);
+});
+
+test('series end after endDate', () => {
+  const rule = { frequency: 'daily', endDate: date(2024, 3, 2, 0) };
+  const now = date(2024, 3, 1, 8);
+  assert.equal(getNextDueDate(rule, date(2024, 3, 1), null, now), null);
+  assert.deepEqual(getNextDueDate({ ...rule, endDate: date(2024, 3, 2, 23) }, date(2024, 3, 1), null, now), date(2024, 3, 2));
+});
+
+test('unknown frequencies produce no date', () => {
+  assert.equal(getNextDueDate({ frequency: 'yearly' }, date(2024, 3, 1)), null);
+  assert.equal(getNextDueDate(null, date(2024, 3, 1)), null);
+});
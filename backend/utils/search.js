@@ -0,0 +1,127 @@
+// Helpers for task full-text search.
+// User input is parsed into terms, "quoted phrases" and -exclusions, then
+// rebuilt into a MongoDB $text search string. Nothing from the input is ever
+// compiled as a regular expression without escaping.
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TOKENS = 20;
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Strip characters that have meaning in $text search strings
+const cleanToken = (value) => value.replace(/["\\]/g, '').trim();
+
+const parseSearchQuery = (input) => {
+  const query = String(input || '').slice(0, MAX_QUERY_LENGTH);
+  const terms = [];
+  const phrases = [];
+  const exclusions = [];
+
+  // "a phrase" | -"excluded phrase" | -word | word
+  const tokenPattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(query)) && terms.length + phrases.length + exclusions.length < MAX_TOKENS) {
+    const isPhrase = match[2] !== undefined;
+    const negated = isPhrase ? match[1] === '-' : match[3] === '-';
+    const value = cleanToken(isPhrase ? match[2] : match[4]);
+
+    if (!value) continue;
+
+    if (negated) {
+      exclusions.push(value);
+    } else if (isPhrase && /\s/.test(value)) {
+      phrases.push(value);
+    } else {
+      terms.push(value.replace(/^-+/, ''));
+    }
+  }
+
+  return { terms: terms.filter(Boolean), phrases, exclusions };
+};
+
+// Rebuild a parsed query as a $text search string
+const toTextSearch = ({ terms, phrases, exclusions }) => {
+  return [
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...terms,
+    ...exclusions.map(exclusion => (/\s/.test(exclusion) ? `-"${exclusion}"` : `-${exclusion}`))
+  ].join(' ');
+};
+
+// A $text query needs at least one positive term or phrase
+const hasPositiveTerms = ({ terms, phrases }) => terms.length > 0 || phrases.length > 0;
+
+const buildMatcher = ({ terms, phrases }) => {
+  const needles = [...phrases, ...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return needles.length > 0 ? new RegExp(`(${needles.join('|')})`, 'gi') : null;
+};
+
+// Split text into [{ text, match }] segments so the client can highlight
+// matches without rendering HTML from the server
+const highlightText = (text, matcher) => {
+  if (!text || !matcher) return null;
+
+  const segments = [];
+  let lastIndex = 0;
+  let hasMatch = false;
+  matcher.lastIndex = 0;
+
+  let match;
+  while ((match = matcher.exec(text))) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+    hasMatch = true;
+  }
+
+  if (!hasMatch) return null;
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+// Cut a window of text around the first match
+const snippetAround = (text, matcher) => {
+  if (!text || !matcher) return null;
+
+  matcher.lastIndex = 0;
+  const match = matcher.exec(text);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  return highlightText(snippet, matcher);
+};
+
+// Highlighted title, description snippet and matching tags for a task
+const buildHighlights = (task, parsed) => {
+  const matcher = buildMatcher(parsed);
+  if (!matcher) return null;
+
+  return {
+    title: highlightText(task.title, matcher),
+    description: snippetAround(task.description, matcher),
+    tags: (task.tags || []).filter(tag => {
+      matcher.lastIndex = 0;
+      return matcher.test(tag);
+    })
+  };
+};
+
+module.exports = {
+  escapeRegExp,
+  parseSearchQuery,
+  toTextSearch,
+  hasPositiveTerms,
+  buildHighlights
+};
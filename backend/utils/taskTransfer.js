@@ -0,0 +1,251 @@
+// Conversion between tasks and the export/import file formats.
+// CSV files have one task per row: tags are comma separated and subtasks are
+// one per line, prefixed with "[x] " when done and "[ ] " when open.
+// JSON files hold { tasks: [...] } (or a bare array) of the same fields.
+
+const { formatRow, parseCsv } = require('./csv');
+
+const TRANSFER_FORMATS = ['csv', 'json'];
+
+const EXPORT_COLUMNS = ['title', 'description', 'category', 'priority', 'isDone', 'dueDate', 'completedAt', 'tags', 'subTasks', 'createdAt'];
+
+// Fields an import row can set
+const IMPORT_FIELDS = ['title', 'description', 'category', 'priority', 'isDone', 'dueDate', 'completedAt', 'tags', 'subTasks'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Header names other apps use for each field, matched case-insensitively
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'task', 'content', 'summary'],
+  description: ['description', 'notes', 'note', 'details'],
+  category: ['category', 'list', 'project'],
+  priority: ['priority', 'importance'],
+  isDone: ['isdone', 'done', 'completed', 'status'],
+  dueDate: ['duedate', 'due date', 'due', 'deadline'],
+  completedAt: ['completedat', 'completed at', 'completion date'],
+  tags: ['tags', 'labels', 'label'],
+  subTasks: ['subtasks', 'sub tasks', 'checklist']
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', '', 'open', 'pending'];
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const toIsoString = (date) => (date ? new Date(date).toISOString() : null);
+
+// Portable representation of a task, shared by both formats
+const taskToRecord = (task) => ({
+  title: task.title,
+  description: task.description || '',
+  category: task.category,
+  priority: task.priority,
+  isDone: task.isDone,
+  dueDate: toIsoString(task.dueDate),
+  completedAt: toIsoString(task.completedAt),
+  tags: task.tags || [],
+  subTasks: (task.subTasks || []).map(subTask => ({ title: subTask.title, isDone: subTask.isDone })),
+  recurrence: task.recurrence || null,
+  createdAt: toIsoString(task.createdAt)
+});
+
+const csvHeader = () => formatRow(EXPORT_COLUMNS);
+
+const recordToCsv = (record) => formatRow(EXPORT_COLUMNS.map(column => {
+  switch (column) {
+    case 'tags':
+      return record.tags.join(', ');
+    case 'subTasks':
+      return record.subTasks.map(subTask => `${subTask.isDone ? '[x]' : '[ ]'} ${subTask.title}`).join('\n');
+    default:
+      return record[column];
+  }
+}));
+
+// Pick the column that most likely holds each field
+const suggestMapping = (columns) => {
+  const normalized = columns.map(column => column.trim().toLowerCase());
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex(column => FIELD_ALIASES[field].includes(column));
+    if (index !== -1) mapping[field] = columns[index];
+    return mapping;
+  }, {});
+};
+
+// Read the uploaded file into raw rows keyed by field name
+const readImportRows = ({ format, data, mapping }) => {
+  if (!TRANSFER_FORMATS.includes(format)) {
+    throw new ImportError('Format must be one of: ' + TRANSFER_FORMATS.join(', '));
+  }
+
+  if (typeof data !== 'string' || !data.trim()) {
+    throw new ImportError('The import file is empty');
+  }
+
+  let columns = [];
+  let rows;
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new ImportError('The import file is not valid JSON');
+    }
+
+    rows = Array.isArray(parsed) ? parsed : parsed?.tasks;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+      throw new ImportError('JSON imports must contain an array of tasks');
+    }
+  } else {
+    const [header = [], ...body] = parseCsv(data);
+    columns = header.map(column => column.trim());
+
+    if (mapping && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      throw new ImportError('Mapping must be an object of field to column name');
+    }
+
+    const fieldMapping = mapping || suggestMapping(columns);
+    const unknown = Object.entries(fieldMapping)
+      .filter(([field, column]) => !IMPORT_FIELDS.includes(field) || (column && !columns.includes(column)));
+    if (unknown.length > 0) {
+      throw new ImportError(`Unknown field or column in mapping: ${unknown.map(([field]) => field).join(', ')}`);
+    }
+
+    rows = body.map(cells => Object.entries(fieldMapping).reduce((row, [field, column]) => {
+      if (column) row[field] = cells[columns.indexOf(column)] ?? '';
+      return row;
+    }, {}));
+    mapping = fieldMapping;
+  }
+
+  if (rows.length === 0) {
+    throw new ImportError('The import file has no tasks');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Imports are limited to ${MAX_IMPORT_ROWS} tasks`);
+  }
+
+  return { columns, mapping: mapping || null, rows };
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return undefined;
+};
+
+const parseDate = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseList = (value) => {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value ?? '').split(',');
+};
+
+const parseSubTasks = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(subTask => (typeof subTask === 'string'
+      ? { title: subTask, isDone: false }
+      : { title: String(subTask?.title ?? ''), isDone: !!subTask?.isDone }));
+  }
+
+  return String(value ?? '')
+    .split(/\r?\n/)
+    .map(line => {
+      const match = line.match(/^\s*(?:[-*]\s*)?\[( |x|X)\]\s*(.*)$/);
+      return match
+        ? { title: match[2], isDone: match[1].toLowerCase() === 'x' }
+        : { title: line, isDone: false };
+    });
+};
+
+// Turn a raw row into Task fields. Problems the schema can't see (unparseable
+// values) become errors; lossy fixes become warnings.
+const normalizeRow = (row, { categories, defaultCategory }) => {
+  const errors = [];
+  const warnings = [];
+  const fields = {
+    title: String(row.title ?? '').trim(),
+    description: String(row.description ?? '').trim()
+  };
+
+  const categoryValue = String(row.category ?? '').trim().toLowerCase();
+  if (categoryValue) {
+    const category = categories.find(c => c.key === categoryValue || c.name.toLowerCase() === categoryValue);
+    if (category) {
+      fields.category = category.key;
+    } else {
+      fields.category = defaultCategory;
+      warnings.push(`Unknown category "${row.category}", using "${defaultCategory}"`);
+    }
+  } else {
+    fields.category = defaultCategory;
+  }
+
+  const priority = String(row.priority ?? '').trim().toLowerCase();
+  if (priority) fields.priority = priority;
+
+  if (row.isDone !== undefined) {
+    const isDone = parseBoolean(row.isDone);
+    if (isDone === undefined) {
+      errors.push(`Cannot read "${row.isDone}" as done or not done`);
+    } else {
+      fields.isDone = isDone;
+    }
+  }
+
+  ['dueDate', 'completedAt'].forEach(field => {
+    if (row[field] === undefined) return;
+    const date = parseDate(row[field]);
+    if (date === undefined) {
+      errors.push(`Cannot read "${row[field]}" as a date`);
+    } else if (field === 'dueDate' || fields.isDone) {
+      fields[field] = date;
+    }
+  });
+
+  if (row.tags !== undefined) {
+    fields.tags = [...new Set(parseList(row.tags).map(tag => tag.trim()).filter(Boolean))];
+  }
+
+  if (row.subTasks !== undefined) {
+    fields.subTasks = parseSubTasks(row.subTasks).filter(subTask => subTask.title.trim());
+  }
+
+  if (row.recurrence && typeof row.recurrence === 'object') {
+    fields.recurrence = row.recurrence;
+  }
+
+  return { fields, errors, warnings };
+};
+
+// Tasks with the same title and due date are treated as duplicates
+const duplicateKey = (task) => `${String(task.title).trim().toLowerCase()}|${toIsoString(task.dueDate) || ''}`;
+
+module.exports = {
+  TRANSFER_FORMATS,
+  EXPORT_COLUMNS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  ImportError,
+  taskToRecord,
+  csvHeader,
+  recordToCsv,
+  suggestMapping,
+  readImportRows,
+  normalizeRow,
+  duplicateKey
+};
@@ -0,0 +1,92 @@
+// Timezone helpers built on Intl, so users' local times can be turned into
+// UTC instants without a date library.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date and time of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+// Minutes the timezone is ahead of UTC at an instant
+const getOffsetMinutes = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// The instant a wall-clock time happens in a timezone. Times skipped or
+// repeated by a DST change resolve to one side of it.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  // Re-check with the offset at the result, which differs across a DST change
+  instant = wallClock - getOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+};
+
+// Midnight at the start of the day an instant falls on, in a timezone
+const startOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+// Calendar date `days` after the zoned date of an instant, as { year, month, day }
+const addZonedDays = (date, days, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const shifted = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+};
+
+// Next instant after `after` that is `time` ("HH:MM") local time, optionally
+// only on a given weekday (0 = Sunday)
+const getNextZonedTime = (time, timeZone, after = new Date(), weekday = null) => {
+  const [hour, minute] = time.split(':').map(Number);
+
+  for (let days = 0; days <= 7; days++) {
+    const date = addZonedDays(after, days, timeZone);
+    const dayOfWeek = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+    if (weekday !== null && dayOfWeek !== weekday) continue;
+
+    const candidate = zonedTimeToUtc({ ...date, hour, minute }, timeZone);
+    if (candidate > after) return candidate;
+  }
+  return null;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  getNextZonedTime
+};
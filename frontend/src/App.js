@@ -2,12 +2,16 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { CategoryProvider } from './context/CategoryContext';
 import LoadingSpinner from './components/LoadingSpinner';
 
 // Pages
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
+import Trash from './pages/Trash';
+import Calendar from './pages/Calendar';
+import Project from './pages/Project';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -70,6 +74,33 @@ function AppRoutes() {
         } 
       />
 
+      <Route 
+        path="/calendar" 
+        element={
+          <ProtectedRoute>
+            <Calendar />
+          </ProtectedRoute>
+        } 
+      />
+
+      <Route 
+        path="/projects/:id" 
+        element={
+          <ProtectedRoute>
+            <Project />
+          </ProtectedRoute>
+        } 
+      />
+
+      <Route 
+        path="/trash" 
+        element={
+          <ProtectedRoute>
+            <Trash />
+          </ProtectedRoute>
+        } 
+      />
+
       {/* Default redirects */}
       <Route path="/" element={<Navigate to="/dashboard" replace />} />
       <Route path="*" element={<Navigate to="/dashboard" replace />} />
@@ -80,39 +111,41 @@ function AppRoutes() {
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="App">
-          <AppRoutes />
+      <CategoryProvider>
+        <Router>
+          <div className="App">
+            <AppRoutes />
           
-          {/* Toast notifications */}
-          <Toaster
-            position="top-right"
-            toastOptions={{
-              duration: 4000,
-              style: {
-                background: '#363636',
-                color: '#fff',
-                borderRadius: '12px',
-                padding: '16px',
-                fontSize: '14px',
-                maxWidth: '400px',
-              },
-              success: {
-                iconTheme: {
-                  primary: '#22c55e',
-                  secondary: '#fff',
+            {/* Toast notifications */}
+            <Toaster
+              position="top-right"
+              toastOptions={{
+                duration: 4000,
+                style: {
+                  background: '#363636',
+                  color: '#fff',
+                  borderRadius: '12px',
+                  padding: '16px',
+                  fontSize: '14px',
+                  maxWidth: '400px',
+                },
+                success: {
+                  iconTheme: {
+                    primary: '#22c55e',
+                    secondary: '#fff',
+                  },
                 },
-              },
-              error: {
-                iconTheme: {
-                  primary: '#ef4444',
-                  secondary: '#fff',
+                error: {
+                  iconTheme: {
+                    primary: '#ef4444',
+                    secondary: '#fff',
+                  },
                 },
-              },
-            }}
-          />
-        </div>
-      </Router>
+              }}
+            />
+          </div>
+        </Router>
+      </CategoryProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+import Avatar from './Avatar';
+
+// Select for handing a task to its owner or one of its project's editors
+const AssigneePicker = ({ task, onChanged }) => {
+  const [users, setUsers] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        const response = await tasksAPI.getAssignableUsers(task._id);
+        setUsers(response.users);
+      } catch (error) {
+        console.error('Error loading assignable users:', error);
+      }
+    };
+    loadUsers();
+  }, [task._id, task.projectId]);
+
+  const handleChange = async (e) => {
+    try {
+      setSaving(true);
+      const response = await tasksAPI.assignTask(task._id, e.target.value || null);
+      onChanged(response);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to assign task');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Assignee</h4>
+      {task.assignee && <Avatar user={task.assignee} size="xs" />}
+      <select
+        className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600"
+        value={task.assigneeId || ''}
+        onChange={handleChange}
+        disabled={saving}
+      >
+        <option value="">Unassigned</option>
+        {/* Keep the current assignee selectable while the list loads */}
+        {task.assignee && !users.some(user => user._id === task.assigneeId) && (
+          <option value={task.assigneeId}>{task.assignee.name}</option>
+        )}
+        {users.map(user => (
+          <option key={user._id} value={user._id}>
+            {user.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default AssigneePicker;
@@ -0,0 +1,68 @@
+import React, { useRef, useState } from 'react';
+import { formatFileSize } from '../utils/helpers';
+import { VALIDATION_RULES } from '../utils/constants';
+import LoadingSpinner from './LoadingSpinner';
+
+const AttachmentDropzone = ({ onFiles, uploading = false, progress = 0 }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length > 0) {
+      onFiles(files);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!uploading) {
+      handleFiles(e.dataTransfer.files);
+    }
+  };
+
+  return (
+    <div
+      className={`
+        border-2 border-dashed rounded-lg p-4 text-center text-sm transition-colors cursor-pointer
+        ${isDragging
+          ? 'border-primary-500 bg-primary-50 dark:bg-gray-700'
+          : 'border-gray-300 hover:border-primary-400 dark:border-gray-600'}
+      `}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      onClick={() => !uploading && inputRef.current?.click()}
+    >
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        className="hidden"
+        onChange={(e) => {
+          handleFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+      {uploading ? (
+        <div className="flex items-center justify-center gap-2 text-gray-600 dark:text-gray-300">
+          <LoadingSpinner size="sm" />
+          <span>Uploading... {progress}%</span>
+        </div>
+      ) : (
+        <p className="text-gray-600 dark:text-gray-400">
+          📎 Drop files here or <span className="text-primary-600 font-medium">browse</span>
+          <span className="block text-xs text-gray-400 mt-1">
+            Up to {formatFileSize(VALIDATION_RULES.ATTACHMENT.maxSize)} per file
+          </span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentDropzone;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { formatFileSize } from '../utils/helpers';
+
+const getFileIcon = (type = '') => {
+  if (type.startsWith('image/')) return '🖼️';
+  if (type === 'application/pdf') return '📕';
+  if (type.includes('spreadsheet') || type.includes('excel') || type === 'text/csv') return '📊';
+  if (type.includes('zip')) return '🗜️';
+  return '📄';
+};
+
+const AttachmentList = ({ attachments = [], onDownload, onDelete }) => {
+  if (attachments.length === 0) return null;
+
+  return (
+    <ul className="space-y-1" onClick={(e) => e.stopPropagation()}>
+      {attachments.map(attachment => (
+        <li
+          key={attachment._id}
+          className="flex items-center gap-2 text-sm group/attachment"
+        >
+          <span>{getFileIcon(attachment.type)}</span>
+          <button
+            type="button"
+            className="flex-1 min-w-0 truncate text-left text-primary-600 hover:text-primary-700 hover:underline"
+            onClick={() => onDownload(attachment)}
+            title={`Download ${attachment.name}`}
+          >
+            {attachment.name}
+          </button>
+          <span className="text-xs text-gray-400 flex-shrink-0">
+            {formatFileSize(attachment.size || 0)}
+          </span>
+          {onDelete && (
+            <button
+              type="button"
+              className="text-xs text-gray-400 hover:text-red-500 opacity-0 group-hover/attachment:opacity-100 transition-opacity"
+              onClick={() => onDelete(attachment)}
+              title="Remove attachment"
+            >
+              ✕
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+const SIZES = {
+  xs: 'w-5 h-5 text-[10px]',
+  sm: 'w-7 h-7 text-xs',
+  md: 'w-9 h-9 text-sm'
+};
+
+const getInitials = (name = '') => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('') || '?';
+
+// A user's picture, or their initials when they have none
+const Avatar = ({ user, size = 'sm', className = '' }) => {
+  const classes = `${SIZES[size]} rounded-full flex-shrink-0 ring-2 ring-white dark:ring-gray-800 ${className}`;
+  const title = user?.email ? `${user.name} (${user.email})` : user?.name;
+
+  if (user?.avatar) {
+    return <img src={user.avatar} alt={user.name} title={title} className={`${classes} object-cover`} />;
+  }
+
+  return (
+    <span
+      className={`${classes} inline-flex items-center justify-center font-semibold bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-200`}
+      title={title}
+    >
+      {getInitials(user?.name)}
+    </span>
+  );
+};
+
+export default Avatar;
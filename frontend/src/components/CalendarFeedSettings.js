@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+import { SUCCESS_MESSAGES } from '../utils/constants';
+import Button from './Button';
+import LoadingSpinner from './LoadingSpinner';
+
+const CalendarFeedSettings = ({ onClose }) => {
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [asTodos, setAsTodos] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    authAPI.getFeed()
+      .then(response => setFeedUrl(response.feedUrl))
+      .catch(() => toast.error('Failed to load calendar feed'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const subscriptionUrl = feedUrl && (asTodos ? `${feedUrl}?type=todo` : feedUrl);
+
+  const run = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      const response = await action();
+      setFeedUrl(response.feedUrl);
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update calendar feed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleGenerate = () => {
+    if (feedUrl && !window.confirm('Generate a new URL? Calendars subscribed to the current one will stop updating.')) return;
+    run(authAPI.regenerateFeed, SUCCESS_MESSAGES.FEED_GENERATED);
+  };
+
+  const handleRevoke = () => {
+    if (!window.confirm('Disable the calendar feed? Subscribed calendars will stop updating.')) return;
+    run(authAPI.revokeFeed, SUCCESS_MESSAGES.FEED_REVOKED);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(subscriptionUrl);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-white dark:bg-gray-800 rounded-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto"
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">
+          Calendar Feed
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Subscribe to your open tasks with due dates from Google Calendar, Apple Calendar or Outlook.
+          Anyone with the link can see these tasks, so keep it private.
+        </p>
+
+        {loading ? (
+          <LoadingSpinner size="sm" text="Loading..." />
+        ) : feedUrl ? (
+          <div className={`space-y-4 mb-6 ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                readOnly
+                className="flex-1 min-w-0 px-3 py-2 text-xs font-mono border border-gray-300 rounded-lg bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+                value={subscriptionUrl}
+                onFocus={(e) => e.target.select()}
+              />
+              <Button size="sm" variant="outline" onClick={handleCopy}>
+                Copy
+              </Button>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={asTodos}
+                onChange={(e) => setAsTodos(e.target.checked)}
+              />
+              Publish as to-dos instead of events
+            </label>
+
+            <a
+              href={subscriptionUrl.replace(/^https?:/, 'webcal:')}
+              className="block text-sm text-primary-600 hover:text-primary-700"
+            >
+              Open in calendar app
+            </a>
+
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" onClick={handleGenerate}>
+                Regenerate URL
+              </Button>
+              <Button size="sm" variant="danger" onClick={handleRevoke}>
+                Disable feed
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="mb-6">
+            <Button fullWidth loading={busy} onClick={handleGenerate}>
+              Create feed URL
+            </Button>
+          </div>
+        )}
+
+        <Button variant="ghost" fullWidth onClick={onClose}>
+          Close
+        </Button>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default CalendarFeedSettings;
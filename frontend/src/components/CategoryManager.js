@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useCategories } from '../context/CategoryContext';
+import { CATEGORY_COLORS, SUCCESS_MESSAGES } from '../utils/constants';
+import Button from './Button';
+import Input from './Input';
+
+const emptyForm = { name: '', icon: '📁', color: 'gray' };
+
+const CategoryManager = ({ onClose, onCategoryDeleted }) => {
+  const { categories, createCategory, updateCategory, deleteCategory } = useCategories();
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [reassignTo, setReassignTo] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleEdit = (category) => {
+    setEditingId(category._id);
+    setForm({ name: category.label, icon: category.icon, color: category.color });
+    setDeleting(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Category name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await updateCategory(editingId, form);
+        toast.success(SUCCESS_MESSAGES.CATEGORY_UPDATED);
+      } else {
+        await createCategory(form);
+        toast.success(SUCCESS_MESSAGES.CATEGORY_CREATED);
+      }
+      resetForm();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startDelete = (category) => {
+    const fallback = categories.find(c => c._id !== category._id && c.value === 'other')
+      || categories.find(c => c._id !== category._id);
+    setDeleting(category);
+    setReassignTo(fallback?._id || '');
+    resetForm();
+  };
+
+  const confirmDelete = async () => {
+    try {
+      setSaving(true);
+      const response = await deleteCategory(deleting._id, reassignTo);
+      toast.success(SUCCESS_MESSAGES.CATEGORY_DELETED);
+      if (onCategoryDeleted) {
+        onCategoryDeleted(deleting.value, response.reassignedTo.key);
+      }
+      setDeleting(null);
+    } catch (error) {
+      toast.error('Failed to delete category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-white dark:bg-gray-800 rounded-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto"
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+          Manage Categories
+        </h2>
+
+        <ul className="space-y-2 mb-6">
+          {categories.map(category => (
+            <li key={category.value} className="flex items-center justify-between gap-2">
+              <span className={`category-badge category-${category.color}`}>
+                <span className="mr-1">{category.icon}</span>
+                {category.label}
+              </span>
+              <span className="flex-1 text-xs text-gray-400">
+                {category.taskCount ? `${category.taskCount} tasks` : ''}
+              </span>
+              {category._id && (
+                <div className="flex gap-1">
+                  <Button size="sm" variant="ghost" onClick={() => handleEdit(category)}>
+                    Edit
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    className="text-red-500 hover:text-red-600"
+                    disabled={categories.length <= 1}
+                    onClick={() => startDelete(category)}
+                  >
+                    Delete
+                  </Button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {deleting ? (
+          <div className="space-y-4 p-4 rounded-lg bg-red-50 dark:bg-gray-700">
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              Delete <strong>{deleting.label}</strong>? Its tasks will be moved to:
+            </p>
+            <select
+              className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              value={reassignTo}
+              onChange={(e) => setReassignTo(e.target.value)}
+            >
+              {categories
+                .filter(category => category._id && category._id !== deleting._id)
+                .map(category => (
+                  <option key={category._id} value={category._id}>
+                    {category.icon} {category.label}
+                  </option>
+                ))}
+            </select>
+            <div className="flex gap-3">
+              <Button variant="ghost" fullWidth onClick={() => setDeleting(null)}>
+                Cancel
+              </Button>
+              <Button variant="danger" fullWidth loading={saving} onClick={confirmDelete}>
+                Delete
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              {editingId ? 'Edit category' : 'New category'}
+            </h3>
+            <div className="grid grid-cols-4 gap-3">
+              <Input
+                containerClassName="col-span-1"
+                value={form.icon}
+                maxLength={8}
+                onChange={(e) => setForm(prev => ({ ...prev, icon: e.target.value }))}
+                aria-label="Icon"
+              />
+              <Input
+                containerClassName="col-span-3"
+                value={form.name}
+                maxLength={30}
+                placeholder="Category name..."
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              />
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {CATEGORY_COLORS.map(color => (
+                <button
+                  key={color}
+                  type="button"
+                  className={`category-badge category-${color} ${form.color === color ? 'ring-2 ring-offset-1 ring-primary-500' : ''}`}
+                  onClick={() => setForm(prev => ({ ...prev, color }))}
+                >
+                  {color}
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-3 pt-2">
+              <Button
+                variant="ghost"
+                fullWidth
+                onClick={editingId ? resetForm : onClose}
+              >
+                {editingId ? 'Cancel' : 'Close'}
+              </Button>
+              <Button type="submit" fullWidth loading={saving}>
+                {editingId ? 'Save Category' : 'Add Category'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+import { formatRelativeTime } from '../utils/helpers';
+import Avatar from './Avatar';
+import Button from './Button';
+import Markdown from './Markdown';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const CommentComposer = ({ initialBody = '', placeholder, submitLabel, onSubmit, onCancel, autoFocus }) => {
+  const [body, setBody] = useState(initialBody);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSaving(true);
+    const saved = await onSubmit(body.trim());
+    setSaving(false);
+    if (saved && !initialBody) setBody('');
+  };
+
+  // Ctrl/Cmd+Enter posts, like most chat boxes
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit(e);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+        rows={2}
+        maxLength={MAX_COMMENT_LENGTH}
+        placeholder={placeholder}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        onKeyDown={handleKeyDown}
+        autoFocus={autoFocus}
+      />
+      <div className="flex items-center justify-end gap-2">
+        {onCancel && (
+          <Button size="sm" variant="ghost" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" size="sm" loading={saving} disabled={!body.trim()}>
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, onReply, onEdit, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+
+  return (
+    <div className="flex gap-2">
+      <Avatar user={comment.author} size="xs" className="mt-0.5" />
+      <div className="flex-1 min-w-0">
+        <p className="text-xs text-gray-500">
+          <span className="font-medium text-gray-900 dark:text-white">{comment.author?.name || 'Unknown user'}</span>
+          {' '}· {formatRelativeTime(comment.createdAt)}
+          {comment.editedAt && ' · edited'}
+        </p>
+
+        {isEditing ? (
+          <CommentComposer
+            initialBody={comment.body}
+            submitLabel="Save"
+            autoFocus
+            onCancel={() => setIsEditing(false)}
+            onSubmit={async (body) => {
+              const saved = await onEdit(comment, body);
+              if (saved) setIsEditing(false);
+              return saved;
+            }}
+          />
+        ) : (
+          <div className="text-sm text-gray-700 dark:text-gray-300">
+            <Markdown text={comment.body} mentions={comment.mentions} />
+          </div>
+        )}
+
+        {!isEditing && (
+          <div className="flex gap-3 mt-1 text-xs text-gray-400">
+            {onReply && (
+              <button type="button" className="hover:text-primary-600" onClick={() => onReply(comment)}>
+                Reply
+              </button>
+            )}
+            {comment.canEdit && (
+              <button type="button" className="hover:text-primary-600" onClick={() => setIsEditing(true)}>
+                Edit
+              </button>
+            )}
+            {comment.canDelete && (
+              <button type="button" className="hover:text-red-500" onClick={() => onDelete(comment)}>
+                Delete
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// A task's discussion: threads of comments with one level of replies
+const CommentThread = ({ task, onCountChanged }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  const loadComments = useCallback(async () => {
+    try {
+      const response = await tasksAPI.getComments(task._id);
+      setComments(response.comments);
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const handleAdd = async (body, parentId = null) => {
+    try {
+      const response = await tasksAPI.addComment(task._id, { body, parentId });
+      setComments(prev => (parentId
+        ? prev.map(thread => thread._id === parentId
+          ? { ...thread, replies: [...thread.replies, response.comment] }
+          : thread)
+        : [...prev, response.comment]));
+      setReplyingTo(null);
+      onCountChanged(response.count);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to add comment');
+      return false;
+    }
+  };
+
+  const handleEdit = async (comment, body) => {
+    try {
+      const response = await tasksAPI.updateComment(task._id, comment._id, body);
+      const replace = (item) => (item._id === comment._id ? { ...item, ...response.comment } : item);
+      setComments(prev => prev.map(thread => ({ ...replace(thread), replies: thread.replies.map(replace) })));
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update comment');
+      return false;
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    const hasReplies = comment.replies?.length > 0;
+    if (!window.confirm(hasReplies ? 'Delete this comment and its replies?' : 'Delete this comment?')) return;
+
+    try {
+      const response = await tasksAPI.deleteComment(task._id, comment._id);
+      setComments(prev => prev
+        .filter(thread => thread._id !== comment._id)
+        .map(thread => ({ ...thread, replies: thread.replies.filter(reply => reply._id !== comment._id) })));
+      onCountChanged(response.count);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Discussion</h4>
+
+      {loading ? (
+        <p className="text-xs text-gray-500">Loading comments...</p>
+      ) : (
+        comments.map(thread => (
+          <div key={thread._id} className="space-y-2">
+            <CommentItem
+              comment={thread}
+              onReply={() => setReplyingTo(thread._id)}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+            {(thread.replies.length > 0 || replyingTo === thread._id) && (
+              <div className="ml-7 pl-3 space-y-2 border-l-2 border-gray-100 dark:border-gray-700">
+                {thread.replies.map(reply => (
+                  <CommentItem key={reply._id} comment={reply} onEdit={handleEdit} onDelete={handleDelete} />
+                ))}
+                {replyingTo === thread._id && (
+                  <CommentComposer
+                    placeholder="Reply..."
+                    submitLabel="Reply"
+                    autoFocus
+                    onCancel={() => setReplyingTo(null)}
+                    onSubmit={(body) => handleAdd(body, thread._id)}
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      <CommentComposer
+        placeholder="Add a comment... Use @name to mention someone, **bold**, _italic_ and - lists"
+        submitLabel="Comment"
+        onSubmit={(body) => handleAdd(body)}
+      />
+    </div>
+  );
+};
+
+export default CommentThread;
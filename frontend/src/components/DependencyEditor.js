@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+import { debounce } from '../utils/helpers';
+
+const MAX_SUGGESTIONS = 8;
+
+const DependencyRow = ({ task, onRemove }) => (
+  <li className="flex items-center gap-2 text-sm">
+    <span className={task.isDone ? 'text-green-500' : 'text-red-500'}>{task.isDone ? '✓' : '●'}</span>
+    <span className={`flex-1 truncate ${task.isDone ? 'line-through text-gray-400' : 'text-gray-700 dark:text-gray-300'}`}>
+      {task.title}
+    </span>
+    {onRemove && (
+      <button
+        type="button"
+        className="text-xs text-gray-400 hover:text-red-500"
+        onClick={() => onRemove(task)}
+        aria-label={`Remove dependency on ${task.title}`}
+      >
+        ✕
+      </button>
+    )}
+  </li>
+);
+
+// Blocked-by and blocking lists for a task, with a search box to add blockers
+const DependencyEditor = ({ task, onChanged }) => {
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocking: [] });
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+
+  const loadDependencies = useCallback(async () => {
+    try {
+      setDependencies(await tasksAPI.getDependencies(task._id));
+    } catch (error) {
+      console.error('Error loading dependencies:', error);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    loadDependencies();
+  }, [loadDependencies, task.blockedBy]);
+
+  const searchTasks = useMemo(
+    () => debounce(async (search) => {
+      if (!search.trim()) {
+        setSuggestions([]);
+        return;
+      }
+      try {
+        const response = await tasksAPI.getTasks({ search, isDone: 'false', limit: MAX_SUGGESTIONS });
+        setSuggestions(response.tasks);
+      } catch (error) {
+        setSuggestions([]);
+      }
+    }, 300),
+    []
+  );
+
+  const linkedIds = new Set([task._id, ...dependencies.blockedBy.map(blocker => blocker._id)]);
+  const matches = suggestions.filter(suggestion => !linkedIds.has(suggestion._id));
+
+  const handleAdd = async (blocker) => {
+    setQuery('');
+    setSuggestions([]);
+    try {
+      const response = await tasksAPI.addBlocker(task._id, blocker._id);
+      onChanged(response);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add dependency');
+    }
+  };
+
+  const handleRemove = async (blocker) => {
+    try {
+      const response = await tasksAPI.removeBlocker(task._id, blocker._id);
+      onChanged(response);
+    } catch (error) {
+      toast.error('Failed to remove dependency');
+    }
+  };
+
+  return (
+    <div className="space-y-3" onClick={(e) => e.stopPropagation()}>
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Blocked by</h4>
+        {dependencies.blockedBy.length > 0 ? (
+          <ul className="space-y-1 mb-2">
+            {dependencies.blockedBy.map(blocker => (
+              <DependencyRow key={blocker._id} task={blocker} onRemove={handleRemove} />
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-400 mb-2">Nothing is blocking this task.</p>
+        )}
+
+        <div className="relative">
+          <input
+            type="text"
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded dark:bg-gray-700 dark:border-gray-600 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary-500"
+            placeholder="Add a task this one waits for..."
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              searchTasks(e.target.value);
+            }}
+          />
+          {query && matches.length > 0 && (
+            <ul className="absolute z-10 mt-1 w-full bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg shadow-card-hover overflow-hidden">
+              {matches.map(match => (
+                <li key={match._id}>
+                  <button
+                    type="button"
+                    className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-600 truncate"
+                    onClick={() => handleAdd(match)}
+                  >
+                    {match.title}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {dependencies.blocking.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Blocking</h4>
+          <ul className="space-y-1">
+            {dependencies.blocking.map(dependent => (
+              <DependencyRow key={dependent._id} task={dependent} />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DependencyEditor;
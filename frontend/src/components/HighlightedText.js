@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Render search highlight segments ([{ text, match }]) returned by the API,
+// falling back to the plain text when there is nothing to highlight
+const HighlightedText = ({ segments, text }) => {
+  if (!segments || segments.length === 0) {
+    return <>{text}</>;
+  }
+
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark
+            key={index}
+            className="bg-yellow-200 dark:bg-yellow-600 text-inherit rounded px-0.5"
+          >
+            {segment.text}
+          </mark>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+      )}
+    </>
+  );
+};
+
+export default HighlightedText;
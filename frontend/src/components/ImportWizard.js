@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+import { useCategories } from '../context/CategoryContext';
+import { IMPORT_FIELDS, IMPORT_GROUP_MODES, IMPORT_SOURCES, SUCCESS_MESSAGES } from '../utils/constants';
+import { downloadBlob, formatDate } from '../utils/helpers';
+import Button from './Button';
+
+// Rows shown in the preview table; the summary still counts every row
+const PREVIEW_ROWS = 100;
+
+const RowStatus = ({ row, skipDuplicates }) => {
+  if (row.errors.length > 0) {
+    return <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">Error</span>;
+  }
+  if (row.duplicate) {
+    return (
+      <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-700">
+        {skipDuplicates ? 'Duplicate, skipped' : 'Duplicate'}
+      </span>
+    );
+  }
+  return <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">OK</span>;
+};
+
+const ImportWizard = ({ onClose, onImported }) => {
+  const { loadCategories } = useCategories();
+  const [step, setStep] = useState('upload');
+  const [source, setSource] = useState('taskify');
+  const [groupAs, setGroupAs] = useState('category');
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const runImport = async (payload) => {
+    try {
+      setBusy(true);
+      return await tasksAPI.importTasks({
+        source,
+        format: file.format,
+        data: file.data,
+        fileName: file.name,
+        groupAs,
+        ...payload
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read import file');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setBusy(true);
+      const blob = await tasksAPI.exportTasks(format);
+      downloadBlob(blob, `taskify-tasks-${new Date().toISOString().slice(0, 10)}.${format}`);
+      toast.success(SUCCESS_MESSAGES.TASKS_EXPORTED);
+    } catch (error) {
+      toast.error('Failed to export tasks');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileSelected = async (selected) => {
+    if (!selected) return;
+
+    const format = selected.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    const nextFile = { name: selected.name, format, data: await selected.text() };
+    setFile(nextFile);
+
+    try {
+      setBusy(true);
+      // A first dry run reads the columns and suggests a mapping
+      const response = await tasksAPI.importTasks({
+        source,
+        format,
+        data: nextFile.data,
+        fileName: nextFile.name,
+        groupAs,
+        dryRun: true
+      });
+      setColumns(response.columns);
+      setMapping(response.mapping || {});
+      setPreview(response);
+      // Only our own CSV files need their columns mapped
+      setStep(source === 'taskify' && format === 'csv' ? 'map' : 'preview');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read import file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    const response = await runImport({ mapping, dryRun: true });
+    if (!response) return;
+    setPreview(response);
+    setStep('preview');
+  };
+
+  const handleImport = async () => {
+    const response = await runImport({
+      mapping: source === 'taskify' && file.format === 'csv' ? mapping : undefined,
+      skipDuplicates,
+      dryRun: false
+    });
+    if (!response) return;
+
+    toast.success(response.message);
+    if (response.newCategories.length > 0) await loadCategories();
+    await onImported();
+    onClose();
+  };
+
+  const importableCount = preview
+    ? preview.rows.filter(row => row.errors.length === 0 && !(row.duplicate && skipDuplicates)).length
+    : 0;
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className={`bg-white dark:bg-gray-800 rounded-xl p-6 w-full ${step === 'preview' ? 'max-w-3xl' : 'max-w-md'} max-h-[90vh] overflow-y-auto`}
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+          {step === 'upload' ? 'Import & Export' : `Import ${file?.name}`}
+        </h2>
+
+        {step === 'upload' && (
+          <div className="space-y-6 mb-6">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Export</h3>
+              <p className="text-sm text-gray-500 mb-3">
+                Download all your tasks with their subtasks and tags.
+              </p>
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" disabled={busy} onClick={() => handleExport('csv')}>
+                  Export CSV
+                </Button>
+                <Button size="sm" variant="outline" disabled={busy} onClick={() => handleExport('json')}>
+                  Export JSON
+                </Button>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Import</h3>
+              <p className="text-sm text-gray-500 mb-3">
+                Choose a CSV or JSON file. You can check the tasks before anything is saved.
+              </p>
+              <div className="flex flex-wrap gap-2 mb-3">
+                <select
+                  className="form-select px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                  value={source}
+                  onChange={(e) => setSource(e.target.value)}
+                >
+                  {IMPORT_SOURCES.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {source !== 'taskify' && (
+                  <select
+                    className="form-select px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                    value={groupAs}
+                    onChange={(e) => setGroupAs(e.target.value)}
+                    title="What projects and lists become"
+                  >
+                    {IMPORT_GROUP_MODES.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {source === 'trello' ? 'Lists' : 'Projects'} as {option.label.toLowerCase()}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              <input
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                disabled={busy}
+                className="block w-full text-sm text-gray-600 dark:text-gray-400"
+                onChange={(e) => {
+                  handleFileSelected(e.target.files[0]);
+                  // Allow choosing the same file again after going back
+                  e.target.value = '';
+                }}
+              />
+            </div>
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="space-y-3 mb-6">
+            <p className="text-sm text-gray-500">
+              Pick the column that holds each field. Fields without a column get their default value.
+            </p>
+            {IMPORT_FIELDS.map(field => (
+              <div key={field.value} className="flex items-center justify-between gap-4">
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  {field.label}{field.required && ' *'}
+                </label>
+                <select
+                  className="form-select w-48 px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                  value={mapping[field.value] || ''}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [field.value]: e.target.value || undefined }))}
+                >
+                  <option value="">Skip</option>
+                  {columns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {step === 'preview' && preview && (
+          <div className="space-y-4 mb-6">
+            <div className="flex flex-wrap gap-4 text-sm text-gray-600 dark:text-gray-400">
+              <span>{preview.summary.total} rows</span>
+              <span className="text-green-600">{preview.summary.valid} valid</span>
+              <span className="text-red-600">{preview.summary.invalid} with errors</span>
+              <span className="text-yellow-600">{preview.summary.duplicates} duplicates</span>
+            </div>
+
+            {preview.newCategories?.length > 0 && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                New categories: {preview.newCategories.join(', ')}
+              </p>
+            )}
+
+            {preview.skipped?.length > 0 && (
+              <details className="text-sm text-gray-600 dark:text-gray-400">
+                <summary className="cursor-pointer">
+                  {preview.skipped.length} items not imported as-is
+                </summary>
+                <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                  {preview.skipped.map((entry, index) => (
+                    <li key={index}>
+                      <span className="font-medium">{entry.item}</span>: {entry.reason}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={skipDuplicates}
+                onChange={(e) => setSkipDuplicates(e.target.checked)}
+              />
+              Skip tasks that already exist (same title and due date)
+            </label>
+
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-900 text-left text-xs text-gray-500 uppercase">
+                  <tr>
+                    <th className="px-3 py-2">Row</th>
+                    <th className="px-3 py-2">Title</th>
+                    <th className="px-3 py-2">Category</th>
+                    <th className="px-3 py-2">Due</th>
+                    <th className="px-3 py-2">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                  {preview.rows.slice(0, PREVIEW_ROWS).map(row => (
+                    <tr key={row.row} className="align-top">
+                      <td className="px-3 py-2 text-gray-400">{row.row}</td>
+                      <td className="px-3 py-2 text-gray-900 dark:text-gray-100">
+                        {row.task.title || <em className="text-gray-400">No title</em>}
+                        {row.task.subTasks > 0 && (
+                          <span className="ml-1 text-xs text-gray-400">({row.task.subTasks} subtasks)</span>
+                        )}
+                        {row.errors.map((message, index) => (
+                          <p key={`error-${index}`} className="text-xs text-red-600">{message}</p>
+                        ))}
+                        {row.warnings.map((message, index) => (
+                          <p key={`warning-${index}`} className="text-xs text-yellow-600">{message}</p>
+                        ))}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600 dark:text-gray-400">{row.task.category}</td>
+                      <td className="px-3 py-2 text-gray-600 dark:text-gray-400">{formatDate(row.task.dueDate)}</td>
+                      <td className="px-3 py-2">
+                        <RowStatus row={row} skipDuplicates={skipDuplicates} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {preview.rows.length > PREVIEW_ROWS && (
+              <p className="text-xs text-gray-500">
+                Showing the first {PREVIEW_ROWS} of {preview.rows.length} rows.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          {step === 'upload' && (
+            <Button variant="ghost" fullWidth onClick={onClose}>
+              Close
+            </Button>
+          )}
+
+          {step === 'map' && (
+            <>
+              <Button variant="ghost" fullWidth onClick={() => setStep('upload')}>
+                Back
+              </Button>
+              <Button fullWidth loading={busy} disabled={!mapping.title} onClick={handlePreview}>
+                Preview
+              </Button>
+            </>
+          )}
+
+          {step === 'preview' && (
+            <>
+              <Button
+                variant="ghost"
+                fullWidth
+                onClick={() => setStep(source === 'taskify' && file.format === 'csv' ? 'map' : 'upload')}
+              >
+                Back
+              </Button>
+              <Button fullWidth loading={busy} disabled={importableCount === 0} onClick={handleImport}>
+                Import {importableCount} tasks
+              </Button>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,39 @@
+import React from 'react';
+import Avatar from './Avatar';
+import Button from './Button';
+
+// Open project invitations, shown above the projects sidebar until answered
+const InvitationsList = ({ invitations, onAccept, onDecline }) => {
+  if (invitations.length === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-4 shadow-card space-y-3">
+      <h3 className="px-3 text-xs font-semibold uppercase tracking-wide text-gray-400">
+        Invitations
+      </h3>
+      <ul className="space-y-3">
+        {invitations.map(invitation => (
+          <li key={invitation._id} className="px-3 space-y-2">
+            <div className="flex items-center gap-2">
+              <Avatar user={invitation.invitedBy} size="xs" />
+              <p className="flex-1 min-w-0 text-sm text-gray-700 dark:text-gray-300">
+                <span className="font-medium">{invitation.invitedBy?.name}</span> invited you to{' '}
+                <span className="font-medium">{invitation.project.name}</span> as {invitation.role}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button size="sm" onClick={() => onAccept(invitation)}>
+                Accept
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => onDecline(invitation)}>
+                Decline
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default InvitationsList;
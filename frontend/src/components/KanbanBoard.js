@@ -0,0 +1,222 @@
+import React, { useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { getFromStorage, setToStorage } from '../utils/helpers';
+import { BOARD_GROUPS, STORAGE_KEYS, TASK_PRIORITIES } from '../utils/constants';
+
+const STATUS_COLUMNS = [
+  { value: 'pending', label: 'Pending', icon: '⏳', color: 'yellow' },
+  { value: 'completed', label: 'Completed', icon: '✅', color: 'green' }
+];
+
+// Which column a task belongs to for each grouping
+const getColumnValue = (task, groupBy) => {
+  if (groupBy === 'status') return task.isDone ? 'completed' : 'pending';
+  return task[groupBy];
+};
+
+const defaultSettings = { groupBy: 'status', wipLimits: {}, collapsed: {} };
+
+const KanbanColumn = ({
+  column,
+  tasks,
+  wipLimit,
+  isCollapsed,
+  isDragOver,
+  renderCard,
+  onToggleCollapse,
+  onWipLimitChange,
+  onDragStart,
+  onDragOver,
+  onDragLeave,
+  onDrop
+}) => {
+  const overLimit = wipLimit > 0 && tasks.length > wipLimit;
+  const dropProps = { onDragOver, onDragLeave, onDrop };
+
+  if (isCollapsed) {
+    return (
+      <div
+        className={`flex-shrink-0 w-12 bg-gray-100 dark:bg-gray-800 rounded-xl py-3 flex flex-col items-center gap-2 cursor-pointer ${isDragOver ? 'ring-2 ring-primary-400' : ''}`}
+        onClick={onToggleCollapse}
+        title={`Expand ${column.label}`}
+        {...dropProps}
+      >
+        <span>{column.icon}</span>
+        <span className={`text-xs font-semibold ${overLimit ? 'text-red-600' : 'text-gray-500'}`}>
+          {tasks.length}
+        </span>
+        <span className="text-xs text-gray-500 [writing-mode:vertical-rl]">{column.label}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`flex-shrink-0 w-80 bg-gray-100 dark:bg-gray-800 rounded-xl p-3 flex flex-col ${isDragOver ? 'ring-2 ring-primary-400' : ''}`}
+      {...dropProps}
+    >
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <span className={`category-badge category-${column.color || 'gray'}`}>
+          <span className="mr-1">{column.icon}</span>
+          {column.label}
+        </span>
+        <span
+          className={`text-xs font-semibold ${overLimit ? 'text-red-600' : 'text-gray-500'}`}
+          title={overLimit ? 'Over the work-in-progress limit' : undefined}
+        >
+          {tasks.length}{wipLimit > 0 ? ` / ${wipLimit}` : ''}
+        </span>
+        <div className="flex-1" />
+        <input
+          type="number"
+          min="0"
+          className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+          value={wipLimit || ''}
+          placeholder="WIP"
+          title="Work-in-progress limit (empty for none)"
+          onChange={(e) => onWipLimitChange(parseInt(e.target.value) || 0)}
+        />
+        <button
+          type="button"
+          className="text-gray-400 hover:text-gray-600"
+          onClick={onToggleCollapse}
+          title="Collapse column"
+        >
+          ⇤
+        </button>
+      </div>
+
+      <div className="space-y-3 min-h-[4rem]">
+        {tasks.map(task => (
+          <div
+            key={task._id}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              onDragStart(task);
+            }}
+          >
+            {renderCard(task)}
+          </div>
+        ))}
+        {tasks.length === 0 && (
+          <p className="text-xs text-center text-gray-400 py-6">Drop tasks here</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const KanbanBoard = ({ tasks, categories, renderCard, onMoveTask }) => {
+  const [settings, setSettings] = useState(() => ({
+    ...defaultSettings,
+    ...getFromStorage(STORAGE_KEYS.BOARD, {})
+  }));
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dragOverColumn, setDragOverColumn] = useState(null);
+
+  const { groupBy } = settings;
+  const wipLimits = settings.wipLimits[groupBy] || {};
+  const collapsed = settings.collapsed[groupBy] || [];
+
+  const updateSettings = (changes) => {
+    setSettings(prev => {
+      const next = { ...prev, ...changes };
+      setToStorage(STORAGE_KEYS.BOARD, next);
+      return next;
+    });
+  };
+
+  const columns = useMemo(() => {
+    if (groupBy === 'category') return categories;
+    if (groupBy === 'priority') return TASK_PRIORITIES;
+    return STATUS_COLUMNS;
+  }, [groupBy, categories]);
+
+  const tasksByColumn = useMemo(() => {
+    const groups = Object.fromEntries(columns.map(column => [column.value, []]));
+    tasks.forEach(task => {
+      const value = getColumnValue(task, groupBy);
+      if (groups[value]) groups[value].push(task);
+    });
+    return groups;
+  }, [tasks, columns, groupBy]);
+
+  const setWipLimit = (columnValue, limit) => {
+    updateSettings({
+      wipLimits: { ...settings.wipLimits, [groupBy]: { ...wipLimits, [columnValue]: limit } }
+    });
+  };
+
+  const toggleCollapse = (columnValue) => {
+    const next = collapsed.includes(columnValue)
+      ? collapsed.filter(value => value !== columnValue)
+      : [...collapsed, columnValue];
+    updateSettings({ collapsed: { ...settings.collapsed, [groupBy]: next } });
+  };
+
+  const handleDrop = (column) => {
+    const task = draggedTask;
+    setDraggedTask(null);
+    setDragOverColumn(null);
+    if (!task || getColumnValue(task, groupBy) === column.value) return;
+
+    const limit = wipLimits[column.value];
+    if (limit > 0 && tasksByColumn[column.value].length >= limit) {
+      toast.error(`${column.label} is at its limit of ${limit} tasks`);
+      return;
+    }
+
+    onMoveTask(task, groupBy, column.value);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-4">
+        <span className="text-sm text-gray-600 dark:text-gray-400">Group by</span>
+        {BOARD_GROUPS.map(group => (
+          <button
+            key={group.value}
+            type="button"
+            className={`px-3 py-1 text-sm rounded-lg ${
+              groupBy === group.value
+                ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-200 font-medium'
+                : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
+            }`}
+            onClick={() => updateSettings({ groupBy: group.value })}
+          >
+            {group.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-4 overflow-x-auto pb-4 items-start">
+        {columns.map(column => (
+          <KanbanColumn
+            key={column.value}
+            column={column}
+            tasks={tasksByColumn[column.value]}
+            wipLimit={wipLimits[column.value]}
+            isCollapsed={collapsed.includes(column.value)}
+            isDragOver={dragOverColumn === column.value}
+            renderCard={renderCard}
+            onToggleCollapse={() => toggleCollapse(column.value)}
+            onWipLimitChange={(limit) => setWipLimit(column.value, limit)}
+            onDragStart={setDraggedTask}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragOverColumn(column.value);
+            }}
+            onDragLeave={() => setDragOverColumn(null)}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(column);
+            }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default KanbanBoard;
@@ -0,0 +1,106 @@
+import React from 'react';
+
+// Basic markdown for comments: **bold**, *italic* or _italic_, `code`,
+// [links](https://...), "- " bullet lists and line breaks, with @mentions
+// of the given users highlighted. Builds React elements, never raw HTML.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const INLINE_PATTERNS = [
+  '`[^`\\n]+`',
+  '\\*\\*[^*\\n]+\\*\\*',
+  '\\*[^*\\n]+\\*',
+  '\\b_[^_\\n]+_\\b',
+  '\\[[^\\]\\n]+\\]\\(https?:\\/\\/[^\\s)]+\\)'
+];
+
+// Full names and first names, longest first so "@Ada Lovelace" wins over "@Ada"
+const buildMentionPattern = (mentions) => {
+  const names = mentions
+    .flatMap(user => [user.name, user.name.split(/\s+/)[0]])
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return names.length > 0 ? `@(?:${names.join('|')})\\b` : null;
+};
+
+const renderInline = (text, mentionPattern, keyPrefix) => {
+  const pattern = new RegExp([...INLINE_PATTERNS, mentionPattern].filter(Boolean).join('|'), 'gi');
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [token] = match;
+    const key = `${keyPrefix}-${match.index}`;
+    if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+
+    if (token.startsWith('`')) {
+      parts.push(<code key={key} className="px-1 rounded bg-gray-100 dark:bg-gray-700 text-xs">{token.slice(1, -1)}</code>);
+    } else if (token.startsWith('**')) {
+      parts.push(<strong key={key}>{token.slice(2, -2)}</strong>);
+    } else if (token.startsWith('*') || token.startsWith('_')) {
+      parts.push(<em key={key}>{token.slice(1, -1)}</em>);
+    } else if (token.startsWith('[')) {
+      const [, label, href] = /^\[([^\]]+)\]\((.+)\)$/.exec(token);
+      parts.push(
+        <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">
+          {label}
+        </a>
+      );
+    } else {
+      parts.push(<span key={key} className="font-medium text-primary-600 dark:text-primary-400">{token}</span>);
+    }
+
+    lastIndex = match.index + token.length;
+  }
+
+  if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+  return parts;
+};
+
+const isListItem = (line) => /^\s*[-*]\s+/.test(line);
+
+const Markdown = ({ text, mentions = [] }) => {
+  const mentionPattern = buildMentionPattern(mentions);
+  const blocks = [];
+
+  // Group lines into bullet lists and paragraphs separated by blank lines
+  text.split('\n').forEach(line => {
+    const last = blocks[blocks.length - 1];
+    if (!line.trim()) {
+      blocks.push(null);
+    } else if (isListItem(line)) {
+      if (last?.type === 'list') last.lines.push(line.replace(/^\s*[-*]\s+/, ''));
+      else blocks.push({ type: 'list', lines: [line.replace(/^\s*[-*]\s+/, '')] });
+    } else if (last?.type === 'paragraph') {
+      last.lines.push(line);
+    } else {
+      blocks.push({ type: 'paragraph', lines: [line] });
+    }
+  });
+
+  return (
+    <div className="space-y-2 break-words">
+      {blocks.filter(Boolean).map((block, blockIndex) => (
+        block.type === 'list' ? (
+          <ul key={blockIndex} className="list-disc pl-5">
+            {block.lines.map((line, lineIndex) => (
+              <li key={lineIndex}>{renderInline(line, mentionPattern, `${blockIndex}-${lineIndex}`)}</li>
+            ))}
+          </ul>
+        ) : (
+          <p key={blockIndex}>
+            {block.lines.map((line, lineIndex) => (
+              <React.Fragment key={lineIndex}>
+                {lineIndex > 0 && <br />}
+                {renderInline(line, mentionPattern, `${blockIndex}-${lineIndex}`)}
+              </React.Fragment>
+            ))}
+          </p>
+        )
+      ))}
+    </div>
+  );
+};
+
+export default Markdown;
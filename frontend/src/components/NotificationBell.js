@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { NOTIFICATION_ICONS } from '../utils/constants';
+import { formatRelativeTime } from '../utils/helpers';
+import Avatar from './Avatar';
+
+// Header bell with the unread count; opens a list of recent notifications
+const NotificationBell = ({
+  notifications,
+  unreadCount,
+  hasMore,
+  onLoadMore,
+  onRead,
+  onReadAll,
+  onDelete,
+  onOpenSettings
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close when clicking anywhere else or pressing Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(prev => !prev)}
+        className="relative p-2 rounded-lg text-gray-600 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-800"
+        title="Notifications"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 z-40"
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100 dark:border-gray-700">
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</h3>
+              {unreadCount > 0 && (
+                <button type="button" className="text-xs text-primary-600 hover:text-primary-700" onClick={onReadAll}>
+                  Mark all as read
+                </button>
+              )}
+            </div>
+
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+              {notifications.length === 0 && (
+                <li className="px-4 py-8 text-center text-sm text-gray-500">You're all caught up</li>
+              )}
+              {notifications.map(notification => (
+                <li
+                  key={notification._id}
+                  className={`group flex gap-3 px-4 py-3 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 ${
+                    notification.readAt ? '' : 'bg-primary-50/60 dark:bg-primary-900/20'
+                  }`}
+                  onClick={() => !notification.readAt && onRead(notification)}
+                >
+                  {notification.actor ? (
+                    <Avatar user={notification.actor} size="sm" />
+                  ) : (
+                    <span className="w-7 h-7 flex-shrink-0 flex items-center justify-center text-base">
+                      {NOTIFICATION_ICONS[notification.type] || '🔔'}
+                    </span>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-700 dark:text-gray-300 break-words">{notification.message}</p>
+                    <p className="text-xs text-gray-400 mt-0.5">
+                      {notification.actor && `${NOTIFICATION_ICONS[notification.type] || ''} `}
+                      {formatRelativeTime(notification.createdAt)}
+                    </p>
+                  </div>
+                  <div className="flex flex-col items-end gap-1">
+                    {!notification.readAt && <span className="w-2 h-2 mt-1.5 rounded-full bg-primary-500" aria-label="Unread" />}
+                    <button
+                      type="button"
+                      className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-500 text-sm"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onDelete(notification);
+                      }}
+                      aria-label="Delete notification"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </li>
+              ))}
+              {hasMore && (
+                <li className="px-4 py-2 text-center">
+                  <button type="button" className="text-xs text-primary-600 hover:text-primary-700" onClick={onLoadMore}>
+                    Show older
+                  </button>
+                </li>
+              )}
+            </ul>
+
+            <div className="px-4 py-2 border-t border-gray-100 dark:border-gray-700">
+              <button
+                type="button"
+                className="text-xs text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                onClick={() => {
+                  setIsOpen(false);
+                  onOpenSettings();
+                }}
+              >
+                Notification settings
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationBell;
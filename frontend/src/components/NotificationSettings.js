@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { REMINDER_OFFSETS, MAX_REMINDERS, DIGEST_FREQUENCIES, WEEKDAYS } from '../utils/constants';
+import { describeReminderOffset } from '../utils/helpers';
+import Button from './Button';
+
+const selectClasses = 'form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+const inputClasses = 'form-input w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600';
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const getTimeZones = (current) => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [browserTimeZone];
+  return [...new Set(['UTC', current, ...zones])];
+};
+
+const defaultDigest = {
+  enabled: false,
+  frequency: 'daily',
+  sendTime: '08:00',
+  weekday: 1
+};
+
+const NotificationSettings = ({ onClose }) => {
+  const { user, updateProfile } = useAuth();
+  const [reminderOffsets, setReminderOffsets] = useState(user?.preferences?.reminderOffsets || []);
+  const [emailReminders, setEmailReminders] = useState(user?.preferences?.emailReminders !== false);
+  const [digest, setDigest] = useState({ ...defaultDigest, ...user?.preferences?.digest });
+  // Users who never picked a timezone get the browser's
+  const [timezone, setTimezone] = useState(user?.preferences?.timezone || browserTimeZone);
+  const [saving, setSaving] = useState(false);
+
+  const handleAddOffset = (e) => {
+    const offset = Number(e.target.value);
+    if (e.target.value === '' || reminderOffsets.includes(offset)) return;
+    setReminderOffsets(prev => [...prev, offset].sort((a, b) => a - b));
+  };
+
+  const updateDigest = (changes) => {
+    setDigest(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await updateProfile({ preferences: { reminderOffsets, emailReminders, digest, timezone } });
+      onClose();
+    } catch (error) {
+      // updateProfile already shows the error
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-white dark:bg-gray-800 rounded-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto"
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+          Notification Settings
+        </h2>
+
+        <div className="space-y-6 mb-6">
+          <section className="space-y-2">
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Default reminders</h3>
+            <p className="text-xs text-gray-500">
+              Added to new tasks; they fire once the task has a due date.
+            </p>
+
+            {reminderOffsets.length > 0 ? (
+              <div className="flex flex-wrap gap-2">
+                {reminderOffsets.map(offset => (
+                  <span
+                    key={offset}
+                    className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300"
+                  >
+                    🔔 {describeReminderOffset(offset)}
+                    <button
+                      type="button"
+                      className="ml-1 hover:text-red-500"
+                      onClick={() => setReminderOffsets(prev => prev.filter(item => item !== offset))}
+                      aria-label="Remove reminder"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500">No default reminders.</p>
+            )}
+
+            {reminderOffsets.length < MAX_REMINDERS && (
+              <select className={selectClasses} value="" onChange={handleAddOffset}>
+                <option value="">Add a default reminder...</option>
+                {REMINDER_OFFSETS
+                  .filter(offset => !reminderOffsets.includes(offset.value))
+                  .map(offset => (
+                    <option key={offset.value} value={offset.value}>
+                      {offset.label}
+                    </option>
+                  ))}
+              </select>
+            )}
+          </section>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={emailReminders}
+              onChange={(e) => setEmailReminders(e.target.checked)}
+            />
+            Email me when a reminder fires
+          </label>
+
+          <section className="space-y-3">
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Email digest</h3>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={digest.enabled}
+                onChange={(e) => updateDigest({ enabled: e.target.checked })}
+              />
+              Email me what's due, overdue and recently completed
+            </label>
+
+            {digest.enabled && (
+              <>
+                <div className="grid grid-cols-2 gap-3">
+                  <select
+                    className={selectClasses}
+                    value={digest.frequency}
+                    onChange={(e) => updateDigest({ frequency: e.target.value })}
+                  >
+                    {DIGEST_FREQUENCIES.map(frequency => (
+                      <option key={frequency.value} value={frequency.value}>
+                        {frequency.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="time"
+                    className={inputClasses}
+                    value={digest.sendTime}
+                    onChange={(e) => updateDigest({ sendTime: e.target.value })}
+                    required
+                  />
+                </div>
+
+                {digest.frequency === 'weekly' && (
+                  <select
+                    className={selectClasses}
+                    value={digest.weekday}
+                    onChange={(e) => updateDigest({ weekday: Number(e.target.value) })}
+                  >
+                    {WEEKDAYS.map(day => (
+                      <option key={day.value} value={day.value}>
+                        Every {day.label}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </>
+            )}
+          </section>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Timezone
+            </label>
+            <select
+              className={selectClasses}
+              value={timezone}
+              onChange={(e) => setTimezone(e.target.value)}
+            >
+              {getTimeZones(timezone).map(zone => (
+                <option key={zone} value={zone}>
+                  {zone}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex gap-3">
+          <Button variant="ghost" fullWidth onClick={onClose}>
+            Cancel
+          </Button>
+          <Button fullWidth loading={saving} onClick={handleSave}>
+            Save
+          </Button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { projectsAPI } from '../services/api';
+import { CATEGORY_COLORS, PROJECT_STATUSES, SUCCESS_MESSAGES } from '../utils/constants';
+import Button from './Button';
+import Input from './Input';
+
+const emptyForm = { name: '', description: '', color: 'blue', status: 'active', targetDate: '' };
+
+// Create a project, or edit one when `project` is given
+const ProjectForm = ({ project, onClose, onSaved }) => {
+  const [form, setForm] = useState(() => (project
+    ? {
+        name: project.name,
+        description: project.description || '',
+        color: project.color,
+        status: project.status,
+        targetDate: project.targetDate ? project.targetDate.split('T')[0] : ''
+      }
+    : emptyForm));
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Project name is required');
+      return;
+    }
+
+    const projectData = { ...form, name: form.name.trim(), targetDate: form.targetDate || null };
+
+    try {
+      setSaving(true);
+      const response = project
+        ? await projectsAPI.updateProject(project._id, projectData)
+        : await projectsAPI.createProject(projectData);
+      toast.success(project ? SUCCESS_MESSAGES.PROJECT_UPDATED : SUCCESS_MESSAGES.PROJECT_CREATED);
+      onSaved(response.project);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to save project');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-white dark:bg-gray-800 rounded-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto"
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+          {project ? 'Edit Project' : 'New Project'}
+        </h2>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Name"
+            value={form.name}
+            maxLength={60}
+            placeholder="e.g. Website relaunch"
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            required
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Description
+            </label>
+            <textarea
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600"
+              rows="3"
+              value={form.description}
+              onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="What does done look like?"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Status
+              </label>
+              <select
+                className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                value={form.status}
+                onChange={(e) => setForm(prev => ({ ...prev, status: e.target.value }))}
+              >
+                {PROJECT_STATUSES.map(status => (
+                  <option key={status.value} value={status.value}>
+                    {status.icon} {status.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <Input
+              label="Target Date"
+              type="date"
+              value={form.targetDate}
+              onChange={(e) => setForm(prev => ({ ...prev, targetDate: e.target.value }))}
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {CATEGORY_COLORS.map(color => (
+              <button
+                key={color}
+                type="button"
+                className={`category-badge category-${color} ${form.color === color ? 'ring-2 ring-offset-1 ring-primary-500' : ''}`}
+                onClick={() => setForm(prev => ({ ...prev, color }))}
+              >
+                {color}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-3 pt-4">
+            <Button type="button" variant="ghost" fullWidth onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" fullWidth loading={saving}>
+              {project ? 'Save Project' : 'Create Project'}
+            </Button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ProjectForm;
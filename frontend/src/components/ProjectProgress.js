@@ -0,0 +1,25 @@
+import React from 'react';
+
+// Completion bar for a project's progress rollup
+const ProjectProgress = ({ progress, showCounts = false }) => {
+  const { total = 0, completed = 0, overdue = 0, percent = 0 } = progress || {};
+
+  return (
+    <div>
+      <div className="h-1.5 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+        <div
+          className="h-full rounded-full bg-primary-500 transition-all duration-300"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      {showCounts && (
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          {completed}/{total} tasks done · {percent}%
+          {overdue > 0 && <span className="text-red-500"> · {overdue} overdue</span>}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProjectProgress;
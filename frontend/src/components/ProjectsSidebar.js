@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import ProjectProgress from './ProjectProgress';
+
+// Completed and archived projects are tucked away behind a toggle
+const isOpenProject = (project) => project.status === 'active' || project.status === 'on-hold';
+
+const isShared = (project) => project.role !== 'owner' || project.members?.length > 0;
+
+const ProjectsSidebar = ({ projects, onCreate }) => {
+  const [showClosed, setShowClosed] = useState(false);
+
+  const open = projects.filter(isOpenProject);
+  const closed = projects.filter(project => !isOpenProject(project));
+  const visible = showClosed ? projects : open;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-4 shadow-card space-y-3">
+      <div className="flex items-center justify-between px-3">
+        <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400">
+          Projects
+        </h3>
+        <button
+          type="button"
+          className="text-sm text-gray-400 hover:text-primary-600"
+          onClick={onCreate}
+          title="New project"
+        >
+          +
+        </button>
+      </div>
+
+      {visible.length > 0 ? (
+        <ul className="space-y-1">
+          {visible.map(project => (
+            <li key={project._id}>
+              <Link
+                to={`/projects/${project._id}`}
+                className="block px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+                title={project.description || project.name}
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={`w-2.5 h-2.5 rounded-full flex-shrink-0 category-${project.color}`} />
+                  <span className={`flex-1 text-sm truncate ${
+                    isOpenProject(project) ? 'text-gray-700 dark:text-gray-300' : 'text-gray-400 line-through'
+                  }`}>
+                    {project.name}
+                  </span>
+                  {isShared(project) && (
+                    <span className="text-xs" title={project.role === 'owner' ? 'Shared by you' : `Shared by ${project.owner?.name}`}>
+                      👥
+                    </span>
+                  )}
+                  <span className="text-xs text-gray-400">{project.progress?.percent ?? 0}%</span>
+                </div>
+                <ProjectProgress progress={project.progress} />
+              </Link>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="px-3 text-xs text-gray-500">
+          Group tasks from any category under a project to track its progress.
+        </p>
+      )}
+
+      {closed.length > 0 && (
+        <button
+          type="button"
+          className="px-3 text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          onClick={() => setShowClosed(prev => !prev)}
+        >
+          {showClosed ? 'Hide completed & archived' : `Show ${closed.length} completed & archived`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ProjectsSidebar;
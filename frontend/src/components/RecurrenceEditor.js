@@ -0,0 +1,166 @@
+import React from 'react';
+import { RECURRENCE_FREQUENCIES, WEEKDAYS } from '../utils/constants';
+import { describeRecurrence } from '../utils/helpers';
+
+const selectClasses = 'form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+const inputClasses = 'form-input w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600';
+
+const RecurrenceEditor = ({ value, onChange }) => {
+  const recurrence = value || null;
+  const endType = recurrence?.endDate ? 'date' : recurrence?.count ? 'count' : 'never';
+  const unit = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence?.frequency)?.unit;
+
+  const update = (changes) => {
+    onChange({ ...recurrence, ...changes });
+  };
+
+  const handleFrequencyChange = (e) => {
+    const frequency = e.target.value;
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+    onChange({
+      interval: 1,
+      weekdays: [],
+      monthDay: null,
+      endDate: null,
+      count: null,
+      ...recurrence,
+      frequency
+    });
+  };
+
+  const handleEndTypeChange = (e) => {
+    const type = e.target.value;
+    update({
+      endDate: type === 'date' ? (recurrence.endDate || '') : null,
+      count: type === 'count' ? (recurrence.count || 5) : null
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = recurrence.weekdays || [];
+    update({
+      weekdays: weekdays.includes(day)
+        ? weekdays.filter(d => d !== day)
+        : [...weekdays, day].sort()
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Repeat
+        </label>
+        <select
+          className={selectClasses}
+          value={recurrence?.frequency || ''}
+          onChange={handleFrequencyChange}
+        >
+          <option value="">Does not repeat</option>
+          {RECURRENCE_FREQUENCIES.map(frequency => (
+            <option key={frequency.value} value={frequency.value}>
+              {frequency.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {recurrence && (
+        <>
+          <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              max="365"
+              className={`${inputClasses} w-20 py-2`}
+              value={recurrence.interval || 1}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            />
+            <span>{unit}(s){recurrence.frequency === 'afterCompletion' ? ' after completion' : ''}</span>
+          </div>
+
+          {recurrence.frequency === 'weekly' && (
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAYS.map(day => {
+                const isActive = recurrence.weekdays?.includes(day.value);
+                return (
+                  <button
+                    key={day.value}
+                    type="button"
+                    className={`px-2 py-1 rounded-full text-xs font-medium border transition-colors ${
+                      isActive
+                        ? 'bg-primary-500 border-primary-500 text-white'
+                        : 'border-gray-300 text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700'
+                    }`}
+                    onClick={() => toggleWeekday(day.value)}
+                  >
+                    {day.label}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {recurrence.frequency === 'monthly' && (
+            <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <span>On day</span>
+              <input
+                type="number"
+                min="1"
+                max="31"
+                className={`${inputClasses} w-20 py-2`}
+                value={recurrence.monthDay || ''}
+                placeholder="Due"
+                onChange={(e) => update({ monthDay: parseInt(e.target.value, 10) || null })}
+              />
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <select
+              className={selectClasses}
+              value={endType}
+              onChange={handleEndTypeChange}
+            >
+              <option value="never">Never ends</option>
+              <option value="date">Ends on date</option>
+              <option value="count">Ends after</option>
+            </select>
+
+            {endType === 'date' && (
+              <input
+                type="date"
+                className={inputClasses}
+                value={recurrence.endDate ? String(recurrence.endDate).split('T')[0] : ''}
+                onChange={(e) => update({ endDate: e.target.value })}
+              />
+            )}
+
+            {endType === 'count' && (
+              <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="number"
+                  min="1"
+                  className={`${inputClasses} w-20 py-2`}
+                  value={recurrence.count || 1}
+                  onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                />
+                <span>times</span>
+              </div>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            🔁 {describeRecurrence(recurrence)}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
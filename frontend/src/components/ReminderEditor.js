@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { REMINDER_OFFSETS, MAX_REMINDERS } from '../utils/constants';
+import { describeReminder } from '../utils/helpers';
+import Button from './Button';
+
+const selectClasses = 'form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+const inputClasses = 'form-input w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600';
+
+const CUSTOM_TIME = 'custom';
+
+// Reminders before the due date or at a fixed time. A null value means "use
+// my default reminders", which are shown until the list is edited.
+const ReminderEditor = ({ value, onChange, defaultOffsets = [], hasDueDate }) => {
+  const [choice, setChoice] = useState('');
+  const [remindAt, setRemindAt] = useState('');
+
+  const usingDefaults = value === null || value === undefined;
+  const reminders = usingDefaults
+    ? defaultOffsets.map(offsetMinutes => ({ offsetMinutes, remindAt: null }))
+    : value;
+  const isFull = reminders.length >= MAX_REMINDERS;
+
+  const add = (reminder) => {
+    onChange([...reminders, reminder]);
+    setChoice('');
+    setRemindAt('');
+  };
+
+  const handleChoiceChange = (e) => {
+    const selected = e.target.value;
+    if (selected === '' || selected === CUSTOM_TIME) {
+      setChoice(selected);
+      return;
+    }
+
+    const offsetMinutes = Number(selected);
+    if (!reminders.some(reminder => reminder.offsetMinutes === offsetMinutes)) {
+      add({ offsetMinutes, remindAt: null });
+    }
+  };
+
+  const handleAddTime = () => {
+    if (!remindAt) return;
+    add({ offsetMinutes: null, remindAt: new Date(remindAt).toISOString() });
+  };
+
+  const needsDueDate = !hasDueDate && reminders.some(reminder => reminder.offsetMinutes !== null);
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+        Reminders
+        {usingDefaults && reminders.length > 0 && (
+          <span className="ml-1 text-xs font-normal text-gray-500">(your defaults)</span>
+        )}
+      </label>
+
+      {reminders.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {reminders.map((reminder, index) => (
+            <span
+              key={reminder._id || index}
+              className={`inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full ${
+                reminder.sentAt
+                  ? 'bg-gray-100 text-gray-500 dark:bg-gray-700'
+                  : 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300'
+              }`}
+              title={reminder.sentAt ? 'Already sent' : undefined}
+            >
+              🔔 {describeReminder(reminder)}
+              <button
+                type="button"
+                className="ml-1 hover:text-red-500"
+                onClick={() => onChange(reminders.filter((item, i) => i !== index))}
+                aria-label="Remove reminder"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {needsDueDate && (
+        <p className="text-xs text-gray-500">Reminders before the due date start once the task has one.</p>
+      )}
+
+      {!isFull && (
+        <select className={selectClasses} value={choice} onChange={handleChoiceChange}>
+          <option value="">Add a reminder...</option>
+          {REMINDER_OFFSETS.map(offset => (
+            <option key={offset.value} value={offset.value}>
+              {offset.label}
+            </option>
+          ))}
+          <option value={CUSTOM_TIME}>At a specific time...</option>
+        </select>
+      )}
+
+      {choice === CUSTOM_TIME && !isFull && (
+        <div className="flex items-center gap-2">
+          <input
+            type="datetime-local"
+            className={inputClasses}
+            value={remindAt}
+            onChange={(e) => setRemindAt(e.target.value)}
+          />
+          <Button size="sm" onClick={handleAddTime} disabled={!remindAt}>
+            Add
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReminderEditor;
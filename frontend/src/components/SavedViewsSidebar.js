@@ -0,0 +1,109 @@
+import React from 'react';
+
+const ViewItem = ({ view, isActive, onSelect, onTogglePin, onDelete }) => (
+  <li className="group flex items-center gap-1">
+    <button
+      type="button"
+      className={`flex-1 min-w-0 px-3 py-2 text-sm text-left rounded-lg truncate ${
+        isActive
+          ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-200 font-medium'
+          : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+      }`}
+      onClick={() => onSelect(view)}
+      title={view.query || 'All tasks'}
+    >
+      {view.name}
+    </button>
+    <button
+      type="button"
+      className={`p-1 text-xs ${view.isPinned ? 'text-primary-500' : 'text-gray-300 opacity-0 group-hover:opacity-100'} hover:text-primary-600`}
+      onClick={() => onTogglePin(view)}
+      title={view.isPinned ? 'Unpin' : 'Pin to sidebar'}
+    >
+      📌
+    </button>
+    <button
+      type="button"
+      className="p-1 text-xs text-gray-300 opacity-0 group-hover:opacity-100 hover:text-red-500"
+      onClick={() => onDelete(view)}
+      title="Delete view"
+    >
+      ✕
+    </button>
+  </li>
+);
+
+const SavedViewsSidebar = ({ views, activeViewId, isAssignedToMe, onSelect, onSelectAssignedToMe, onTogglePin, onDelete }) => {
+  const pinned = views.filter(view => view.isPinned);
+  const others = views.filter(view => !view.isPinned);
+
+  const renderList = (list) => (
+    <ul className="space-y-1">
+      {list.map(view => (
+        <ViewItem
+          key={view._id}
+          view={view}
+          isActive={view._id === activeViewId}
+          onSelect={onSelect}
+          onTogglePin={onTogglePin}
+          onDelete={onDelete}
+        />
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-4 shadow-card space-y-4">
+      <div className="space-y-1">
+        <button
+          type="button"
+          className={`w-full px-3 py-2 text-sm text-left rounded-lg ${
+            !activeViewId && !isAssignedToMe
+              ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-200 font-medium'
+              : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+          }`}
+          onClick={() => onSelect(null)}
+        >
+          📋 All Tasks
+        </button>
+        <button
+          type="button"
+          className={`w-full px-3 py-2 text-sm text-left rounded-lg ${
+            isAssignedToMe
+              ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-200 font-medium'
+              : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+          }`}
+          onClick={onSelectAssignedToMe}
+        >
+          👤 Assigned to Me
+        </button>
+      </div>
+
+      {pinned.length > 0 && (
+        <div>
+          <h3 className="px-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+            Pinned
+          </h3>
+          {renderList(pinned)}
+        </div>
+      )}
+
+      {others.length > 0 && (
+        <div>
+          <h3 className="px-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+            Saved Views
+          </h3>
+          {renderList(others)}
+        </div>
+      )}
+
+      {views.length === 0 && (
+        <p className="px-3 text-xs text-gray-500">
+          Save a combination of filters as a view to get back to it in one click.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsSidebar;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { projectsAPI } from '../services/api';
+import { PROJECT_ROLES, SUCCESS_MESSAGES } from '../utils/constants';
+import Avatar from './Avatar';
+import Button from './Button';
+import Input from './Input';
+
+const RoleSelect = ({ value, onChange, disabled }) => (
+  <select
+    className="form-select px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+  >
+    {PROJECT_ROLES.map(role => (
+      <option key={role.value} value={role.value} title={role.description}>
+        {role.label}
+      </option>
+    ))}
+  </select>
+);
+
+const PersonRow = ({ user, children }) => (
+  <li className="flex items-center gap-3">
+    <Avatar user={user} />
+    <div className="flex-1 min-w-0">
+      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{user?.name || 'Unknown user'}</p>
+      <p className="text-xs text-gray-500 truncate">{user?.email}</p>
+    </div>
+    {children}
+  </li>
+);
+
+// Invite people to a project and manage their roles. Owners can change
+// everything; other members see who has access and can leave.
+const ShareProjectDialog = ({ project, currentUserId, onClose, onChanged, onLeft }) => {
+  const isOwner = project.role === 'owner';
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [invitations, setInvitations] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const loadInvitations = useCallback(async () => {
+    if (!isOwner) return;
+    try {
+      const response = await projectsAPI.getInvitations(project._id);
+      setInvitations(response.invitations);
+    } catch (error) {
+      console.error('Error loading invitations:', error);
+    }
+  }, [isOwner, project._id]);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    try {
+      setSaving(true);
+      await projectsAPI.inviteMember(project._id, { email: email.trim(), role });
+      setEmail('');
+      loadInvitations();
+      toast.success(SUCCESS_MESSAGES.INVITATION_SENT);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelInvitation = async (invitation) => {
+    try {
+      await projectsAPI.cancelInvitation(project._id, invitation._id);
+      setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+    } catch (error) {
+      toast.error('Failed to withdraw invitation');
+    }
+  };
+
+  const handleRoleChange = async (member, newRole) => {
+    try {
+      const response = await projectsAPI.updateMember(project._id, member.user._id, newRole);
+      onChanged(response.project);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user._id === currentUserId;
+    const question = isSelf
+      ? `Leave "${project.name}"? You will no longer see its tasks.`
+      : `Remove ${member.user.name} from "${project.name}"?`;
+    if (!window.confirm(question)) return;
+
+    try {
+      await projectsAPI.removeMember(project._id, member.user._id);
+      if (isSelf) {
+        toast.success(SUCCESS_MESSAGES.PROJECT_LEFT);
+        onLeft();
+      } else {
+        toast.success(SUCCESS_MESSAGES.MEMBER_REMOVED);
+        const response = await projectsAPI.getProject(project._id);
+        onChanged(response.project);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  const self = project.members.find(member => member.user?._id === currentUserId);
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-white dark:bg-gray-800 rounded-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto"
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+          Share “{project.name}”
+        </h2>
+
+        {isOwner && (
+          <form onSubmit={handleInvite} className="space-y-3 mb-6">
+            <Input
+              type="email"
+              label="Invite by email"
+              placeholder="name@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <div className="flex items-center gap-3">
+              <RoleSelect value={role} onChange={setRole} />
+              <span className="flex-1 text-xs text-gray-500">
+                {PROJECT_ROLES.find(r => r.value === role)?.description}
+              </span>
+              <Button type="submit" size="sm" loading={saving} disabled={!email.trim()}>
+                Invite
+              </Button>
+            </div>
+          </form>
+        )}
+
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">People with access</h3>
+        <ul className="space-y-3 mb-6">
+          <PersonRow user={project.owner}>
+            <span className="text-xs text-gray-500">Owner</span>
+          </PersonRow>
+          {project.members.map(member => (
+            <PersonRow key={member.user?._id} user={member.user}>
+              {isOwner ? (
+                <>
+                  <RoleSelect value={member.role} onChange={(newRole) => handleRoleChange(member, newRole)} />
+                  <button
+                    type="button"
+                    className="text-xs text-gray-400 hover:text-red-500"
+                    onClick={() => handleRemove(member)}
+                    aria-label={`Remove ${member.user?.name}`}
+                  >
+                    ✕
+                  </button>
+                </>
+              ) : (
+                <span className="text-xs text-gray-500 capitalize">{member.role}</span>
+              )}
+            </PersonRow>
+          ))}
+        </ul>
+
+        {invitations.length > 0 && (
+          <>
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Invited</h3>
+            <ul className="space-y-3 mb-6">
+              {invitations.map(invitation => (
+                <PersonRow key={invitation._id} user={invitation.user}>
+                  <span className="text-xs text-gray-500 capitalize">{invitation.role}</span>
+                  <Button size="sm" variant="ghost" onClick={() => handleCancelInvitation(invitation)}>
+                    Withdraw
+                  </Button>
+                </PersonRow>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="flex gap-3">
+          {self && (
+            <Button variant="ghost" fullWidth className="text-red-500 hover:text-red-600" onClick={() => handleRemove(self)}>
+              Leave Project
+            </Button>
+          )}
+          <Button variant="outline" fullWidth onClick={onClose}>
+            Done
+          </Button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ShareProjectDialog;
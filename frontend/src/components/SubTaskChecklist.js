@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+
+const SubTaskChecklist = ({
+  subTasks = [],
+  onToggle,
+  onAdd,
+  onDelete,
+  onRename,
+  onMove
+}) => {
+  const [newTitle, setNewTitle] = useState('');
+
+  const handleAdd = () => {
+    const title = newTitle.trim();
+    if (!title) return;
+    onAdd(title);
+    setNewTitle('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAdd();
+    }
+  };
+
+  return (
+    <div className="space-y-1" onClick={(e) => e.stopPropagation()}>
+      {subTasks.map((subTask, index) => (
+        <div key={subTask._id || subTask.key || index} className="flex items-center gap-2 group/subtask">
+          <input
+            type="checkbox"
+            checked={subTask.isDone}
+            className="custom-checkbox"
+            onChange={() => onToggle(subTask, index)}
+          />
+
+          {onRename ? (
+            <input
+              type="text"
+              className="flex-1 min-w-0 px-2 py-1 text-sm bg-transparent border border-transparent rounded hover:border-gray-300 focus:border-primary-500 focus:outline-none dark:text-gray-300"
+              value={subTask.title}
+              maxLength={100}
+              onChange={(e) => onRename(subTask, index, e.target.value)}
+            />
+          ) : (
+            <span
+              className={`flex-1 text-sm ${
+                subTask.isDone
+                  ? 'line-through text-gray-500'
+                  : 'text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {subTask.title}
+            </span>
+          )}
+
+          {onMove && (
+            <>
+              <button
+                type="button"
+                className="text-xs text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                disabled={index === 0}
+                onClick={() => onMove(index, -1)}
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="text-xs text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                disabled={index === subTasks.length - 1}
+                onClick={() => onMove(index, 1)}
+                title="Move down"
+              >
+                ↓
+              </button>
+            </>
+          )}
+
+          {onDelete && (
+            <button
+              type="button"
+              className="text-xs text-gray-400 hover:text-red-500 opacity-0 group-hover/subtask:opacity-100 transition-opacity"
+              onClick={() => onDelete(subTask, index)}
+              title="Delete subtask"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+
+      {onAdd && (
+        <div className="flex items-center gap-2 pt-1">
+          <input
+            type="text"
+            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:border-primary-500 focus:outline-none dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            placeholder="Add a subtask..."
+            value={newTitle}
+            maxLength={100}
+            onChange={(e) => setNewTitle(e.target.value)}
+            onKeyDown={handleKeyDown}
+          />
+          <button
+            type="button"
+            className="text-xs font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+            disabled={!newTitle.trim()}
+            onClick={handleAdd}
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubTaskChecklist;
@@ -0,0 +1,101 @@
+import React, { useState, useMemo } from 'react';
+import { VALIDATION_RULES } from '../utils/constants';
+
+const MAX_SUGGESTIONS = 6;
+
+const TagInput = ({ value = [], onChange, suggestions = [], label = 'Tags' }) => {
+  const [input, setInput] = useState('');
+  const [isFocused, setIsFocused] = useState(false);
+
+  const matches = useMemo(() => {
+    const prefix = input.trim().toLowerCase();
+    return suggestions
+      .filter(tag => !value.includes(tag.name))
+      .filter(tag => !prefix || tag.name.toLowerCase().startsWith(prefix))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [input, suggestions, value]);
+
+  const addTag = (tag) => {
+    const name = tag.trim().slice(0, VALIDATION_RULES.TAG.maxLength);
+    if (name && !value.includes(name)) {
+      onChange([...value, name]);
+    }
+    setInput('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(t => t !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      {label && (
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          {label}
+        </label>
+      )}
+      <div className="flex flex-wrap items-center gap-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-primary-500 focus-within:border-primary-500 dark:bg-gray-700 dark:border-gray-600">
+        {value.map(tag => (
+          <span
+            key={tag}
+            className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 dark:bg-gray-600 text-xs text-gray-700 dark:text-gray-200 rounded-full"
+          >
+            #{tag}
+            <button
+              type="button"
+              className="text-gray-400 hover:text-red-500"
+              onClick={() => removeTag(tag)}
+              aria-label={`Remove tag ${tag}`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          className="flex-1 min-w-[6rem] border-0 p-1 text-sm bg-transparent focus:ring-0 focus:outline-none dark:text-white"
+          placeholder={value.length === 0 ? 'Add tags...' : ''}
+          value={input}
+          maxLength={VALIDATION_RULES.TAG.maxLength}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => {
+            setIsFocused(false);
+            if (input.trim()) addTag(input);
+          }}
+        />
+      </div>
+
+      {isFocused && matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg shadow-card-hover overflow-hidden">
+          {matches.map(tag => (
+            <li key={tag.name}>
+              <button
+                type="button"
+                className="w-full flex justify-between px-3 py-2 text-sm text-left text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-600"
+                // Keep focus in the input so blur doesn't close the list first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag.name)}
+              >
+                <span>#{tag.name}</span>
+                <span className="text-xs text-gray-400">{tag.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
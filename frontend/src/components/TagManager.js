@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { tagsAPI } from '../services/api';
+import { CATEGORY_COLORS, SUCCESS_MESSAGES, VALIDATION_RULES } from '../utils/constants';
+import Button from './Button';
+
+const TagRow = ({ tag, tags, onChanged }) => {
+  const [name, setName] = useState(tag.name);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      await action();
+      toast.success(successMessage);
+      await onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update tag');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRename = () => {
+    const newName = name.trim();
+    if (!newName || newName === tag.name) {
+      setName(tag.name);
+      return;
+    }
+    run(() => tagsAPI.updateTag(tag.name, { name: newName }), SUCCESS_MESSAGES.TAG_UPDATED);
+  };
+
+  const handleMerge = () => {
+    if (!mergeTarget) return;
+    run(() => tagsAPI.mergeTags(tag.name, mergeTarget), SUCCESS_MESSAGES.TAGS_MERGED);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Remove #${tag.name} from ${tag.count} task(s)?`)) return;
+    run(() => tagsAPI.deleteTag(tag.name), SUCCESS_MESSAGES.TAG_DELETED);
+  };
+
+  return (
+    <li className={`space-y-2 p-3 rounded-lg border border-gray-200 dark:border-gray-700 ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+      <div className="flex items-center gap-2">
+        <span className="text-gray-400">#</span>
+        <input
+          type="text"
+          className="flex-1 min-w-0 px-2 py-1 text-sm bg-transparent border border-transparent rounded hover:border-gray-300 focus:border-primary-500 focus:outline-none dark:text-gray-200"
+          value={name}
+          maxLength={VALIDATION_RULES.TAG.maxLength}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={handleRename}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        />
+        <span className="text-xs text-gray-400">{tag.count} tasks</span>
+        <button
+          type="button"
+          className="text-xs text-gray-400 hover:text-red-500"
+          onClick={handleDelete}
+          title="Remove tag from all tasks"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1">
+        {CATEGORY_COLORS.map(color => (
+          <button
+            key={color}
+            type="button"
+            className={`w-5 h-5 rounded-full category-${color} border ${tag.color === color ? 'ring-2 ring-offset-1 ring-primary-500' : 'border-gray-200'}`}
+            onClick={() => run(() => tagsAPI.updateTag(tag.name, { color }), SUCCESS_MESSAGES.TAG_UPDATED)}
+            title={color}
+          />
+        ))}
+      </div>
+
+      {tags.length > 1 && (
+        <div className="flex items-center gap-2">
+          <select
+            className="form-select flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm"
+            value={mergeTarget}
+            onChange={(e) => setMergeTarget(e.target.value)}
+          >
+            <option value="">Merge into...</option>
+            {tags
+              .filter(other => other.name !== tag.name)
+              .map(other => (
+                <option key={other.name} value={other.name}>#{other.name}</option>
+              ))}
+          </select>
+          <Button size="sm" variant="outline" disabled={!mergeTarget} onClick={handleMerge}>
+            Merge
+          </Button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+const TagManager = ({ tags, onClose, onChanged }) => {
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-white dark:bg-gray-800 rounded-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto"
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+          Manage Tags
+        </h2>
+
+        {tags.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-6">
+            No tags yet. Add tags to your tasks to organize them.
+          </p>
+        ) : (
+          <ul className="space-y-3 mb-6">
+            {tags.map(tag => (
+              <TagRow key={tag.name} tag={tag} tags={tags} onChanged={onChanged} />
+            ))}
+          </ul>
+        )}
+
+        <Button variant="ghost" fullWidth onClick={onClose}>
+          Close
+        </Button>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default TagManager;
@@ -1,15 +1,35 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { 
-  getCategoryColor, 
-  getCategoryIcon, 
+  getCategoryInfo, 
   getPriorityColor, 
   getPriorityIcon,
   formatRelativeTime,
   isOverdue,
-  getDaysUntilDue
+  getDaysUntilDue,
+  describeRecurrence,
+  describeReminder,
+  getPendingReminders,
+  formatDuration,
+  getTrackedMinutes,
+  getRunningEntry
 } from '../utils/helpers';
 import Button from './Button';
+import SubTaskChecklist from './SubTaskChecklist';
+import AttachmentList from './AttachmentList';
+import HighlightedText from './HighlightedText';
+import DependencyEditor from './DependencyEditor';
+import AssigneePicker from './AssigneePicker';
+import CommentThread from './CommentThread';
+import TimeLog from './TimeLog';
+import Avatar from './Avatar';
+
+// Running time as H:MM:SS
+const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
 
 const TaskCard = ({ 
   task, 
@@ -17,16 +37,55 @@ const TaskCard = ({
   onEdit, 
   onDelete, 
   isSelected = false, 
-  onSelect 
+  onSelect,
+  onToggleSubTask,
+  onAddSubTask,
+  onDeleteSubTask,
+  onMoveSubTask,
+  onDownloadAttachment,
+  onDeleteAttachment,
+  tagColors = {},
+  onTagClick,
+  onDragTaskStart,
+  onDropTask,
+  onDependenciesChanged,
+  onAssigneeChanged,
+  onCommentsChanged,
+  currentUserId,
+  onTimerToggle,
+  onTimeChanged,
+  canManageTime = false,
+  people,
+  project,
+  sharedBy
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
 
-  const categoryInfo = { color: getCategoryColor(task.category), icon: getCategoryIcon(task.category) };
+  const categoryInfo = getCategoryInfo(task.category);
+  // Present on search results only
+  const highlights = task.highlights;
   const priorityInfo = { color: getPriorityColor(task.priority), icon: getPriorityIcon(task.priority) };
   
   const overdue = isOverdue(task.dueDate);
   const daysUntilDue = getDaysUntilDue(task.dueDate);
+  const pendingReminders = getPendingReminders(task);
+  const runningEntry = getRunningEntry(task, currentUserId);
+  const hasRunningTimer = (task.timeEntries || []).some(entry => !entry.end);
+
+  // Re-render every second while a timer runs so the badge keeps counting
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    if (!hasRunningTimer) return undefined;
+
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [hasRunningTimer]);
+
+  const trackedMinutes = getTrackedMinutes(task, now);
+  const overEstimate = task.estimateMinutes && trackedMinutes > task.estimateMinutes;
 
   const handleToggle = (e) => {
     e.stopPropagation();
@@ -43,6 +102,34 @@ const TaskCard = ({
     onDelete(task._id);
   };
 
+  const handleTimerToggle = (e) => {
+    e.stopPropagation();
+    onTimerToggle(task, !!runningEntry);
+  };
+
+  // Moving a subtask one step up or down places it between its new neighbours
+  const handleMoveSubTask = (index, direction) => {
+    const subTasks = task.subTasks;
+    const [prev, next] = direction < 0
+      ? [subTasks[index - 2], subTasks[index - 1]]
+      : [subTasks[index + 1], subTasks[index + 2]];
+    onMoveSubTask(task._id, subTasks[index]._id, prev?._id, next?._id);
+  };
+
+  // Manual ordering uses native drag and drop; the card itself is the drop target
+  const dropTargetProps = onDropTask ? {
+    onDragOver: (e) => {
+      e.preventDefault();
+      setIsDragOver(true);
+    },
+    onDragLeave: () => setIsDragOver(false),
+    onDrop: (e) => {
+      e.preventDefault();
+      setIsDragOver(false);
+      onDropTask(task._id);
+    }
+  } : {};
+
   const handleSelect = () => {
     if (onSelect) {
       onSelect(task._id);
@@ -57,6 +144,7 @@ const TaskCard = ({
         ${task.isDone ? 'completed opacity-75' : ''}
         ${isSelected ? 'ring-2 ring-primary-500 border-primary-300' : 'border-gray-200 dark:border-gray-700'}
         ${isHovered ? 'shadow-card-hover' : 'shadow-card'}
+        ${isDragOver ? 'border-dashed border-primary-400' : ''}
       `}
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
@@ -65,6 +153,7 @@ const TaskCard = ({
       onHoverStart={() => setIsHovered(true)}
       onHoverEnd={() => setIsHovered(false)}
       onClick={handleSelect}
+      {...dropTargetProps}
       layout
     >
       {/* Priority indicator */}
@@ -75,6 +164,22 @@ const TaskCard = ({
       {/* Header */}
       <div className="flex items-start justify-between gap-3">
         <div className="flex items-start gap-3 flex-1 min-w-0">
+          {/* Drag handle (manual order only) */}
+          {onDragTaskStart && (
+            <span
+              className="mt-1 flex-shrink-0 text-gray-300 hover:text-gray-500 cursor-grab active:cursor-grabbing select-none"
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                onDragTaskStart(task._id);
+              }}
+              onClick={(e) => e.stopPropagation()}
+              title="Drag to reorder"
+            >
+              ⋮⋮
+            </span>
+          )}
+
           {/* Checkbox */}
           <motion.button
             className={`
@@ -95,13 +200,13 @@ const TaskCard = ({
                   ${task.isDone ? 'line-through' : ''}
                 `}
               >
-                {task.title}
+                <HighlightedText segments={highlights?.title} text={task.title} />
               </h3>
               
               {/* Category badge */}
-              <span className={`category-badge category-${task.category} flex-shrink-0`}>
+              <span className={`category-badge category-${categoryInfo.color} flex-shrink-0`}>
                 <span className="mr-1">{categoryInfo.icon}</span>
-                {task.category}
+                {categoryInfo.label}
               </span>
             </div>
 
@@ -113,7 +218,11 @@ const TaskCard = ({
                   ${isExpanded ? '' : 'line-clamp-2'}
                 `}
               >
-                {task.description}
+                {highlights?.description && !isExpanded ? (
+                  <HighlightedText segments={highlights.description} />
+                ) : (
+                  task.description
+                )}
               </p>
             )}
 
@@ -138,13 +247,79 @@ const TaskCard = ({
               </div>
             )}
 
+            {/* Project, and who the task belongs to when it is shared */}
+            {(project || sharedBy) && (
+              <div className="flex items-center gap-1 mb-2 text-xs text-gray-500 dark:text-gray-400">
+                {project && <span className={`w-2 h-2 rounded-full category-${project.color}`} />}
+                <span className="flex-1 truncate">{project?.name}</span>
+                {sharedBy && <Avatar user={sharedBy} size="xs" />}
+              </div>
+            )}
+
+            {/* Assignee */}
+            {task.assignee && (
+              <div className="flex items-center gap-1 mb-2 text-xs text-gray-500 dark:text-gray-400">
+                <Avatar user={task.assignee} size="xs" />
+                <span className="truncate">{task.assignee.name}</span>
+              </div>
+            )}
+
+            {/* Repeat rule */}
+            {task.recurrence && (
+              <div className="flex items-center gap-1 mb-2 text-xs text-primary-600 dark:text-primary-400">
+                <span>🔁</span>
+                <span>{describeRecurrence(task.recurrence)}</span>
+              </div>
+            )}
+
+            {/* Upcoming reminders */}
+            {!task.isDone && pendingReminders.length > 0 && (
+              <div
+                className="flex items-center gap-1 mb-2 text-xs text-gray-500 dark:text-gray-400"
+                title={pendingReminders.map(describeReminder).join(', ')}
+              >
+                <span>🔔</span>
+                <span>
+                  {describeReminder(pendingReminders[0])}
+                  {pendingReminders.length > 1 && ` +${pendingReminders.length - 1}`}
+                </span>
+              </div>
+            )}
+
+            {/* Time tracked against the estimate */}
+            {(trackedMinutes > 0 || task.estimateMinutes) && (
+              <div
+                className={`flex items-center gap-1 mb-2 text-xs ${
+                  overEstimate ? 'text-red-600 font-semibold' : 'text-gray-500 dark:text-gray-400'
+                }`}
+                title={overEstimate ? 'Over the estimate' : 'Tracked / estimated'}
+              >
+                <span>⏱</span>
+                <span>
+                  {formatDuration(trackedMinutes)}
+                  {task.estimateMinutes && ` / ${formatDuration(task.estimateMinutes)}`}
+                </span>
+              </div>
+            )}
+
             {/* Tags */}
             {task.tags && task.tags.length > 0 && (
               <div className="flex flex-wrap gap-1 mb-2">
                 {task.tags.slice(0, isExpanded ? task.tags.length : 3).map((tag, index) => (
                   <span 
                     key={index}
-                    className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-xs text-gray-600 dark:text-gray-300 rounded-full"
+                    className={`px-2 py-1 text-xs rounded-full ${
+                      tagColors[tag]
+                        ? `category-${tagColors[tag]}`
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                    } ${onTagClick ? 'hover:underline' : ''} ${
+                      highlights?.tags?.includes(tag) ? 'ring-2 ring-yellow-400' : ''
+                    }`}
+                    onClick={(e) => {
+                      if (!onTagClick) return;
+                      e.stopPropagation();
+                      onTagClick(tag);
+                    }}
                   >
                     #{tag}
                   </span>
@@ -155,6 +330,17 @@ const TaskCard = ({
               </div>
             )}
 
+            {/* Attachments */}
+            {task.attachments && task.attachments.length > 0 && (
+              <div className="mb-2">
+                <AttachmentList
+                  attachments={task.attachments}
+                  onDownload={(attachment) => onDownloadAttachment && onDownloadAttachment(task._id, attachment)}
+                  onDelete={onDeleteAttachment && ((attachment) => onDeleteAttachment(task._id, attachment._id))}
+                />
+              </div>
+            )}
+
             {/* Subtasks progress */}
             {task.subTasks && task.subTasks.length > 0 && (
               <div className="mb-2">
@@ -183,18 +369,65 @@ const TaskCard = ({
             {priorityInfo.icon} {task.priority}
           </span>
 
+          {/* Waiting on open blockers */}
+          {task.isBlocked && !task.isDone && (
+            <span
+              className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200"
+              title="Waiting on tasks that are still open"
+            >
+              ⛔ Blocked
+            </span>
+          )}
+
+          {/* Running timer; click to stop it */}
+          {runningEntry && (
+            <button
+              type="button"
+              className="px-2 py-1 rounded-full text-xs font-medium font-mono bg-green-100 text-green-700 hover:bg-green-200 dark:bg-green-900 dark:text-green-200"
+              onClick={onTimerToggle ? handleTimerToggle : undefined}
+              title="Stop timer"
+            >
+              ⏱ {formatElapsed(now - new Date(runningEntry.start))}
+            </button>
+          )}
+
+          {/* Comment count */}
+          {task.commentCount > 0 && (
+            <button
+              type="button"
+              className="text-xs text-gray-500 hover:text-primary-600"
+              onClick={() => setIsExpanded(true)}
+              title="Show discussion"
+            >
+              💬 {task.commentCount}
+            </button>
+          )}
+
           {/* Actions */}
           <div className={`flex gap-1 transition-opacity ${isHovered ? 'opacity-100' : 'opacity-0'}`}>
-            <Button
-              size="sm"
-              variant="ghost"
-              onClick={handleEdit}
-              className="p-1 h-8 w-8"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-              </svg>
-            </Button>
+            {onTimerToggle && !runningEntry && !task.isDone && (
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={handleTimerToggle}
+                className="p-1 h-8 w-8"
+                title="Start timer"
+              >
+                ▶
+              </Button>
+            )}
+            {onEdit && (
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={handleEdit}
+                className="p-1 h-8 w-8"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                </svg>
+              </Button>
+            )}
             <Button
               size="sm"
               variant="ghost"
@@ -210,7 +443,7 @@ const TaskCard = ({
       </div>
 
       {/* Expanded content */}
-      {isExpanded && task.subTasks && task.subTasks.length > 0 && (
+      {isExpanded && (task.subTasks?.length > 0 || onAddSubTask) && (
         <motion.div
           className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600"
           initial={{ opacity: 0, height: 0 }}
@@ -220,32 +453,72 @@ const TaskCard = ({
           <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             Subtasks ({task.subTasks.filter(st => st.isDone).length}/{task.subTasks.length})
           </h4>
-          <div className="space-y-1">
-            {task.subTasks.map((subtask, index) => (
-              <div key={index} className="flex items-center gap-2">
-                <input
-                  type="checkbox"
-                  checked={subtask.isDone}
-                  className="custom-checkbox"
-                  readOnly
-                />
-                <span 
-                  className={`text-sm ${
-                    subtask.isDone 
-                      ? 'line-through text-gray-500' 
-                      : 'text-gray-700 dark:text-gray-300'
-                  }`}
-                >
-                  {subtask.title}
-                </span>
-              </div>
-            ))}
-          </div>
+          <SubTaskChecklist
+            subTasks={task.subTasks}
+            onToggle={(subTask) => onToggleSubTask && onToggleSubTask(task._id, subTask._id)}
+            onAdd={onAddSubTask && ((title) => onAddSubTask(task._id, title))}
+            onDelete={onDeleteSubTask && ((subTask) => onDeleteSubTask(task._id, subTask._id))}
+            onMove={onMoveSubTask && handleMoveSubTask}
+          />
+        </motion.div>
+      )}
+
+      {/* Dependencies */}
+      {isExpanded && onDependenciesChanged && (
+        <motion.div
+          className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600"
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          exit={{ opacity: 0, height: 0 }}
+        >
+          <DependencyEditor task={task} onChanged={onDependenciesChanged} />
+        </motion.div>
+      )}
+
+      {/* Assignee */}
+      {isExpanded && onAssigneeChanged && (
+        <motion.div
+          className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600"
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          exit={{ opacity: 0, height: 0 }}
+        >
+          <AssigneePicker task={task} onChanged={onAssigneeChanged} />
+        </motion.div>
+      )}
+
+      {/* Time log */}
+      {isExpanded && onTimeChanged && (
+        <motion.div
+          className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600"
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          exit={{ opacity: 0, height: 0 }}
+        >
+          <TimeLog
+            task={task}
+            currentUserId={currentUserId}
+            isOwner={canManageTime}
+            people={people}
+            onChanged={onTimeChanged}
+          />
+        </motion.div>
+      )}
+
+      {/* Discussion */}
+      {isExpanded && onCommentsChanged && (
+        <motion.div
+          className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600"
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          exit={{ opacity: 0, height: 0 }}
+        >
+          <CommentThread task={task} onCountChanged={(count) => onCommentsChanged(task._id, count)} />
         </motion.div>
       )}
 
       {/* Expand button */}
-      {(task.description?.length > 100 || (task.subTasks && task.subTasks.length > 0) || (task.tags && task.tags.length > 3)) && (
+      {(task.description?.length > 100 || (task.subTasks && task.subTasks.length > 0) || (task.tags && task.tags.length > 3) || onAddSubTask || onDependenciesChanged || onAssigneeChanged || onTimeChanged || onCommentsChanged) && (
         <motion.button
           className="mt-3 text-xs text-primary-600 hover:text-primary-700 font-medium flex items-center gap-1"
           onClick={(e) => {
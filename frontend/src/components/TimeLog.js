@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+import {
+  formatDateTime,
+  formatDuration,
+  getEntryMinutes,
+  toDateTimeInputValue
+} from '../utils/helpers';
+import Button from './Button';
+import Avatar from './Avatar';
+
+const inputClasses = 'form-input w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600';
+
+const emptyForm = { start: '', end: '', note: '' };
+
+// Time tracked on a task, newest first. People add and edit their own
+// entries; owners of the task can fix anyone's.
+const TimeLog = ({ task, currentUserId, isOwner = false, people = {}, onChanged }) => {
+  // null when closed, 'new' when adding, or the id of the entry being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const entries = [...(task.timeEntries || [])]
+    .sort((a, b) => new Date(b.start) - new Date(a.start));
+
+  const canChange = (entry) => isOwner || String(entry.userId) === String(currentUserId);
+
+  const openForm = (entry) => {
+    setEditingId(entry ? entry._id : 'new');
+    setForm(entry ? {
+      start: toDateTimeInputValue(entry.start),
+      end: entry.end ? toDateTimeInputValue(entry.end) : '',
+      note: entry.note || ''
+    } : emptyForm);
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const entry = {
+      start: new Date(form.start).toISOString(),
+      end: form.end ? new Date(form.end).toISOString() : undefined,
+      note: form.note
+    };
+
+    try {
+      setSaving(true);
+      const response = editingId === 'new'
+        ? await tasksAPI.addTimeEntry(task._id, entry)
+        : await tasksAPI.updateTimeEntry(task._id, editingId, entry);
+      onChanged(response);
+      closeForm();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to save time entry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm('Delete this time entry?')) return;
+
+    try {
+      const response = await tasksAPI.deleteTimeEntry(task._id, entry._id);
+      onChanged(response);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete time entry');
+    }
+  };
+
+  const renderForm = (isRunning) => (
+    <form className="space-y-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-700/50" onSubmit={handleSave}>
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          type="datetime-local"
+          className={inputClasses}
+          value={form.start}
+          onChange={(e) => setForm(prev => ({ ...prev, start: e.target.value }))}
+          aria-label="Start"
+          required
+        />
+        {/* A running timer gets its end when it is stopped */}
+        <input
+          type="datetime-local"
+          className={inputClasses}
+          value={form.end}
+          onChange={(e) => setForm(prev => ({ ...prev, end: e.target.value }))}
+          aria-label="End"
+          disabled={isRunning}
+          required={!isRunning}
+        />
+      </div>
+      <input
+        type="text"
+        className={inputClasses}
+        value={form.note}
+        onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+        placeholder="What did you work on?"
+        maxLength={200}
+      />
+      <div className="flex justify-end gap-2">
+        <Button size="sm" variant="ghost" onClick={closeForm}>
+          Cancel
+        </Button>
+        <Button size="sm" type="submit" loading={saving}>
+          Save
+        </Button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="space-y-2" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Time log</h4>
+        {editingId === null && (
+          <button
+            type="button"
+            className="text-xs text-primary-600 hover:text-primary-700"
+            onClick={() => openForm(null)}
+          >
+            + Log time
+          </button>
+        )}
+      </div>
+
+      {editingId === 'new' && renderForm(false)}
+
+      {entries.length === 0 && editingId !== 'new' && (
+        <p className="text-xs text-gray-500">No time tracked yet.</p>
+      )}
+
+      <ul className="space-y-1">
+        {entries.map(entry => (editingId === entry._id ? (
+          <li key={entry._id}>{renderForm(!entry.end)}</li>
+        ) : (
+          <li key={entry._id} className="group flex items-center gap-2 text-xs text-gray-600 dark:text-gray-400">
+            {String(entry.userId) !== String(currentUserId) && people[entry.userId] && (
+              <Avatar user={people[entry.userId]} size="xs" />
+            )}
+            <span className="font-medium text-gray-700 dark:text-gray-300 w-16 flex-shrink-0">
+              {entry.end ? formatDuration(getEntryMinutes(entry)) : '⏱ Running'}
+            </span>
+            <span className="flex-shrink-0">{formatDateTime(entry.start)}</span>
+            <span className="flex-1 truncate" title={entry.note}>{entry.note}</span>
+            {canChange(entry) && (
+              <span className="opacity-0 group-hover:opacity-100 flex gap-2">
+                <button type="button" className="hover:text-primary-600" onClick={() => openForm(entry)}>
+                  Edit
+                </button>
+                {entry.end && (
+                  <button type="button" className="hover:text-red-500" onClick={() => handleDelete(entry)}>
+                    Delete
+                  </button>
+                )}
+              </span>
+            )}
+          </li>
+        )))}
+      </ul>
+    </div>
+  );
+};
+
+export default TimeLog;
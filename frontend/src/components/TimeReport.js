@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+import { addDays, startOfDay, toDateKey, formatDuration, getCategoryInfo, downloadBlob } from '../utils/helpers';
+import Button from './Button';
+import LoadingSpinner from './LoadingSpinner';
+
+const inputClasses = 'form-input w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600';
+
+// Date inputs give local calendar days; the range includes the whole "to" day
+const toRange = ({ from, to }) => [
+  new Date(`${from}T00:00`),
+  addDays(new Date(`${to}T00:00`), 1)
+];
+
+// Time the user tracked per category over a date range, for billing and planning
+const TimeReport = ({ onClose }) => {
+  const [dates, setDates] = useState(() => {
+    const today = startOfDay(new Date());
+    return { from: toDateKey(addDays(today, -29)), to: toDateKey(today) };
+  });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    if (!dates.from || !dates.to) return;
+
+    const loadReport = async () => {
+      try {
+        setLoading(true);
+        setReport(await tasksAPI.getTimeReport(...toRange(dates)));
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load time report');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadReport();
+  }, [dates]);
+
+  const handleDownload = async () => {
+    try {
+      const blob = await tasksAPI.exportTimeReport(...toRange(dates));
+      downloadBlob(blob, `taskify-time-${dates.from}-${dates.to}.csv`);
+    } catch (error) {
+      toast.error('Failed to download time report');
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="bg-white dark:bg-gray-800 rounded-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+          Time Report
+        </h2>
+
+        <div className="grid grid-cols-2 gap-3 mb-6">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            From
+            <input
+              type="date"
+              className={`${inputClasses} mt-1`}
+              value={dates.from}
+              max={dates.to}
+              onChange={(e) => setDates(prev => ({ ...prev, from: e.target.value }))}
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            To
+            <input
+              type="date"
+              className={`${inputClasses} mt-1`}
+              value={dates.to}
+              min={dates.from}
+              onChange={(e) => setDates(prev => ({ ...prev, to: e.target.value }))}
+            />
+          </label>
+        </div>
+
+        {loading && !report ? (
+          <LoadingSpinner text="Loading report..." />
+        ) : report && report.categories.length === 0 ? (
+          <p className="py-8 text-center text-sm text-gray-500">No time tracked in this period.</p>
+        ) : report && (
+          <table className={`w-full text-sm ${loading ? 'opacity-50' : ''}`}>
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 font-medium">Category</th>
+                <th className="py-2 font-medium text-right">Tracked</th>
+                <th className="py-2 font-medium text-right">Estimated</th>
+                <th className="py-2 font-medium text-right">Entries</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {report.categories.map(row => {
+                const categoryInfo = getCategoryInfo(row.category);
+                const isExpanded = expanded === row.category;
+
+                return (
+                  <React.Fragment key={row.category}>
+                    <tr
+                      className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                      onClick={() => setExpanded(isExpanded ? null : row.category)}
+                    >
+                      <td className="py-2 text-gray-900 dark:text-white">
+                        <span className="mr-1">{categoryInfo.icon}</span>
+                        {categoryInfo.label}
+                      </td>
+                      <td className="py-2 text-right font-medium text-gray-900 dark:text-white">
+                        {formatDuration(row.minutes)}
+                      </td>
+                      <td className="py-2 text-right text-gray-500">
+                        {row.estimateMinutes ? formatDuration(row.estimateMinutes) : '—'}
+                      </td>
+                      <td className="py-2 text-right text-gray-500">{row.entries}</td>
+                    </tr>
+                    {isExpanded && row.tasks.map(task => (
+                      <tr key={task._id} className="text-xs text-gray-600 dark:text-gray-400">
+                        <td className="py-1 pl-6 truncate max-w-0">{task.title}</td>
+                        <td
+                          className={`py-1 text-right ${
+                            task.estimateMinutes && task.minutes > task.estimateMinutes ? 'text-red-600' : ''
+                          }`}
+                        >
+                          {formatDuration(task.minutes)}
+                        </td>
+                        <td className="py-1 text-right">
+                          {task.estimateMinutes ? formatDuration(task.estimateMinutes) : '—'}
+                        </td>
+                        <td />
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              <tr className="border-t border-gray-200 dark:border-gray-700 font-semibold text-gray-900 dark:text-white">
+                <td className="py-2">Total</td>
+                <td className="py-2 text-right">{formatDuration(report.totalMinutes)}</td>
+                <td colSpan={2} />
+              </tr>
+            </tfoot>
+          </table>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <Button variant="ghost" fullWidth onClick={onClose}>
+            Close
+          </Button>
+          <Button
+            variant="outline"
+            fullWidth
+            onClick={handleDownload}
+            disabled={!report || report.categories.length === 0}
+          >
+            Download CSV
+          </Button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default TimeReport;
@@ -210,7 +210,7 @@ export const AuthProvider = ({ children }) => {
   // Update profile function
   const updateProfile = async (userData) => {
     try {
-      dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+      // No global loading state here: it would swap the open page for the spinner
       dispatch({ type: ActionTypes.CLEAR_ERROR });
       
       const response = await authAPI.updateProfile(userData);
@@ -219,7 +219,6 @@ export const AuthProvider = ({ children }) => {
       setToStorage(STORAGE_KEYS.USER, response.user);
       
       dispatch({ type: ActionTypes.UPDATE_USER, payload: response.user });
-      dispatch({ type: ActionTypes.SET_LOADING, payload: false });
       
       toast.success(response.message || 'Profile updated successfully! 👤');
       return response;
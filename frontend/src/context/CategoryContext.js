@@ -0,0 +1,100 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { categoriesAPI } from '../services/api';
+import { setCategoryRegistry } from '../utils/helpers';
+import { TASK_CATEGORIES } from '../utils/constants';
+import { useAuth } from './AuthContext';
+
+// Convert an API category to the { value, label, icon, color } shape used by the UI
+const normalizeCategory = (category) => ({
+  _id: category._id,
+  value: category.key,
+  label: category.name,
+  icon: category.icon,
+  color: category.color,
+  taskCount: category.taskCount || 0
+});
+
+// Create context
+const CategoryContext = createContext();
+
+// Custom hook to use category context
+export const useCategories = () => {
+  const context = useContext(CategoryContext);
+  if (!context) {
+    throw new Error('useCategories must be used within a CategoryProvider');
+  }
+  return context;
+};
+
+// Category provider component
+export const CategoryProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [categories, setCategories] = useState(TASK_CATEGORIES);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const applyCategories = (list) => {
+    setCategoryRegistry(list);
+    setCategories(list);
+  };
+
+  const loadCategories = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await categoriesAPI.getCategories();
+      applyCategories(response.categories.map(normalizeCategory));
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Load the user's categories after login, reset to defaults after logout
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadCategories();
+    } else {
+      applyCategories(TASK_CATEGORIES);
+    }
+  }, [isAuthenticated, loadCategories]);
+
+  const createCategory = async (categoryData) => {
+    const response = await categoriesAPI.createCategory(categoryData);
+    const category = normalizeCategory(response.category);
+    applyCategories([...categories, category]);
+    return category;
+  };
+
+  const updateCategory = async (id, categoryData) => {
+    const response = await categoriesAPI.updateCategory(id, categoryData);
+    const updated = normalizeCategory(response.category);
+    applyCategories(categories.map(category =>
+      category._id === id ? { ...updated, taskCount: category.taskCount } : category
+    ));
+    return updated;
+  };
+
+  // Deleting moves the category's tasks to another one; counts are refreshed from the server
+  const deleteCategory = async (id, reassignTo) => {
+    const response = await categoriesAPI.deleteCategory(id, reassignTo);
+    await loadCategories();
+    return response;
+  };
+
+  const value = {
+    categories,
+    isLoading,
+    loadCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+  };
+
+  return (
+    <CategoryContext.Provider value={value}>
+      {children}
+    </CategoryContext.Provider>
+  );
+};
+
+export default CategoryContext;
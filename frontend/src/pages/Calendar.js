@@ -0,0 +1,425 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { tasksAPI } from '../services/api';
+import { useCategories } from '../context/CategoryContext';
+import {
+  getCategoryInfo,
+  startOfDay,
+  addDays,
+  startOfWeek,
+  toDateKey,
+  formatDate,
+  confirmCompleteBlocked
+} from '../utils/helpers';
+import {
+  ANIMATION_VARIANTS,
+  AGENDA_DAYS,
+  CALENDAR_VIEWS,
+  DEFAULT_VALUES,
+  SUCCESS_MESSAGES,
+  WEEKDAYS
+} from '../utils/constants';
+import toast from 'react-hot-toast';
+
+// Components
+import Button from '../components/Button';
+import LoadingSpinner from '../components/LoadingSpinner';
+import CalendarFeedSettings from '../components/CalendarFeedSettings';
+
+// Days covered by each view around the anchor date
+const getRange = (view, anchor) => {
+  let from;
+  let length;
+
+  if (view === 'month') {
+    from = startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+    length = 42;
+  } else if (view === 'week') {
+    from = startOfWeek(anchor);
+    length = 7;
+  } else {
+    from = startOfDay(anchor);
+    length = AGENDA_DAYS;
+  }
+
+  const days = Array.from({ length }, (_, index) => addDays(from, index));
+  return { from, to: addDays(from, length), days };
+};
+
+// Move a due date to another day, keeping its time unless that is already past
+const rescheduleTo = (dueDate, day) => {
+  const original = new Date(dueDate);
+  const target = new Date(day);
+  target.setHours(original.getHours(), original.getMinutes(), 0, 0);
+  if (target <= new Date()) {
+    target.setHours(23, 59, 0, 0);
+  }
+  return target;
+};
+
+const TaskChip = ({ task, onDragStart, onToggle }) => {
+  const categoryInfo = getCategoryInfo(task.category);
+
+  return (
+    <div
+      className={`flex items-center gap-1 px-2 py-1 text-xs rounded cursor-grab category-${categoryInfo.color} ${task.isDone ? 'opacity-60 line-through' : ''}`}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        onDragStart(task);
+      }}
+      onClick={(e) => e.stopPropagation()}
+      title={task.title}
+    >
+      <button
+        type="button"
+        className="flex-shrink-0"
+        onClick={() => onToggle(task)}
+        title={task.isDone ? 'Mark as pending' : 'Mark as done'}
+      >
+        {task.isDone ? '☑' : '☐'}
+      </button>
+      <span className="truncate">{task.title}</span>
+    </div>
+  );
+};
+
+const DayCell = ({
+  day,
+  tasks,
+  isOutsideMonth,
+  isDragOver,
+  isQuickCreating,
+  className = '',
+  onDragOver,
+  onDragLeave,
+  onDrop,
+  onStartQuickCreate,
+  onQuickCreate,
+  onCancelQuickCreate,
+  onDragTaskStart,
+  onToggleTask
+}) => {
+  const [title, setTitle] = useState('');
+  const isToday = toDateKey(day) === toDateKey(new Date());
+  const isPast = day < startOfDay(new Date());
+
+  const submit = () => {
+    if (title.trim()) onQuickCreate(title.trim());
+    setTitle('');
+  };
+
+  return (
+    <div
+      className={`
+        p-2 border border-gray-100 dark:border-gray-700 flex flex-col gap-1
+        ${isOutsideMonth ? 'bg-gray-50 dark:bg-gray-900' : 'bg-white dark:bg-gray-800'}
+        ${isDragOver ? 'ring-2 ring-inset ring-primary-400' : ''}
+        ${isPast ? '' : 'cursor-pointer'}
+        ${className}
+      `}
+      onDragOver={onDragOver}
+      onDragLeave={onDragLeave}
+      onDrop={onDrop}
+      onClick={() => !isPast && onStartQuickCreate()}
+    >
+      <span
+        className={`text-xs font-medium self-start px-1.5 rounded-full ${
+          isToday ? 'bg-primary-500 text-white' : isOutsideMonth ? 'text-gray-400' : 'text-gray-700 dark:text-gray-300'
+        }`}
+      >
+        {day.getDate()}
+      </span>
+
+      <div className="flex-1 space-y-1 overflow-y-auto">
+        {tasks.map(task => (
+          <TaskChip
+            key={task._id}
+            task={task}
+            onDragStart={onDragTaskStart}
+            onToggle={onToggleTask}
+          />
+        ))}
+      </div>
+
+      {isQuickCreating && (
+        <input
+          type="text"
+          autoFocus
+          className="w-full px-2 py-1 text-xs border border-primary-300 rounded focus:outline-none dark:bg-gray-700 dark:text-white"
+          placeholder="New task..."
+          value={title}
+          maxLength={200}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => setTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submit();
+            if (e.key === 'Escape') onCancelQuickCreate();
+          }}
+          onBlur={() => {
+            submit();
+            onCancelQuickCreate();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+const Calendar = () => {
+  const { categories } = useCategories();
+  const [view, setView] = useState('month');
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dragOverDay, setDragOverDay] = useState(null);
+  const [quickCreateDay, setQuickCreateDay] = useState(null);
+  const [showFeedSettings, setShowFeedSettings] = useState(false);
+
+  const range = useMemo(() => getRange(view, anchor), [view, anchor]);
+
+  const loadTasks = useCallback(async () => {
+    try {
+      const response = await tasksAPI.getCalendarTasks(range.from, range.to);
+      setTasks(response.tasks || []);
+    } catch (error) {
+      console.error('Error loading calendar:', error);
+      toast.error('Failed to load calendar');
+    } finally {
+      setLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  const tasksByDay = useMemo(() => {
+    return tasks.reduce((groups, task) => {
+      const key = toDateKey(task.dueDate);
+      (groups[key] = groups[key] || []).push(task);
+      return groups;
+    }, {});
+  }, [tasks]);
+
+  const navigate = (direction) => {
+    if (view === 'month') {
+      setAnchor(prev => new Date(prev.getFullYear(), prev.getMonth() + direction, 1));
+    } else {
+      setAnchor(prev => addDays(prev, direction * (view === 'week' ? 7 : AGENDA_DAYS)));
+    }
+  };
+
+  const title = view === 'month'
+    ? anchor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : `${formatDate(range.from)} – ${formatDate(addDays(range.to, -1))}`;
+
+  const replaceTask = (updated) => {
+    setTasks(prev => prev.map(task => task._id === updated._id ? updated : task));
+  };
+
+  const handleDrop = async (day) => {
+    const task = draggedTask;
+    setDraggedTask(null);
+    setDragOverDay(null);
+    if (!task || toDateKey(task.dueDate) === toDateKey(day)) return;
+
+    const dueDate = rescheduleTo(task.dueDate, day);
+    replaceTask({ ...task, dueDate: dueDate.toISOString() });
+
+    try {
+      const response = await tasksAPI.updateTask(task._id, { dueDate });
+      replaceTask(response.task);
+      toast.success(`Moved to ${formatDate(dueDate)}`);
+    } catch (error) {
+      replaceTask(task);
+      toast.error(error.response?.data?.errors?.[0] || 'Failed to reschedule task');
+    }
+  };
+
+  const handleToggle = async (task, force = false) => {
+    try {
+      const response = await tasksAPI.toggleTask(task._id, { force });
+      replaceTask(response.task);
+      // A completed recurring task may have spawned an occurrence in view
+      if (response.nextTask) loadTasks();
+    } catch (error) {
+      if (confirmCompleteBlocked(error)) {
+        handleToggle(task, true);
+      } else if (error.response?.status !== 409) {
+        toast.error('Failed to update task');
+      }
+    }
+  };
+
+  // Quick-created tasks are due at the end of the chosen day
+  const handleQuickCreate = async (day, taskTitle) => {
+    const dueDate = new Date(day);
+    dueDate.setHours(23, 59, 0, 0);
+    const category = categories.find(c => c.value === DEFAULT_VALUES.TASK.category) || categories[0];
+
+    try {
+      const response = await tasksAPI.createTask({
+        title: taskTitle,
+        category: category?.value,
+        priority: DEFAULT_VALUES.TASK.priority,
+        dueDate
+      });
+      setTasks(prev => [...prev, response.task]);
+      toast.success(SUCCESS_MESSAGES.TASK_CREATED);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || 'Failed to create task');
+    }
+  };
+
+  const renderDay = (day, extra = {}) => {
+    const key = toDateKey(day);
+    return (
+      <DayCell
+        key={key}
+        day={day}
+        tasks={tasksByDay[key] || []}
+        isDragOver={dragOverDay === key}
+        isQuickCreating={quickCreateDay === key}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOverDay(key);
+        }}
+        onDragLeave={() => setDragOverDay(null)}
+        onDrop={(e) => {
+          e.preventDefault();
+          handleDrop(day);
+        }}
+        onStartQuickCreate={() => setQuickCreateDay(key)}
+        onQuickCreate={(taskTitle) => handleQuickCreate(day, taskTitle)}
+        onCancelQuickCreate={() => setQuickCreateDay(null)}
+        onDragTaskStart={setDraggedTask}
+        onToggleTask={handleToggle}
+        {...extra}
+      />
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading calendar..." />
+      </div>
+    );
+  }
+
+  const agendaDays = range.days.filter(day => tasksByDay[toDateKey(day)]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900">
+      {/* Header */}
+      <motion.header
+        className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700"
+        {...ANIMATION_VARIANTS.slideIn}
+      >
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <div className="flex items-center gap-4">
+              <Link
+                to="/dashboard"
+                className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                title="Back to dashboard"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+                </svg>
+              </Link>
+              <div>
+                <h1 className="text-xl font-bold text-gray-900 dark:text-white">Calendar</h1>
+                <p className="text-sm text-gray-500">{title}</p>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Button variant="ghost" size="sm" onClick={() => navigate(-1)}>‹</Button>
+              <Button variant="outline" size="sm" onClick={() => setAnchor(startOfDay(new Date()))}>
+                Today
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => navigate(1)}>›</Button>
+
+              <div className="flex ml-4 rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden">
+                {CALENDAR_VIEWS.map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    className={`px-3 py-1 text-sm ${
+                      view === option.value
+                        ? 'bg-primary-500 text-white'
+                        : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
+                    }`}
+                    onClick={() => setView(option.value)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+
+              <Button variant="ghost" size="sm" onClick={() => setShowFeedSettings(true)} title="Subscribe from another calendar app">
+                Subscribe
+              </Button>
+            </div>
+          </div>
+        </div>
+      </motion.header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {view === 'agenda' ? (
+          <div className="space-y-4">
+            {agendaDays.length === 0 ? (
+              <div className="text-center py-12">
+                <div className="text-6xl mb-4">📅</div>
+                <p className="text-gray-600 dark:text-gray-400">
+                  Nothing due in the next {AGENDA_DAYS} days.
+                </p>
+              </div>
+            ) : (
+              agendaDays.map(day => (
+                <div key={toDateKey(day)} className="bg-white dark:bg-gray-800 rounded-xl shadow-card overflow-hidden">
+                  <h3 className="px-4 py-2 text-sm font-semibold text-gray-700 dark:text-gray-300 border-b border-gray-100 dark:border-gray-700">
+                    {day.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+                  </h3>
+                  {renderDay(day, { className: 'border-0' })}
+                </div>
+              ))
+            )}
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-card overflow-hidden">
+            <div className="grid grid-cols-7 border-b border-gray-200 dark:border-gray-700">
+              {WEEKDAYS.map(weekday => (
+                <div key={weekday.value} className="py-2 text-xs font-semibold text-center text-gray-500 uppercase">
+                  {weekday.label}
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-7">
+              {range.days.map(day => renderDay(day, {
+                isOutsideMonth: view === 'month' && day.getMonth() !== anchor.getMonth(),
+                className: view === 'month' ? 'h-32' : 'h-96'
+              }))}
+            </div>
+          </div>
+        )}
+
+        <p className="mt-4 text-xs text-gray-500">
+          Drag a task to another day to reschedule it, or click an empty spot on a day to add a task.
+        </p>
+      </div>
+
+      <AnimatePresence>
+        {showFeedSettings && (
+          <CalendarFeedSettings onClose={() => setShowFeedSettings(false)} />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default Calendar;
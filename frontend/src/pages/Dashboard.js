@@ -1,18 +1,26 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
-import { tasksAPI } from '../services/api';
+import { useCategories } from '../context/CategoryContext';
+import { tasksAPI, tagsAPI, viewsAPI, projectsAPI, invitationsAPI, notificationsAPI, subscribeToEvents } from '../services/api';
 import { 
-  filterTasks, 
-  sortTasks, 
-  getTaskStats, 
-  debounce 
+  debounce,
+  confirmCompleteBlocked,
+  buildFilterQuery,
+  getFromStorage,
+  setToStorage,
+  generateId,
+  downloadBlob
 } from '../utils/helpers';
 import { 
-  TASK_CATEGORIES, 
   TASK_PRIORITIES, 
+  TASK_PAGE_SIZE,
   SORT_OPTIONS, 
+  STORAGE_KEYS,
   ANIMATION_VARIANTS,
+  VALIDATION_RULES,
+  ERROR_MESSAGES,
   SUCCESS_MESSAGES 
 } from '../utils/constants';
 import toast from 'react-hot-toast';
@@ -22,53 +30,350 @@ import TaskCard from '../components/TaskCard';
 import Button from '../components/Button';
 import Input from '../components/Input';
 import LoadingSpinner from '../components/LoadingSpinner';
+import RecurrenceEditor from '../components/RecurrenceEditor';
+import ReminderEditor from '../components/ReminderEditor';
+import SubTaskChecklist from '../components/SubTaskChecklist';
+import AttachmentList from '../components/AttachmentList';
+import AttachmentDropzone from '../components/AttachmentDropzone';
+import CategoryManager from '../components/CategoryManager';
+import TagInput from '../components/TagInput';
+import TagManager from '../components/TagManager';
+import ImportWizard from '../components/ImportWizard';
+import SavedViewsSidebar from '../components/SavedViewsSidebar';
+import ProjectsSidebar from '../components/ProjectsSidebar';
+import ProjectForm from '../components/ProjectForm';
+import InvitationsList from '../components/InvitationsList';
+import KanbanBoard from '../components/KanbanBoard';
+import NotificationSettings from '../components/NotificationSettings';
+import NotificationBell from '../components/NotificationBell';
+import TimeReport from '../components/TimeReport';
+
+const initialTaskForm = {
+  title: '',
+  description: '',
+  category: 'personal',
+  priority: 'medium',
+  dueDate: '',
+  tags: [],
+  subTasks: [],
+  recurrence: null,
+  // null until edited: the server adds the user's default reminders
+  reminders: null,
+  // Hours in the form; saved as estimateMinutes
+  estimateHours: '',
+  projectId: ''
+};
+
+// Blank or zero hours clear the estimate
+const toEstimateMinutes = (hours) => (Number(hours) > 0 ? Math.round(Number(hours) * 60) : null);
+
+const initialFilters = {
+  search: '',
+  query: '',
+  category: 'all',
+  priority: 'all',
+  status: 'all',
+  tag: 'all',
+  assignee: 'all'
+};
 
 const Dashboard = () => {
   const { user, logout } = useAuth();
+  const { categories } = useCategories();
   const [tasks, setTasks] = useState([]);
+  const [stats, setStats] = useState({ total: 0, completed: 0, pending: 0, overdue: 0 });
+  const [pagination, setPagination] = useState({ nextCursor: null, hasMore: false, totalItems: 0 });
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [selectedTasks, setSelectedTasks] = useState([]);
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [layout, setLayout] = useState(() => getFromStorage(STORAGE_KEYS.DASHBOARD_LAYOUT, 'grid'));
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [showTagManager, setShowTagManager] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [showProjectForm, setShowProjectForm] = useState(false);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  const [showTimeReport, setShowTimeReport] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMoreNotifications, setHasMoreNotifications] = useState(false);
   
   // Filters and search
-  const [filters, setFilters] = useState({
-    search: '',
-    category: 'all',
-    priority: 'all',
-    status: 'all'
-  });
+  const [filters, setFilters] = useState(initialFilters);
+  const [searchInput, setSearchInput] = useState('');
+  const [queryInput, setQueryInput] = useState('');
+  const [views, setViews] = useState([]);
+  const [activeViewId, setActiveViewId] = useState(null);
   const [sortBy, setSortBy] = useState('createdAt');
   const [sortOrder, setSortOrder] = useState('desc');
 
   // New task form
-  const [newTask, setNewTask] = useState({
-    title: '',
-    description: '',
-    category: 'personal',
-    priority: 'medium',
-    dueDate: '',
-    tags: []
-  });
-
-  // Load tasks
-  useEffect(() => {
-    loadTasks();
-  }, []);
+  const [newTask, setNewTask] = useState(initialTaskForm);
+
+  // Filtering, sorting and search all happen on the server
+  const taskQueryParams = useMemo(() => ({
+    search: filters.search.trim() || undefined,
+    q: filters.query.trim() || undefined,
+    category: filters.category,
+    priority: filters.priority,
+    tag: filters.tag,
+    assignee: filters.assignee,
+    isDone: filters.status === 'all' ? undefined : String(filters.status === 'completed'),
+    sortBy,
+    sortOrder,
+    limit: TASK_PAGE_SIZE
+  }), [filters, sortBy, sortOrder]);
+
+  // Responses for outdated filters are ignored
+  const requestIdRef = useRef(0);
+  const loadMoreRef = useRef(null);
+
+  const loadTasks = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
 
-  const loadTasks = async () => {
     try {
-      setLoading(true);
-      const response = await tasksAPI.getTasks();
+      const response = await tasksAPI.getTasks(taskQueryParams);
+      if (requestId !== requestIdRef.current) return;
       setTasks(response.tasks || []);
+      setPagination(response.pagination);
+      setStats(response.stats);
     } catch (error) {
+      if (requestId !== requestIdRef.current) return;
       console.error('Error loading tasks:', error);
-      toast.error('Failed to load tasks');
+      toast.error(error.response?.data?.message || 'Failed to load tasks');
     } finally {
       setLoading(false);
     }
+  }, [taskQueryParams]);
+
+  const loadMoreTasks = useCallback(async () => {
+    if (!pagination.hasMore || loadingMore) return;
+    const requestId = requestIdRef.current;
+
+    try {
+      setLoadingMore(true);
+      const response = await tasksAPI.getTasks({ ...taskQueryParams, cursor: pagination.nextCursor });
+      if (requestId !== requestIdRef.current) return;
+      setTasks(prev => {
+        const loaded = new Set(prev.map(task => task._id));
+        return [...prev, ...response.tasks.filter(task => !loaded.has(task._id))];
+      });
+      setPagination(response.pagination);
+    } catch (error) {
+      console.error('Error loading more tasks:', error);
+      toast.error('Failed to load more tasks');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [taskQueryParams, pagination, loadingMore]);
+
+  const loadStats = async () => {
+    try {
+      const response = await tasksAPI.getStats();
+      setStats(response.stats);
+    } catch (error) {
+      console.error('Error loading stats:', error);
+    }
+  };
+
+  // Reload the first page whenever filters or sorting change
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  // Load tags, saved views and projects
+  useEffect(() => {
+    loadTags();
+    loadViews();
+    loadProjects();
+    loadInvitations();
+    loadNotifications();
+  }, []);
+
+  // Merge changes made in other tabs and on other devices as they happen.
+  // Created tasks go to the top; they may not match the current filters
+  // until the next reload.
+  useEffect(() => {
+    const replaceTask = (changed) => {
+      setTasks(prev => prev.map(task => (task._id === changed._id ? changed : task)));
+    };
+
+    return subscribeToEvents({
+      'task:created': (created) => {
+        setTasks(prev => (prev.some(task => task._id === created._id)
+          ? prev.map(task => (task._id === created._id ? created : task))
+          : [created, ...prev]));
+        loadStats();
+      },
+      'task:updated': replaceTask,
+      'task:toggled': (toggled) => {
+        replaceTask(toggled);
+        loadStats();
+        loadProjects();
+      },
+      'task:deleted': (deleted) => {
+        setTasks(prev => prev.filter(task => task._id !== deleted._id));
+        setSelectedTasks(prev => prev.filter(id => id !== deleted._id));
+        loadStats();
+      },
+      'notification:created': (notification) => {
+        setNotifications(prev => [notification, ...prev]);
+        setUnreadCount(prev => prev + 1);
+      }
+    });
+  }, []);
+
+  // Infinite scroll: fetch the next page when the end of the grid comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !pagination.hasMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreTasks();
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [pagination.hasMore, loadMoreTasks]);
+
+  const loadTags = async () => {
+    try {
+      const response = await tagsAPI.getTags();
+      setTags(response.tags || []);
+    } catch (error) {
+      console.error('Error loading tags:', error);
+    }
+  };
+
+  const loadViews = async () => {
+    try {
+      const response = await viewsAPI.getViews();
+      setViews(response.views || []);
+    } catch (error) {
+      console.error('Error loading views:', error);
+    }
+  };
+
+  // Project progress is rolled up on the server, so reload after task changes
+  const loadProjects = async () => {
+    try {
+      const response = await projectsAPI.getProjects();
+      setProjects(response.projects || []);
+    } catch (error) {
+      console.error('Error loading projects:', error);
+    }
+  };
+
+  const projectsById = useMemo(
+    () => Object.fromEntries(projects.map(project => [project._id, project])),
+    [projects]
+  );
+
+  // Everyone the user shares a project with, for showing who a task belongs to
+  const peopleById = useMemo(() => {
+    const people = {};
+    projects.forEach(project => {
+      if (project.owner) people[project.owner._id] = project.owner;
+      project.members.forEach(member => {
+        if (member.user) people[member.user._id] = member.user;
+      });
+    });
+    return people;
+  }, [projects]);
+
+  // Tasks can only be filed under projects the user may edit
+  const editableProjects = projects.filter(project => project.role !== 'viewer');
+
+  const loadInvitations = async () => {
+    try {
+      const response = await invitationsAPI.getInvitations();
+      setInvitations(response.invitations || []);
+    } catch (error) {
+      console.error('Error loading invitations:', error);
+    }
+  };
+
+  // Older pages are appended when `before` is the createdAt of the last one shown
+  const loadNotifications = async (before = null) => {
+    try {
+      const response = await notificationsAPI.getNotifications(before ? { before } : {});
+      setNotifications(prev => (before ? [...prev, ...response.notifications] : response.notifications));
+      setUnreadCount(response.unreadCount);
+      setHasMoreNotifications(response.hasMore);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    }
+  };
+
+  const handleReadNotification = async (notification) => {
+    try {
+      const response = await notificationsAPI.markRead(notification._id);
+      setNotifications(prev => prev.map(item => (item._id === notification._id ? { ...item, readAt: response.notification.readAt } : item)));
+      setUnreadCount(response.unreadCount);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update notification');
+    }
+  };
+
+  const handleReadAllNotifications = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || readAt })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update notifications');
+    }
+  };
+
+  const handleDeleteNotification = async (notification) => {
+    try {
+      const response = await notificationsAPI.deleteNotification(notification._id);
+      setNotifications(prev => prev.filter(item => item._id !== notification._id));
+      setUnreadCount(response.unreadCount);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete notification');
+    }
+  };
+
+  const handleAcceptInvitation = async (invitation) => {
+    try {
+      await invitationsAPI.acceptInvitation(invitation._id);
+      setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+      toast.success(SUCCESS_MESSAGES.INVITATION_ACCEPTED);
+      await Promise.all([loadProjects(), loadTasks()]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept invitation');
+      loadInvitations();
+    }
   };
 
+  const handleDeclineInvitation = async (invitation) => {
+    try {
+      await invitationsAPI.declineInvitation(invitation._id);
+      setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+      toast.success(SUCCESS_MESSAGES.INVITATION_DECLINED);
+    } catch (error) {
+      toast.error('Failed to decline invitation');
+    }
+  };
+
+  // Renaming, merging or removing tags rewrites tasks on the server
+  const handleTagsChanged = async () => {
+    await Promise.all([loadTasks(), loadTags()]);
+  };
+
+  const tagColors = useMemo(
+    () => Object.fromEntries(tags.filter(tag => tag.color).map(tag => [tag.name, tag.color])),
+    [tags]
+  );
+
   // Debounced search
   const debouncedSearch = useMemo(
     () => debounce((searchTerm) => {
@@ -77,37 +382,321 @@ const Dashboard = () => {
     []
   );
 
-  // Filter and sort tasks
-  const filteredAndSortedTasks = useMemo(() => {
-    const filtered = filterTasks(tasks, filters);
-    return sortTasks(filtered, sortBy, sortOrder);
-  }, [tasks, filters, sortBy, sortOrder]);
+  const activeView = views.find(view => view._id === activeViewId);
+
+  // Load a saved view's filter expression and sort order, or reset to all tasks
+  const applyView = (view) => {
+    setActiveViewId(view ? view._id : null);
+    setFilters({ ...initialFilters, query: view ? view.query : '' });
+    setSearchInput('');
+    setQueryInput(view ? view.query : '');
+    setSortBy(view ? view.sortBy : 'createdAt');
+    setSortOrder(view ? view.sortOrder : 'desc');
+  };
+
+  const showAssignedToMe = () => {
+    applyView(null);
+    setFilters({ ...initialFilters, assignee: 'me' });
+  };
+
+  const handleSaveView = async () => {
+    const name = window.prompt('Name this view');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await viewsAPI.createView({
+        name: name.trim(),
+        query: buildFilterQuery({ ...filters, query: queryInput }),
+        sortBy,
+        sortOrder
+      });
+      setViews(prev => [...prev, response.view]);
+      applyView(response.view);
+      toast.success(SUCCESS_MESSAGES.VIEW_SAVED);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to save view');
+    }
+  };
+
+  // Overwrite the active view with the current filters and sort order
+  const handleUpdateView = async () => {
+    try {
+      const response = await viewsAPI.updateView(activeViewId, {
+        query: buildFilterQuery({ ...filters, query: queryInput }),
+        sortBy,
+        sortOrder
+      });
+      setViews(prev => prev.map(view => view._id === activeViewId ? response.view : view));
+      applyView(response.view);
+      toast.success(SUCCESS_MESSAGES.VIEW_SAVED);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to save view');
+    }
+  };
+
+  const handleToggleViewPin = async (view) => {
+    try {
+      const response = await viewsAPI.updateView(view._id, { isPinned: !view.isPinned });
+      setViews(prev => prev.map(v => v._id === view._id ? response.view : v));
+    } catch (error) {
+      toast.error('Failed to update view');
+    }
+  };
+
+  const handleDeleteView = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+
+    try {
+      await viewsAPI.deleteView(view._id);
+      setViews(prev => prev.filter(v => v._id !== view._id));
+      if (view._id === activeViewId) applyView(null);
+      toast.success(SUCCESS_MESSAGES.VIEW_DELETED);
+    } catch (error) {
+      toast.error('Failed to delete view');
+    }
+  };
+
+  // Tasks handed to someone else drop out of the "Assigned to me" list
+  const handleAssigneeChanged = (response) => {
+    if (filters.assignee === 'me' && response.task.assigneeId !== user?.id) {
+      setTasks(prev => prev.filter(task => task._id !== response.task._id));
+    } else {
+      mergeTaskResponse(response);
+    }
+    toast.success(response.message);
+  };
+
+  // Starting a timer stops the user's timer on any other task
+  const handleTimerToggle = async (task, isRunning) => {
+    try {
+      const response = isRunning
+        ? await tasksAPI.stopTimer(task._id)
+        : await tasksAPI.startTimer(task._id);
+      mergeTaskResponse(response);
+      if (response.stoppedTask) mergeTaskResponse({ task: response.stoppedTask });
+      toast.success(isRunning ? SUCCESS_MESSAGES.TIMER_STOPPED : SUCCESS_MESSAGES.TIMER_STARTED);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update timer');
+    }
+  };
 
-  // Get task statistics
-  const stats = useMemo(() => getTaskStats(tasks), [tasks]);
+  const handleCommentsChanged = (taskId, commentCount) => {
+    setTasks(prev => prev.map(task => task._id === taskId ? { ...task, commentCount } : task));
+  };
+
+  // Replace a task in state with the server copy, adding any spawned next occurrence
+  const mergeTaskResponse = (response) => {
+    setTasks(prev => {
+      const updated = prev.map(task => 
+        task._id === response.task._id ? response.task : task
+      );
+      // Completing a recurring task spawns its next occurrence
+      if (response.nextTask && !updated.some(task => task._id === response.nextTask._id)) {
+        return [response.nextTask, ...updated];
+      }
+      return updated;
+    });
+  };
 
   // Handle task actions
-  const handleToggleTask = async (taskId) => {
+  const handleToggleTask = async (taskId, force = false) => {
     try {
-      const response = await tasksAPI.toggleTask(taskId);
-      setTasks(prev => prev.map(task => 
-        task._id === taskId ? response.task : task
-      ));
+      const response = await tasksAPI.toggleTask(taskId, { force });
+      mergeTaskResponse(response);
+      loadStats();
+      loadProjects();
       toast.success(response.message);
+
+      // Completing a blocker can free up tasks that were waiting on it
+      if (response.unblocked?.length > 0) {
+        const unblockedIds = response.unblocked.map(task => task._id);
+        setTasks(prev => prev.map(task =>
+          unblockedIds.includes(task._id) ? { ...task, isBlocked: false } : task
+        ));
+        toast(`Unblocked: ${response.unblocked.map(task => task.title).join(', ')}`, { icon: '🔓' });
+      }
+
+      // Reopening a blocker blocks its dependents again
+      if (!response.task.isDone && tasks.some(task => task.blockedBy?.includes(taskId))) {
+        loadTasks();
+      }
     } catch (error) {
-      toast.error('Failed to update task');
+      if (confirmCompleteBlocked(error)) {
+        handleToggleTask(taskId, true);
+      } else if (error.response?.status !== 409) {
+        toast.error(error.response?.data?.message || 'Failed to update task');
+      }
     }
   };
 
+  const handleToggleSubTask = async (taskId, subTaskId) => {
+    const wasDone = tasks.find(task => task._id === taskId)?.isDone;
+
+    try {
+      const response = await tasksAPI.toggleSubTask(taskId, subTaskId);
+      mergeTaskResponse(response);
+      loadStats();
+      // The parent auto-completes once its last subtask is done
+      if (!wasDone && response.task.isDone) {
+        toast.success(SUCCESS_MESSAGES.TASK_COMPLETED);
+      }
+    } catch (error) {
+      toast.error('Failed to update subtask');
+    }
+  };
+
+  const handleAddSubTask = async (taskId, title) => {
+    try {
+      const response = await tasksAPI.addSubTask(taskId, { title });
+      mergeTaskResponse(response);
+    } catch (error) {
+      toast.error('Failed to add subtask');
+    }
+  };
+
+  const handleMoveSubTask = async (taskId, subTaskId, prevId, nextId) => {
+    try {
+      const response = await tasksAPI.moveSubTask(taskId, subTaskId, { prevId, nextId });
+      mergeTaskResponse(response);
+    } catch (error) {
+      toast.error('Failed to move subtask');
+    }
+  };
+
+  // Manual order: drop the dragged task into the slot of the task it was dropped on
+  const isManualOrder = sortBy === 'position' && !filters.search.trim();
+
+  const handleDropTask = async (targetId) => {
+    const draggedId = draggedTaskId;
+    setDraggedTaskId(null);
+    if (!draggedId || draggedId === targetId) return;
+
+    const reordered = [...tasks];
+    const [moved] = reordered.splice(reordered.findIndex(task => task._id === draggedId), 1);
+    reordered.splice(tasks.findIndex(task => task._id === targetId), 0, moved);
+
+    const index = reordered.indexOf(moved);
+    const prev = reordered[index - 1];
+    const next = reordered[index + 1];
+    setTasks(reordered);
+
+    try {
+      const response = await tasksAPI.moveTask(draggedId, { prevId: prev?._id, nextId: next?._id });
+      mergeTaskResponse(response);
+    } catch (error) {
+      toast.error('Failed to move task');
+      loadTasks();
+    }
+  };
+
+  const handleLayoutChange = (value) => {
+    setLayout(value);
+    setToStorage(STORAGE_KEYS.DASHBOARD_LAYOUT, value);
+  };
+
+  // Kanban: dropping a card in another column changes the grouped field
+  const handleMoveTaskToColumn = async (task, field, value) => {
+    if (field === 'status') {
+      handleToggleTask(task._id);
+      return;
+    }
+
+    setTasks(prev => prev.map(t => t._id === task._id ? { ...t, [field]: value } : t));
+
+    try {
+      const response = await tasksAPI.updateTask(task._id, { [field]: value });
+      mergeTaskResponse(response);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || 'Failed to move task');
+      setTasks(prev => prev.map(t => t._id === task._id ? task : t));
+    }
+  };
+
+  const handleDeleteSubTask = async (taskId, subTaskId) => {
+    try {
+      const response = await tasksAPI.deleteSubTask(taskId, subTaskId);
+      mergeTaskResponse(response);
+    } catch (error) {
+      toast.error('Failed to delete subtask');
+    }
+  };
+
+  const handleDownloadAttachment = async (taskId, attachment) => {
+    try {
+      const blob = await tasksAPI.downloadAttachment(taskId, attachment._id);
+      downloadBlob(blob, attachment.name);
+    } catch (error) {
+      toast.error('Failed to download attachment');
+    }
+  };
+
+  const handleDeleteAttachment = async (taskId, attachmentId) => {
+    if (!window.confirm('Remove this attachment?')) return;
+
+    try {
+      const response = await tasksAPI.deleteAttachment(taskId, attachmentId);
+      mergeTaskResponse(response);
+      if (editingTask?._id === taskId) {
+        setEditingTask(response.task);
+      }
+      toast.success(SUCCESS_MESSAGES.ATTACHMENT_DELETED);
+    } catch (error) {
+      toast.error('Failed to remove attachment');
+    }
+  };
+
+  const handleUploadAttachments = async (files) => {
+    if (!editingTask) return;
+
+    for (const file of files) {
+      if (file.size > VALIDATION_RULES.ATTACHMENT.maxSize) {
+        toast.error(`${file.name}: ${ERROR_MESSAGES.FILE_TOO_LARGE}`);
+        continue;
+      }
+
+      try {
+        setUploadProgress(0);
+        const response = await tasksAPI.uploadAttachment(editingTask._id, file, (event) => {
+          if (event.total) {
+            setUploadProgress(Math.round((event.loaded / event.total) * 100));
+          }
+        });
+        mergeTaskResponse(response);
+        setEditingTask(response.task);
+        toast.success(SUCCESS_MESSAGES.ATTACHMENT_UPLOADED);
+      } catch (error) {
+        toast.error(error.response?.data?.message || `Failed to upload ${file.name}`);
+      }
+    }
+
+    setUploadProgress(null);
+  };
+
+  // Subtask editing inside the create/edit modal (saved with the task)
+  const updateFormSubTasks = (updater) => {
+    setNewTask(prev => ({ ...prev, subTasks: updater(prev.subTasks) }));
+  };
+
+  const handleMoveFormSubTask = (index, direction) => {
+    updateFormSubTasks(subTasks => {
+      const reordered = [...subTasks];
+      const [moved] = reordered.splice(index, 1);
+      reordered.splice(index + direction, 0, moved);
+      return reordered;
+    });
+  };
+
   const handleDeleteTask = async (taskId) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) return;
+    if (!window.confirm('Move this task to the trash?')) return;
     
     try {
       await tasksAPI.deleteTask(taskId);
       setTasks(prev => prev.filter(task => task._id !== taskId));
+      loadStats();
+      loadProjects();
       toast.success(SUCCESS_MESSAGES.TASK_DELETED);
     } catch (error) {
-      toast.error('Failed to delete task');
+      toast.error(error.response?.data?.message || 'Failed to delete task');
     }
   };
 
@@ -120,19 +709,20 @@ const Dashboard = () => {
     }
 
     try {
+      const { estimateHours, ...taskData } = newTask;
       const response = await tasksAPI.createTask({
-        ...newTask,
-        tags: newTask.tags.filter(tag => tag.trim())
+        ...taskData,
+        estimateMinutes: toEstimateMinutes(estimateHours),
+        tags: newTask.tags.filter(tag => tag.trim()),
+        subTasks: newTask.subTasks.filter(subTask => subTask.title.trim()),
+        reminders: newTask.reminders ?? undefined,
+        projectId: newTask.projectId || null
       });
       setTasks(prev => [response.task, ...prev]);
-      setNewTask({
-        title: '',
-        description: '',
-        category: 'personal',
-        priority: 'medium',
-        dueDate: '',
-        tags: []
-      });
+      loadStats();
+      loadTags();
+      loadProjects();
+      setNewTask(initialTaskForm);
       setShowCreateModal(false);
       toast.success(SUCCESS_MESSAGES.TASK_CREATED);
     } catch (error) {
@@ -148,7 +738,12 @@ const Dashboard = () => {
       category: task.category,
       priority: task.priority,
       dueDate: task.dueDate ? task.dueDate.split('T')[0] : '',
-      tags: task.tags || []
+      tags: task.tags || [],
+      subTasks: task.subTasks || [],
+      recurrence: task.recurrence || null,
+      reminders: task.reminders || [],
+      estimateHours: task.estimateMinutes ? String(Math.round(task.estimateMinutes / 60 * 100) / 100) : '',
+      projectId: task.projectId || ''
     });
     setShowCreateModal(true);
   };
@@ -162,22 +757,23 @@ const Dashboard = () => {
     }
 
     try {
+      const { estimateHours, ...taskData } = newTask;
       const response = await tasksAPI.updateTask(editingTask._id, {
-        ...newTask,
-        tags: newTask.tags.filter(tag => tag.trim())
+        ...taskData,
+        estimateMinutes: toEstimateMinutes(estimateHours),
+        tags: newTask.tags.filter(tag => tag.trim()),
+        subTasks: newTask.subTasks.filter(subTask => subTask.title.trim()),
+        reminders: newTask.reminders ?? [],
+        projectId: newTask.projectId || null
       });
       setTasks(prev => prev.map(task => 
         task._id === editingTask._id ? response.task : task
       ));
+      loadStats();
+      loadTags();
+      loadProjects();
       setEditingTask(null);
-      setNewTask({
-        title: '',
-        description: '',
-        category: 'personal',
-        priority: 'medium',
-        dueDate: '',
-        tags: []
-      });
+      setNewTask(initialTaskForm);
       setShowCreateModal(false);
       toast.success(SUCCESS_MESSAGES.TASK_UPDATED);
     } catch (error) {
@@ -188,18 +784,29 @@ const Dashboard = () => {
   const handleBulkDelete = async () => {
     if (selectedTasks.length === 0) return;
     
-    if (!window.confirm(`Delete ${selectedTasks.length} selected tasks?`)) return;
+    if (!window.confirm(`Move ${selectedTasks.length} selected tasks to the trash?`)) return;
 
     try {
       await Promise.all(selectedTasks.map(id => tasksAPI.deleteTask(id)));
       setTasks(prev => prev.filter(task => !selectedTasks.includes(task._id)));
       setSelectedTasks([]);
-      toast.success(`${selectedTasks.length} tasks deleted`);
+      loadStats();
+      loadProjects();
+      toast.success(`${selectedTasks.length} tasks moved to trash`);
     } catch (error) {
       toast.error('Failed to delete tasks');
     }
   };
 
+  // Tasks of a deleted category were moved to another one on the server
+  const handleCategoryDeleted = (oldKey, newKey) => {
+    setTasks(prev => prev.map(task => 
+      task.category === oldKey ? { ...task, category: newKey } : task
+    ));
+    setFilters(prev => prev.category === oldKey ? { ...prev, category: 'all' } : prev);
+    setNewTask(prev => prev.category === oldKey ? { ...prev, category: newKey } : prev);
+  };
+
   const handleSelectTask = (taskId) => {
     setSelectedTasks(prev => 
       prev.includes(taskId) 
@@ -208,6 +815,43 @@ const Dashboard = () => {
     );
   };
 
+  const renderTaskCard = (task, extraProps = {}) => {
+    const project = projectsById[task.projectId];
+    const isOwnTask = task.userId === user?.id;
+    const canEdit = isOwnTask || project?.role !== 'viewer';
+
+    return (
+      <TaskCard
+        key={task._id}
+        task={task}
+        isSelected={selectedTasks.includes(task._id)}
+        onSelect={handleSelectTask}
+        onToggle={handleToggleTask}
+        onEdit={canEdit ? handleEditTask : undefined}
+        onDelete={handleDeleteTask}
+        onToggleSubTask={handleToggleSubTask}
+        onAddSubTask={handleAddSubTask}
+        onDeleteSubTask={handleDeleteSubTask}
+        onMoveSubTask={handleMoveSubTask}
+        onDownloadAttachment={handleDownloadAttachment}
+        onDeleteAttachment={handleDeleteAttachment}
+        tagColors={tagColors}
+        onTagClick={(tag) => setFilters(prev => ({ ...prev, tag }))}
+        onDependenciesChanged={mergeTaskResponse}
+        onAssigneeChanged={canEdit ? handleAssigneeChanged : undefined}
+        onCommentsChanged={handleCommentsChanged}
+        currentUserId={user?.id}
+        onTimerToggle={canEdit ? handleTimerToggle : undefined}
+        onTimeChanged={canEdit ? mergeTaskResponse : undefined}
+        canManageTime={isOwnTask || project?.role === 'owner'}
+        people={peopleById}
+        project={project}
+        sharedBy={isOwnTask ? null : peopleById[task.userId]}
+        {...extraProps}
+      />
+    );
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -250,6 +894,37 @@ const Dashboard = () => {
                 New Task
               </Button>
               
+              <NotificationBell
+                notifications={notifications}
+                unreadCount={unreadCount}
+                hasMore={hasMoreNotifications}
+                onLoadMore={() => loadNotifications(notifications[notifications.length - 1]?.createdAt)}
+                onRead={handleReadNotification}
+                onReadAll={handleReadAllNotifications}
+                onDelete={handleDeleteNotification}
+                onOpenSettings={() => setShowNotificationSettings(true)}
+              />
+              
+              <Link
+                to="/calendar"
+                className="p-2 rounded-lg text-gray-600 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-800"
+                title="Calendar"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+              </Link>
+              
+              <Link
+                to="/trash"
+                className="p-2 rounded-lg text-gray-600 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-800"
+                title="Trash"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+              </Link>
+              
               <Button variant="ghost" onClick={logout}>
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
@@ -290,135 +965,319 @@ const Dashboard = () => {
           ))}
         </motion.div>
 
-        {/* Filters and Search */}
-        <motion.div 
-          className="bg-white dark:bg-gray-800 rounded-xl p-6 shadow-card mb-8"
-          {...ANIMATION_VARIANTS.slideIn}
-        >
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
-            <Input
-              placeholder="Search tasks..."
-              leftIcon={
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                </svg>
-              }
-              onChange={(e) => debouncedSearch(e.target.value)}
-            />
-            
-            <select
-              className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-              value={filters.category}
-              onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
+        <div className="flex flex-col lg:flex-row gap-8">
+          <aside className="w-full lg:w-56 flex-shrink-0">
+            <div className="space-y-4 lg:sticky lg:top-8">
+              <InvitationsList
+                invitations={invitations}
+                onAccept={handleAcceptInvitation}
+                onDecline={handleDeclineInvitation}
+              />
+              <SavedViewsSidebar
+                views={views}
+                activeViewId={activeViewId}
+                isAssignedToMe={filters.assignee === 'me'}
+                onSelectAssignedToMe={showAssignedToMe}
+                onSelect={applyView}
+                onTogglePin={handleToggleViewPin}
+                onDelete={handleDeleteView}
+              />
+              <ProjectsSidebar
+                projects={projects}
+                onCreate={() => setShowProjectForm(true)}
+              />
+            </div>
+          </aside>
+
+          <div className="flex-1 min-w-0">
+            {/* Filters and Search */}
+            <motion.div 
+              className="bg-white dark:bg-gray-800 rounded-xl p-6 shadow-card mb-8"
+              {...ANIMATION_VARIANTS.slideIn}
             >
-              <option value="all">All Categories</option>
-              {TASK_CATEGORIES.map(category => (
-                <option key={category.value} value={category.value}>
-                  {category.icon} {category.label}
-                </option>
-              ))}
-            </select>
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+                <Input
+                  placeholder='Search tasks... ("exact phrase", -exclude)'
+                  leftIcon={
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                    </svg>
+                  }
+                  value={searchInput}
+                  onChange={(e) => {
+                    setSearchInput(e.target.value);
+                    debouncedSearch(e.target.value);
+                  }}
+                />
             
-            <select
-              className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-              value={filters.priority}
-              onChange={(e) => setFilters(prev => ({ ...prev, priority: e.target.value }))}
-            >
-              <option value="all">All Priorities</option>
-              {TASK_PRIORITIES.map(priority => (
-                <option key={priority.value} value={priority.value}>
-                  {priority.icon} {priority.label}
-                </option>
-              ))}
-            </select>
+                <select
+                  className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  value={filters.category}
+                  onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
+                >
+                  <option value="all">All Categories</option>
+                  {categories.map(category => (
+                    <option key={category.value} value={category.value}>
+                      {category.icon} {category.label}
+                    </option>
+                  ))}
+                </select>
             
-            <select
-              className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-              value={filters.status}
-              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
-            >
-              <option value="all">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="completed">Completed</option>
-            </select>
-          </div>
+                <select
+                  className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  value={filters.priority}
+                  onChange={(e) => setFilters(prev => ({ ...prev, priority: e.target.value }))}
+                >
+                  <option value="all">All Priorities</option>
+                  {TASK_PRIORITIES.map(priority => (
+                    <option key={priority.value} value={priority.value}>
+                      {priority.icon} {priority.label}
+                    </option>
+                  ))}
+                </select>
+            
+                <select
+                  className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  value={filters.status}
+                  onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+                >
+                  <option value="all">All Status</option>
+                  <option value="pending">Pending</option>
+                  <option value="completed">Completed</option>
+                </select>
+            
+                <select
+                  className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  value={filters.tag}
+                  onChange={(e) => setFilters(prev => ({ ...prev, tag: e.target.value }))}
+                >
+                  <option value="all">All Tags</option>
+                  {tags.map(tag => (
+                    <option key={tag.name} value={tag.name}>
+                      #{tag.name} ({tag.count})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <Input
+                containerClassName="mb-4"
+                placeholder="Filter expression, e.g. priority:high category:work due:<7d -tag:later"
+                value={queryInput}
+                onChange={(e) => setQueryInput(e.target.value)}
+                onBlur={() => setFilters(prev => ({ ...prev, query: queryInput }))}
+                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              />
           
-          <div className="flex justify-between items-center">
-            <div className="flex items-center gap-4">
-              <select
-                className="form-select px-3 py-2 border border-gray-300 rounded-lg text-sm"
-                value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
-              >
-                {SORT_OPTIONS.map(option => (
-                  <option key={option.value} value={option.value}>
-                    Sort by {option.label}
-                  </option>
-                ))}
-              </select>
+              <div className="flex justify-between items-center">
+                <div className="flex items-center gap-4">
+                  <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden">
+                    {[
+                      { value: 'grid', label: '▦ Grid' },
+                      { value: 'board', label: '▥ Board' }
+                    ].map(option => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        className={`px-3 py-1 text-sm ${
+                          layout === option.value
+                            ? 'bg-primary-500 text-white'
+                            : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
+                        }`}
+                        onClick={() => handleLayoutChange(option.value)}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setShowCategoryManager(true)}
+                  >
+                    🏷️ Categories
+                  </Button>
               
-              <Button
-                variant="ghost"
-                size="sm"
-                onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}
-              >
-                {sortOrder === 'asc' ? '↑' : '↓'} {sortOrder.toUpperCase()}
-              </Button>
-            </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setShowTagManager(true)}
+                  >
+                    # Tags
+                  </Button>
+              
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setShowImportWizard(true)}
+                  >
+                    ⇅ Import/Export
+                  </Button>
+              
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setShowTimeReport(true)}
+                  >
+                    ⏱ Time
+                  </Button>
+              
+                  <select
+                    className="form-select px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    value={sortBy}
+                    onChange={(e) => setSortBy(e.target.value)}
+                  >
+                    {SORT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        Sort by {option.label}
+                      </option>
+                    ))}
+                  </select>
+              
+                  {/* Manual order has no direction; drag cards to arrange them */}
+                  {sortBy !== 'position' && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}
+                    >
+                      {sortOrder === 'asc' ? '↑' : '↓'} {sortOrder.toUpperCase()}
+                    </Button>
+                  )}
+
+                  <Button variant="outline" size="sm" onClick={handleSaveView}>
+                    📌 Save View
+                  </Button>
+
+                  {activeView && (
+                    <Button variant="ghost" size="sm" onClick={handleUpdateView}>
+                      Update "{activeView.name}"
+                    </Button>
+                  )}
+                </div>
             
-            {selectedTasks.length > 0 && (
-              <div className="flex items-center gap-2">
-                <span className="text-sm text-gray-600">{selectedTasks.length} selected</span>
-                <Button variant="danger" size="sm" onClick={handleBulkDelete}>
-                  Delete Selected
-                </Button>
+                {selectedTasks.length > 0 && (
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-600">{selectedTasks.length} selected</span>
+                    <Button variant="danger" size="sm" onClick={handleBulkDelete}>
+                      Delete Selected
+                    </Button>
+                  </div>
+                )}
               </div>
-            )}
-          </div>
-        </motion.div>
+            </motion.div>
 
-        {/* Tasks Grid */}
-        <motion.div {...ANIMATION_VARIANTS.stagger}>
-          {filteredAndSortedTasks.length === 0 ? (
-            <motion.div 
-              className="text-center py-12"
-              {...ANIMATION_VARIANTS.fadeIn}
-            >
-              <div className="text-6xl mb-4">📝</div>
-              <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-                {tasks.length === 0 ? 'No tasks yet' : 'No tasks match your filters'}
-              </h3>
-              <p className="text-gray-600 dark:text-gray-400 mb-6">
-                {tasks.length === 0 
-                  ? 'Create your first task to get started!' 
-                  : 'Try adjusting your search or filters.'}
-              </p>
-              {tasks.length === 0 && (
-                <Button onClick={() => setShowCreateModal(true)}>
-                  Create Your First Task
-                </Button>
+            {/* Tasks Grid */}
+            <motion.div {...ANIMATION_VARIANTS.stagger}>
+              {tasks.length === 0 ? (
+                <motion.div 
+                  className="text-center py-12"
+                  {...ANIMATION_VARIANTS.fadeIn}
+                >
+                  <div className="text-6xl mb-4">📝</div>
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                    {stats.total === 0 ? 'No tasks yet' : 'No tasks match your filters'}
+                  </h3>
+                  <p className="text-gray-600 dark:text-gray-400 mb-6">
+                    {stats.total === 0 
+                      ? 'Create your first task to get started!' 
+                      : 'Try adjusting your search or filters.'}
+                  </p>
+                  {stats.total === 0 && (
+                    <Button onClick={() => setShowCreateModal(true)}>
+                      Create Your First Task
+                    </Button>
+                  )}
+                </motion.div>
+              ) : layout === 'board' ? (
+                <KanbanBoard
+                  tasks={tasks}
+                  categories={categories}
+                  renderCard={(task) => renderTaskCard(task)}
+                  onMoveTask={handleMoveTaskToColumn}
+                />
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  <AnimatePresence>
+                    {tasks.map((task) => renderTaskCard(task, {
+                      onDragTaskStart: isManualOrder ? setDraggedTaskId : undefined,
+                      onDropTask: isManualOrder ? handleDropTask : undefined
+                    }))}
+                  </AnimatePresence>
+                </div>
               )}
+
+              {/* Infinite scroll sentinel */}
+              <div ref={loadMoreRef} className="flex justify-center py-8">
+                {loadingMore && <LoadingSpinner size="sm" text="Loading more tasks..." />}
+                {!pagination.hasMore && tasks.length > 0 && pagination.totalItems > TASK_PAGE_SIZE && (
+                  <p className="text-sm text-gray-400">All {pagination.totalItems} tasks loaded</p>
+                )}
+              </div>
             </motion.div>
-          ) : (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              <AnimatePresence>
-                {filteredAndSortedTasks.map((task) => (
-                  <TaskCard
-                    key={task._id}
-                    task={task}
-                    isSelected={selectedTasks.includes(task._id)}
-                    onSelect={handleSelectTask}
-                    onToggle={handleToggleTask}
-                    onEdit={handleEditTask}
-                    onDelete={handleDeleteTask}
-                  />
-                ))}
-              </AnimatePresence>
-            </div>
-          )}
-        </motion.div>
+          </div>
+        </div>
       </div>
 
+      {/* Category Manager Modal */}
+      <AnimatePresence>
+        {showCategoryManager && (
+          <CategoryManager
+            onClose={() => setShowCategoryManager(false)}
+            onCategoryDeleted={handleCategoryDeleted}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Tag Manager Modal */}
+      <AnimatePresence>
+        {showTagManager && (
+          <TagManager
+            tags={tags}
+            onClose={() => setShowTagManager(false)}
+            onChanged={handleTagsChanged}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Import/Export Modal */}
+      <AnimatePresence>
+        {showImportWizard && (
+          <ImportWizard
+            onClose={() => setShowImportWizard(false)}
+            onImported={handleTagsChanged}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Time Report Modal */}
+      <AnimatePresence>
+        {showTimeReport && (
+          <TimeReport onClose={() => setShowTimeReport(false)} />
+        )}
+      </AnimatePresence>
+
+      {/* Notification Settings Modal */}
+      <AnimatePresence>
+        {showNotificationSettings && (
+          <NotificationSettings onClose={() => setShowNotificationSettings(false)} />
+        )}
+      </AnimatePresence>
+
+      {/* New Project Modal */}
+      <AnimatePresence>
+        {showProjectForm && (
+          <ProjectForm
+            onClose={() => setShowProjectForm(false)}
+            onSaved={(project) => {
+              setProjects(prev => [...prev, project]);
+              setShowProjectForm(false);
+            }}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Create/Edit Task Modal */}
       <AnimatePresence>
         {showCreateModal && (
@@ -475,7 +1334,7 @@ const Dashboard = () => {
                       value={newTask.category}
                       onChange={(e) => setNewTask(prev => ({ ...prev, category: e.target.value }))}
                     >
-                      {TASK_CATEGORIES.map(category => (
+                      {categories.map(category => (
                         <option key={category.value} value={category.value}>
                           {category.icon} {category.label}
                         </option>
@@ -501,6 +1360,34 @@ const Dashboard = () => {
                   </div>
                 </div>
                 
+                {editableProjects.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Project
+                    </label>
+                    <select
+                      className="form-select w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      value={newTask.projectId}
+                      onChange={(e) => setNewTask(prev => ({ ...prev, projectId: e.target.value }))}
+                    >
+                      <option value="">No project</option>
+                      {editableProjects
+                        .filter(project => project.status !== 'archived' || project._id === newTask.projectId)
+                        .map(project => (
+                          <option key={project._id} value={project._id}>
+                            {project.name}
+                          </option>
+                        ))}
+                    </select>
+                  </div>
+                )}
+                
+                <TagInput
+                  value={newTask.tags}
+                  onChange={(tags) => setNewTask(prev => ({ ...prev, tags }))}
+                  suggestions={tags}
+                />
+                
                 <Input
                   label="Due Date"
                   type="date"
@@ -508,6 +1395,70 @@ const Dashboard = () => {
                   onChange={(e) => setNewTask(prev => ({ ...prev, dueDate: e.target.value }))}
                 />
                 
+                <Input
+                  label="Estimate (hours)"
+                  type="number"
+                  min="0"
+                  step="0.25"
+                  value={newTask.estimateHours}
+                  onChange={(e) => setNewTask(prev => ({ ...prev, estimateHours: e.target.value }))}
+                  placeholder="e.g. 1.5"
+                />
+                
+                <RecurrenceEditor
+                  value={newTask.recurrence}
+                  onChange={(recurrence) => setNewTask(prev => ({ ...prev, recurrence }))}
+                />
+                
+                <ReminderEditor
+                  value={newTask.reminders}
+                  onChange={(reminders) => setNewTask(prev => ({ ...prev, reminders }))}
+                  defaultOffsets={user?.preferences?.reminderOffsets}
+                  hasDueDate={!!newTask.dueDate}
+                />
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Subtasks
+                  </label>
+                  <SubTaskChecklist
+                    subTasks={newTask.subTasks}
+                    onToggle={(subTask, index) => updateFormSubTasks(subTasks => 
+                      subTasks.map((st, i) => i === index ? { ...st, isDone: !st.isDone } : st)
+                    )}
+                    onRename={(subTask, index, title) => updateFormSubTasks(subTasks => 
+                      subTasks.map((st, i) => i === index ? { ...st, title } : st)
+                    )}
+                    onDelete={(subTask, index) => updateFormSubTasks(subTasks => 
+                      subTasks.filter((st, i) => i !== index)
+                    )}
+                    onAdd={(title) => updateFormSubTasks(subTasks => 
+                      [...subTasks, { key: generateId(), title, isDone: false }]
+                    )}
+                    onMove={handleMoveFormSubTask}
+                  />
+                </div>
+                
+                {editingTask && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Attachments
+                    </label>
+                    <div className="space-y-2">
+                      <AttachmentList
+                        attachments={editingTask.attachments}
+                        onDownload={(attachment) => handleDownloadAttachment(editingTask._id, attachment)}
+                        onDelete={(attachment) => handleDeleteAttachment(editingTask._id, attachment._id)}
+                      />
+                      <AttachmentDropzone
+                        onFiles={handleUploadAttachments}
+                        uploading={uploadProgress !== null}
+                        progress={uploadProgress || 0}
+                      />
+                    </div>
+                  </div>
+                )}
+                
                 <div className="flex gap-3 pt-4">
                   <Button
                     type="button"
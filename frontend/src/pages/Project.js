@@ -0,0 +1,356 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { projectsAPI, tasksAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { useCategories } from '../context/CategoryContext';
+import { formatDate, isOverdue, confirmCompleteBlocked } from '../utils/helpers';
+import {
+  ANIMATION_VARIANTS,
+  DEFAULT_VALUES,
+  PROJECT_STATUSES,
+  SUCCESS_MESSAGES
+} from '../utils/constants';
+
+// Components
+import Avatar from '../components/Avatar';
+import Button from '../components/Button';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ProjectForm from '../components/ProjectForm';
+import ProjectProgress from '../components/ProjectProgress';
+import ShareProjectDialog from '../components/ShareProjectDialog';
+import TaskCard from '../components/TaskCard';
+
+const PROJECT_PAGE_SIZE = 100;
+
+const Project = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { categories } = useCategories();
+  const [project, setProject] = useState(null);
+  const [tasks, setTasks] = useState([]);
+  const [pagination, setPagination] = useState({ nextCursor: null, hasMore: false });
+  const [loading, setLoading] = useState(true);
+  const [showEditForm, setShowEditForm] = useState(false);
+  const [showShareDialog, setShowShareDialog] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+
+  // Progress rollups are computed on the server, so refetch after task changes
+  const loadProject = useCallback(async () => {
+    try {
+      const response = await projectsAPI.getProject(id);
+      setProject(response.project);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load project');
+      navigate('/dashboard', { replace: true });
+    }
+  }, [id, navigate]);
+
+  const loadTasks = useCallback(async (cursor) => {
+    try {
+      const response = await tasksAPI.getTasks({ project: id, cursor, limit: PROJECT_PAGE_SIZE });
+      setTasks(prev => (cursor ? [...prev, ...response.tasks] : response.tasks));
+      setPagination(response.pagination);
+    } catch (error) {
+      console.error('Error loading project tasks:', error);
+      toast.error('Failed to load tasks');
+    }
+  }, [id]);
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([loadProject(), loadTasks()]).finally(() => setLoading(false));
+  }, [loadProject, loadTasks]);
+
+  const replaceTask = (response) => {
+    setTasks(prev => {
+      const updated = prev.map(task => (task._id === response.task._id ? response.task : task));
+      return response.nextTask ? [response.nextTask, ...updated] : updated;
+    });
+    loadProject();
+  };
+
+  const handleToggleTask = async (taskId, force = false) => {
+    try {
+      const response = await tasksAPI.toggleTask(taskId, { force });
+      replaceTask(response);
+      toast.success(response.message);
+    } catch (error) {
+      if (confirmCompleteBlocked(error)) {
+        handleToggleTask(taskId, true);
+      } else if (error.response?.status !== 409) {
+        toast.error(error.response?.data?.message || 'Failed to update task');
+      }
+    }
+  };
+
+  const handleToggleSubTask = async (taskId, subTaskId) => {
+    try {
+      replaceTask(await tasksAPI.toggleSubTask(taskId, subTaskId));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update subtask');
+    }
+  };
+
+  const handleCommentsChanged = (taskId, commentCount) => {
+    setTasks(prev => prev.map(task => (task._id === taskId ? { ...task, commentCount } : task)));
+  };
+
+  const handleDeleteTask = async (taskId) => {
+    if (!window.confirm('Move this task to the trash?')) return;
+
+    try {
+      await tasksAPI.deleteTask(taskId);
+      setTasks(prev => prev.filter(task => task._id !== taskId));
+      loadProject();
+      toast.success(SUCCESS_MESSAGES.TASK_DELETED);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete task');
+    }
+  };
+
+  // Quick-added tasks go in the default category
+  const handleAddTask = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    const category = categories.find(c => c.value === DEFAULT_VALUES.TASK.category) || categories[0];
+
+    try {
+      const response = await tasksAPI.createTask({
+        title: newTitle.trim(),
+        category: category?.value,
+        priority: DEFAULT_VALUES.TASK.priority,
+        projectId: id
+      });
+      setTasks(prev => [response.task, ...prev]);
+      setNewTitle('');
+      loadProject();
+      toast.success(SUCCESS_MESSAGES.TASK_CREATED);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to create task');
+    }
+  };
+
+  const handleDeleteProject = async () => {
+    if (!window.confirm(`Delete "${project.name}"? Its tasks are kept without a project.`)) return;
+
+    try {
+      await projectsAPI.deleteProject(id);
+      toast.success(SUCCESS_MESSAGES.PROJECT_DELETED);
+      navigate('/dashboard');
+    } catch (error) {
+      toast.error('Failed to delete project');
+    }
+  };
+
+  if (loading || !project) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading project..." />
+      </div>
+    );
+  }
+
+  const status = PROJECT_STATUSES.find(s => s.value === project.status) || PROJECT_STATUSES[0];
+  const openTasks = tasks.filter(task => !task.isDone);
+  const completedTasks = tasks.filter(task => task.isDone);
+  const pastTarget = project.status !== 'completed' && isOverdue(project.targetDate);
+  const isOwner = project.role === 'owner';
+  const canEdit = project.role !== 'viewer';
+  const people = [project.owner, ...project.members.map(member => member.user)].filter(Boolean);
+  const peopleById = Object.fromEntries(people.map(person => [person._id, person]));
+
+  const renderTaskCard = (task) => (
+    <TaskCard
+      key={task._id}
+      task={task}
+      onToggle={handleToggleTask}
+      onDelete={handleDeleteTask}
+      onToggleSubTask={handleToggleSubTask}
+      onDependenciesChanged={replaceTask}
+      onAssigneeChanged={canEdit || task.userId === user?.id ? replaceTask : undefined}
+      onCommentsChanged={handleCommentsChanged}
+      sharedBy={project.members.length > 0 ? peopleById[task.userId] : null}
+    />
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900">
+      {/* Header */}
+      <motion.header
+        className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700"
+        {...ANIMATION_VARIANTS.slideIn}
+      >
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <div className="flex items-center gap-4 min-w-0">
+              <Link
+                to="/dashboard"
+                className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                title="Back to dashboard"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+                </svg>
+              </Link>
+              <div className="min-w-0">
+                <h1 className="flex items-center gap-2 text-xl font-bold text-gray-900 dark:text-white">
+                  <span className={`w-3 h-3 rounded-full flex-shrink-0 category-${project.color}`} />
+                  <span className="truncate">{project.name}</span>
+                </h1>
+                <p className="text-sm text-gray-500">
+                  {status.icon} {status.label}
+                  {project.targetDate && (
+                    <span className={pastTarget ? 'text-red-500' : ''}>
+                      {' '}· Target {formatDate(project.targetDate)}
+                    </span>
+                  )}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <button
+                type="button"
+                className="flex -space-x-2 mr-1"
+                onClick={() => setShowShareDialog(true)}
+                title="People with access"
+              >
+                {people.slice(0, 4).map(person => (
+                  <Avatar key={person._id} user={person} />
+                ))}
+              </button>
+              <Button variant="outline" size="sm" onClick={() => setShowShareDialog(true)}>
+                Share
+              </Button>
+              {isOwner && (
+                <>
+                  <Button variant="outline" size="sm" onClick={() => setShowEditForm(true)}>
+                    Edit
+                  </Button>
+                  <Button variant="ghost" size="sm" className="text-red-500 hover:text-red-600" onClick={handleDeleteProject}>
+                    Delete
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </motion.header>
+
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Overview */}
+        <motion.div
+          className="bg-white dark:bg-gray-800 rounded-xl p-6 shadow-card space-y-4"
+          {...ANIMATION_VARIANTS.slideIn}
+        >
+          {project.description && (
+            <p className="text-gray-600 dark:text-gray-300 whitespace-pre-line">{project.description}</p>
+          )}
+          <ProjectProgress progress={project.progress} showCounts />
+
+          {canEdit && (
+            <form onSubmit={handleAddTask} className="flex gap-2">
+              <input
+                type="text"
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                placeholder="Add a task to this project..."
+                value={newTitle}
+                maxLength={200}
+                onChange={(e) => setNewTitle(e.target.value)}
+              />
+              <Button type="submit" disabled={!newTitle.trim()}>
+                Add
+              </Button>
+            </form>
+          )}
+        </motion.div>
+
+        {tasks.length === 0 ? (
+          <motion.div
+            className="text-center py-12"
+            {...ANIMATION_VARIANTS.fadeIn}
+          >
+            <div className="text-6xl mb-4">🗂️</div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+              No tasks in this project yet
+            </h3>
+            <p className="text-gray-600 dark:text-gray-400">
+              {canEdit
+                ? 'Add one above, or pick this project when editing a task.'
+                : 'Tasks added by the project\'s editors will show up here.'}
+            </p>
+          </motion.div>
+        ) : (
+          <>
+            {openTasks.length > 0 && (
+              <section>
+                <h2 className="text-sm font-semibold uppercase tracking-wide text-gray-400 mb-3">
+                  Open ({openTasks.length})
+                </h2>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <AnimatePresence>
+                    {openTasks.map(renderTaskCard)}
+                  </AnimatePresence>
+                </div>
+              </section>
+            )}
+
+            {completedTasks.length > 0 && (
+              <section>
+                <h2 className="text-sm font-semibold uppercase tracking-wide text-gray-400 mb-3">
+                  Completed ({completedTasks.length})
+                </h2>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <AnimatePresence>
+                    {completedTasks.map(renderTaskCard)}
+                  </AnimatePresence>
+                </div>
+              </section>
+            )}
+
+            {pagination.hasMore && (
+              <div className="flex justify-center">
+                <Button variant="ghost" onClick={() => loadTasks(pagination.nextCursor)}>
+                  Load more tasks
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Edit Project Modal */}
+      <AnimatePresence>
+        {showEditForm && (
+          <ProjectForm
+            project={project}
+            onClose={() => setShowEditForm(false)}
+            onSaved={(updated) => {
+              setProject(updated);
+              setShowEditForm(false);
+            }}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Share Project Modal */}
+      <AnimatePresence>
+        {showShareDialog && (
+          <ShareProjectDialog
+            project={project}
+            currentUserId={user?.id}
+            onClose={() => setShowShareDialog(false)}
+            onChanged={setProject}
+            onLeft={() => navigate('/dashboard')}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default Project;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { tasksAPI } from '../services/api';
+import { getCategoryIcon, getPriorityIcon, formatRelativeTime } from '../utils/helpers';
+import { ANIMATION_VARIANTS, SUCCESS_MESSAGES } from '../utils/constants';
+import toast from 'react-hot-toast';
+
+// Components
+import Button from '../components/Button';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Trash = () => {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const loadTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await tasksAPI.getTrash();
+      setTasks(response.tasks || []);
+      setRetentionDays(response.retentionDays);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      toast.error('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getDaysUntilPurge = (deletedAt) => {
+    const purgeAt = new Date(deletedAt).getTime() + retentionDays * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+  };
+
+  const handleRestore = async (taskId) => {
+    try {
+      await tasksAPI.restoreTask(taskId);
+      setTasks(prev => prev.filter(task => task._id !== taskId));
+      toast.success(SUCCESS_MESSAGES.TASK_RESTORED);
+    } catch (error) {
+      toast.error('Failed to restore task');
+    }
+  };
+
+  const handlePermanentDelete = async (taskId) => {
+    if (!window.confirm('Permanently delete this task? This cannot be undone.')) return;
+
+    try {
+      await tasksAPI.permanentlyDeleteTask(taskId);
+      setTasks(prev => prev.filter(task => task._id !== taskId));
+      toast.success(SUCCESS_MESSAGES.TASK_PURGED);
+    } catch (error) {
+      toast.error('Failed to delete task');
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm(`Permanently delete all ${tasks.length} tasks in the trash? This cannot be undone.`)) return;
+
+    try {
+      await tasksAPI.emptyTrash();
+      setTasks([]);
+      toast.success(SUCCESS_MESSAGES.TRASH_EMPTIED);
+    } catch (error) {
+      toast.error('Failed to empty trash');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading trash..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900">
+      {/* Header */}
+      <motion.header
+        className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700"
+        {...ANIMATION_VARIANTS.slideIn}
+      >
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <div className="flex items-center gap-4">
+              <Link
+                to="/dashboard"
+                className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                title="Back to dashboard"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+                </svg>
+              </Link>
+              <div>
+                <h1 className="text-xl font-bold text-gray-900 dark:text-white">Trash</h1>
+                <p className="text-sm text-gray-500">
+                  Tasks are permanently deleted after {retentionDays} days
+                </p>
+              </div>
+            </div>
+
+            {tasks.length > 0 && (
+              <Button variant="danger" size="sm" onClick={handleEmptyTrash}>
+                Empty Trash
+              </Button>
+            )}
+          </div>
+        </div>
+      </motion.header>
+
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {tasks.length === 0 ? (
+          <motion.div
+            className="text-center py-12"
+            {...ANIMATION_VARIANTS.fadeIn}
+          >
+            <div className="text-6xl mb-4">🗑️</div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+              Trash is empty
+            </h3>
+            <p className="text-gray-600 dark:text-gray-400">
+              Deleted tasks show up here so you can restore them.
+            </p>
+          </motion.div>
+        ) : (
+          <div className="space-y-3">
+            <AnimatePresence>
+              {tasks.map(task => (
+                <motion.div
+                  key={task._id}
+                  className="bg-white dark:bg-gray-800 rounded-xl p-4 shadow-card flex items-center justify-between gap-4"
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, x: -50 }}
+                  layout
+                >
+                  <div className="min-w-0">
+                    <h3 className={`font-semibold text-gray-900 dark:text-white truncate ${task.isDone ? 'line-through' : ''}`}>
+                      {task.title}
+                    </h3>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {getCategoryIcon(task.category)} {task.category} · {getPriorityIcon(task.priority)} {task.priority} ·
+                      Deleted {formatRelativeTime(task.deletedAt)} ·
+                      {' '}{getDaysUntilPurge(task.deletedAt)} days left
+                    </p>
+                  </div>
+
+                  <div className="flex gap-2 flex-shrink-0">
+                    <Button variant="outline" size="sm" onClick={() => handleRestore(task._id)}>
+                      Restore
+                    </Button>
+                    <Button variant="ghost" size="sm" className="text-red-500 hover:text-red-600" onClick={() => handlePermanentDelete(task._id)}>
+                      Delete Forever
+                    </Button>
+                  </div>
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
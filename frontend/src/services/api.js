@@ -1,8 +1,12 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { generateId } from '../utils/helpers';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Identifies this tab, so the event stream doesn't echo its own changes back
+const CLIENT_ID = generateId();
+
 
 // Create axios instance
 const api = axios.create({
@@ -25,6 +29,7 @@ api.interceptors.request.use(
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
       }
+      config.headers['X-Client-Id'] = CLIENT_ID;
     }
     
     
@@ -94,6 +99,21 @@ export const authAPI = {
     const response = await api.post('/auth/verify');
     return response.data;
   },
+
+  getFeed: async () => {
+    const response = await api.get('/auth/profile/feed');
+    return response.data;
+  },
+
+  regenerateFeed: async () => {
+    const response = await api.post('/auth/profile/feed');
+    return response.data;
+  },
+
+  revokeFeed: async () => {
+    const response = await api.delete('/auth/profile/feed');
+    return response.data;
+  },
 };
 
 // Tasks API
@@ -103,6 +123,11 @@ export const tasksAPI = {
     return response.data;
   },
   
+  getStats: async () => {
+    const response = await api.get('/tasks/stats');
+    return response.data;
+  },
+  
   getTask: async (id) => {
     const response = await api.get(`/tasks/${id}`);
     return response.data;
@@ -123,8 +148,80 @@ export const tasksAPI = {
     return response.data;
   },
   
-  toggleTask: async (id) => {
-    const response = await api.patch(`/tasks/${id}/toggle`);
+  getTrash: async () => {
+    const response = await api.get('/tasks/trash');
+    return response.data;
+  },
+  
+  restoreTask: async (id) => {
+    const response = await api.patch(`/tasks/trash/${id}/restore`);
+    return response.data;
+  },
+  
+  permanentlyDeleteTask: async (id) => {
+    const response = await api.delete(`/tasks/trash/${id}`);
+    return response.data;
+  },
+  
+  emptyTrash: async () => {
+    const response = await api.delete('/tasks/trash');
+    return response.data;
+  },
+  
+  // Pass { force: true } to complete a task whose blockers are still open
+  toggleTask: async (id, options = {}) => {
+    const response = await api.patch(`/tasks/${id}/toggle`, options);
+    return response.data;
+  },
+  
+  getAssignableUsers: async (id) => {
+    const response = await api.get(`/tasks/${id}/assignees`);
+    return response.data;
+  },
+  
+  assignTask: async (id, assigneeId) => {
+    const response = await api.patch(`/tasks/${id}/assignee`, { assigneeId });
+    return response.data;
+  },
+  
+  getDependencies: async (id) => {
+    const response = await api.get(`/tasks/${id}/dependencies`);
+    return response.data;
+  },
+  
+  addBlocker: async (id, blockerId) => {
+    const response = await api.post(`/tasks/${id}/blockers`, { blockerId });
+    return response.data;
+  },
+  
+  removeBlocker: async (id, blockerId) => {
+    const response = await api.delete(`/tasks/${id}/blockers/${blockerId}`);
+    return response.data;
+  },
+  
+  getComments: async (id) => {
+    const response = await api.get(`/tasks/${id}/comments`);
+    return response.data;
+  },
+  
+  addComment: async (id, comment) => {
+    const response = await api.post(`/tasks/${id}/comments`, comment);
+    return response.data;
+  },
+  
+  updateComment: async (id, commentId, body) => {
+    const response = await api.patch(`/tasks/${id}/comments/${commentId}`, { body });
+    return response.data;
+  },
+  
+  deleteComment: async (id, commentId) => {
+    const response = await api.delete(`/tasks/${id}/comments/${commentId}`);
+    return response.data;
+  },
+  
+  // neighbours: { prevId, nextId } of the tasks directly above and below
+  moveTask: async (id, neighbours) => {
+    const response = await api.patch(`/tasks/${id}/position`, neighbours);
     return response.data;
   },
   
@@ -133,17 +230,315 @@ export const tasksAPI = {
     return response.data;
   },
   
+  updateSubTask: async (id, subTaskId, subTaskData) => {
+    const response = await api.patch(`/tasks/${id}/subtasks/${subTaskId}`, subTaskData);
+    return response.data;
+  },
+  
+  toggleSubTask: async (id, subTaskId) => {
+    const response = await api.patch(`/tasks/${id}/subtasks/${subTaskId}/toggle`);
+    return response.data;
+  },
+  
+  reorderSubTasks: async (id, order) => {
+    const response = await api.patch(`/tasks/${id}/subtasks/reorder`, { order });
+    return response.data;
+  },
+  
+  moveSubTask: async (id, subTaskId, neighbours) => {
+    const response = await api.patch(`/tasks/${id}/subtasks/${subTaskId}/position`, neighbours);
+    return response.data;
+  },
+  
+  deleteSubTask: async (id, subTaskId) => {
+    const response = await api.delete(`/tasks/${id}/subtasks/${subTaskId}`);
+    return response.data;
+  },
+  
+  uploadAttachment: async (id, file, onUploadProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await api.post(`/tasks/${id}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+      onUploadProgress
+    });
+    return response.data;
+  },
+  
+  downloadAttachment: async (id, attachmentId) => {
+    const response = await api.get(`/tasks/${id}/attachments/${attachmentId}`, {
+      responseType: 'blob',
+      timeout: 120000
+    });
+    return response.data;
+  },
+  
+  deleteAttachment: async (id, attachmentId) => {
+    const response = await api.delete(`/tasks/${id}/attachments/${attachmentId}`);
+    return response.data;
+  },
+  
+  getRunningTimer: async () => {
+    const response = await api.get('/tasks/timer');
+    return response.data;
+  },
+  
+  startTimer: async (id, note) => {
+    const response = await api.post(`/tasks/${id}/timer/start`, { note });
+    return response.data;
+  },
+  
+  stopTimer: async (id) => {
+    const response = await api.post(`/tasks/${id}/timer/stop`);
+    return response.data;
+  },
+  
+  addTimeEntry: async (id, entry) => {
+    const response = await api.post(`/tasks/${id}/time-entries`, entry);
+    return response.data;
+  },
+  
+  updateTimeEntry: async (id, entryId, entry) => {
+    const response = await api.patch(`/tasks/${id}/time-entries/${entryId}`, entry);
+    return response.data;
+  },
+  
+  deleteTimeEntry: async (id, entryId) => {
+    const response = await api.delete(`/tasks/${id}/time-entries/${entryId}`);
+    return response.data;
+  },
+  
+  getTimeReport: async (from, to) => {
+    const response = await api.get('/tasks/reports/time', {
+      params: { from: from.toISOString(), to: to.toISOString() }
+    });
+    return response.data;
+  },
+  
+  exportTimeReport: async (from, to) => {
+    const response = await api.get('/tasks/reports/time', {
+      params: { from: from.toISOString(), to: to.toISOString(), format: 'csv' },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+  
   getTasksByCategory: async (category) => {
     const response = await api.get(`/tasks/category/${category}`);
     return response.data;
   },
   
+  getCalendarTasks: async (from, to) => {
+    const response = await api.get('/tasks/calendar', {
+      params: { from: from.toISOString(), to: to.toISOString() }
+    });
+    return response.data;
+  },
+  
+  exportTasks: async (format) => {
+    const response = await api.get('/tasks/export', {
+      params: { format },
+      responseType: 'blob',
+      timeout: 120000
+    });
+    return response.data;
+  },
+  
+  importTasks: async (payload) => {
+    const response = await api.post('/tasks/import', payload, { timeout: 120000 });
+    return response.data;
+  },
+  
   getOverdueTasks: async () => {
     const response = await api.get('/tasks/overdue');
     return response.data;
   },
 };
 
+// Categories API
+export const categoriesAPI = {
+  getCategories: async () => {
+    const response = await api.get('/categories');
+    return response.data;
+  },
+  
+  createCategory: async (categoryData) => {
+    const response = await api.post('/categories', categoryData);
+    return response.data;
+  },
+  
+  updateCategory: async (id, categoryData) => {
+    const response = await api.patch(`/categories/${id}`, categoryData);
+    return response.data;
+  },
+  
+  deleteCategory: async (id, reassignTo) => {
+    const response = await api.delete(`/categories/${id}`, { params: { reassignTo } });
+    return response.data;
+  },
+};
+
+// Tags API
+export const tagsAPI = {
+  getTags: async (q) => {
+    const response = await api.get('/tags', { params: q ? { q } : {} });
+    return response.data;
+  },
+  
+  updateTag: async (name, tagData) => {
+    const response = await api.patch(`/tags/${encodeURIComponent(name)}`, tagData);
+    return response.data;
+  },
+  
+  mergeTags: async (source, target) => {
+    const response = await api.post('/tags/merge', { source, target });
+    return response.data;
+  },
+  
+  deleteTag: async (name) => {
+    const response = await api.delete(`/tags/${encodeURIComponent(name)}`);
+    return response.data;
+  },
+};
+
+// Saved views API calls
+export const viewsAPI = {
+  getViews: async () => {
+    const response = await api.get('/views');
+    return response.data;
+  },
+  
+  createView: async (viewData) => {
+    const response = await api.post('/views', viewData);
+    return response.data;
+  },
+  
+  updateView: async (id, viewData) => {
+    const response = await api.patch(`/views/${id}`, viewData);
+    return response.data;
+  },
+  
+  deleteView: async (id) => {
+    const response = await api.delete(`/views/${id}`);
+    return response.data;
+  },
+};
+
+// Projects API calls
+export const projectsAPI = {
+  getProjects: async (params = {}) => {
+    const response = await api.get('/projects', { params });
+    return response.data;
+  },
+  
+  getProject: async (id) => {
+    const response = await api.get(`/projects/${id}`);
+    return response.data;
+  },
+  
+  createProject: async (projectData) => {
+    const response = await api.post('/projects', projectData);
+    return response.data;
+  },
+  
+  updateProject: async (id, projectData) => {
+    const response = await api.patch(`/projects/${id}`, projectData);
+    return response.data;
+  },
+  
+  // Tasks in the project are kept without a project
+  deleteProject: async (id) => {
+    const response = await api.delete(`/projects/${id}`);
+    return response.data;
+  },
+  
+  getInvitations: async (id) => {
+    const response = await api.get(`/projects/${id}/invitations`);
+    return response.data;
+  },
+  
+  inviteMember: async (id, invitation) => {
+    const response = await api.post(`/projects/${id}/invitations`, invitation);
+    return response.data;
+  },
+  
+  cancelInvitation: async (id, invitationId) => {
+    const response = await api.delete(`/projects/${id}/invitations/${invitationId}`);
+    return response.data;
+  },
+  
+  updateMember: async (id, userId, role) => {
+    const response = await api.patch(`/projects/${id}/members/${userId}`, { role });
+    return response.data;
+  },
+  
+  // Removing yourself leaves the project
+  removeMember: async (id, userId) => {
+    const response = await api.delete(`/projects/${id}/members/${userId}`);
+    return response.data;
+  },
+};
+
+// Invitations API calls
+export const invitationsAPI = {
+  getInvitations: async () => {
+    const response = await api.get('/invitations');
+    return response.data;
+  },
+  
+  acceptInvitation: async (id) => {
+    const response = await api.post(`/invitations/${id}/accept`);
+    return response.data;
+  },
+  
+  declineInvitation: async (id) => {
+    const response = await api.post(`/invitations/${id}/decline`);
+    return response.data;
+  },
+};
+
+// Notifications API calls
+export const notificationsAPI = {
+  // params: { before, limit, unread }
+  getNotifications: async (params = {}) => {
+    const response = await api.get('/notifications', { params });
+    return response.data;
+  },
+  
+  markRead: async (id) => {
+    const response = await api.patch(`/notifications/${id}/read`);
+    return response.data;
+  },
+  
+  markAllRead: async () => {
+    const response = await api.patch('/notifications/read-all');
+    return response.data;
+  },
+  
+  deleteNotification: async (id) => {
+    const response = await api.delete(`/notifications/${id}`);
+    return response.data;
+  },
+};
+
+// Live task changes from other tabs and devices over Server-Sent Events.
+// handlers maps event types (e.g. 'task:updated') to callbacks; EventSource
+// reconnects by itself after network drops. Returns a function that closes the stream.
+export const subscribeToEvents = (handlers) => {
+  const token = localStorage.getItem('token');
+  if (!token || typeof EventSource === 'undefined') return () => {};
+
+  const params = new URLSearchParams({ token, clientId: CLIENT_ID });
+  const source = new EventSource(`${API_URL}/events?${params}`);
+
+  Object.entries(handlers).forEach(([type, handler]) => {
+    source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+  });
+
+  return () => source.close();
+};
+
 // Health check
 export const healthCheck = async () => {
   try {
@@ -1,4 +1,4 @@
-// Task categories
+// Default task categories (used until the user's categories load from the API)
 export const TASK_CATEGORIES = [
   { value: 'work', label: 'Work', icon: '💼', color: 'blue' },
   { value: 'personal', label: 'Personal', icon: '👤', color: 'purple' },
@@ -9,6 +9,24 @@ export const TASK_CATEGORIES = [
   { value: 'other', label: 'Other', icon: '📝', color: 'gray' }
 ];
 
+// Colors available for user-defined categories
+export const CATEGORY_COLORS = ['blue', 'purple', 'green', 'yellow', 'pink', 'lime', 'gray', 'red', 'orange', 'teal', 'indigo'];
+
+// Project statuses
+export const PROJECT_STATUSES = [
+  { value: 'active', label: 'Active', icon: '🚀' },
+  { value: 'on-hold', label: 'On hold', icon: '⏸️' },
+  { value: 'completed', label: 'Completed', icon: '🏁' },
+  { value: 'archived', label: 'Archived', icon: '📦' }
+];
+
+// Collaborator roles on a shared project, from least to most access
+export const PROJECT_ROLES = [
+  { value: 'viewer', label: 'Viewer', description: 'Can see tasks' },
+  { value: 'editor', label: 'Editor', description: 'Can add, change and complete tasks' },
+  { value: 'owner', label: 'Owner', description: 'Can also edit the project and manage sharing' }
+];
+
 // Task priorities
 export const TASK_PRIORITIES = [
   { value: 'low', label: 'Low', color: 'green', icon: '🟢' },
@@ -17,6 +35,76 @@ export const TASK_PRIORITIES = [
   { value: 'urgent', label: 'Urgent', color: 'pink', icon: '🚨' }
 ];
 
+// Recurrence frequencies
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+  { value: 'afterCompletion', label: 'After completion', unit: 'day' }
+];
+
+// Days of the week (value matches Date.getDay())
+export const WEEKDAYS = [
+  { value: 0, label: 'Sun' },
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' }
+];
+
+// Reminder presets, in minutes before the due date
+export const REMINDER_OFFSETS = [
+  { value: 0, label: 'At due time' },
+  { value: 15, label: '15 minutes before' },
+  { value: 60, label: '1 hour before' },
+  { value: 3 * 60, label: '3 hours before' },
+  { value: 24 * 60, label: '1 day before' },
+  { value: 2 * 24 * 60, label: '2 days before' },
+  { value: 7 * 24 * 60, label: '1 week before' }
+];
+
+// Most reminders a task (or the defaults) can have
+export const MAX_REMINDERS = 5;
+
+// Icons for in-app notification types
+export const NOTIFICATION_ICONS = {
+  'task-assigned': '👤',
+  'comment-mention': '💬',
+  'task-reminder': '🔔',
+  'task-overdue': '⏰',
+  'task-updated': '✏️',
+  'task-completed': '✅',
+  'task-deleted': '🗑️'
+};
+
+// Email digest frequencies
+export const DIGEST_FREQUENCIES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' }
+];
+
+// Calendar views
+export const CALENDAR_VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'agenda', label: 'Agenda' }
+];
+
+// Days shown in the calendar agenda view
+export const AGENDA_DAYS = 30;
+
+// Kanban board groupings
+export const BOARD_GROUPS = [
+  { value: 'status', label: 'Status' },
+  { value: 'category', label: 'Category' },
+  { value: 'priority', label: 'Priority' }
+];
+
+// Tasks fetched per page on the Dashboard
+export const TASK_PAGE_SIZE = 30;
+
 // Sort options
 export const SORT_OPTIONS = [
   { value: 'createdAt', label: 'Date Created' },
@@ -24,7 +112,34 @@ export const SORT_OPTIONS = [
   { value: 'title', label: 'Title' },
   { value: 'priority', label: 'Priority' },
   { value: 'dueDate', label: 'Due Date' },
-  { value: 'category', label: 'Category' }
+  { value: 'category', label: 'Category' },
+  { value: 'position', label: 'Manual' }
+];
+
+// Task fields a CSV import column can be mapped to
+export const IMPORT_FIELDS = [
+  { value: 'title', label: 'Title', required: true },
+  { value: 'description', label: 'Description' },
+  { value: 'category', label: 'Category' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'isDone', label: 'Done' },
+  { value: 'dueDate', label: 'Due Date' },
+  { value: 'completedAt', label: 'Completed At' },
+  { value: 'tags', label: 'Tags' },
+  { value: 'subTasks', label: 'Subtasks' }
+];
+
+// Apps whose export files can be imported
+export const IMPORT_SOURCES = [
+  { value: 'taskify', label: 'Taskify (CSV or JSON)' },
+  { value: 'todoist', label: 'Todoist (CSV or JSON)' },
+  { value: 'trello', label: 'Trello board (JSON)' }
+];
+
+// What Todoist projects and Trello lists become
+export const IMPORT_GROUP_MODES = [
+  { value: 'category', label: 'Categories' },
+  { value: 'tag', label: 'Tags' }
 ];
 
 // Filter options
@@ -116,7 +231,9 @@ export const STORAGE_KEYS = {
   TOKEN: 'token',
   USER: 'user',
   THEME: 'theme',
-  PREFERENCES: 'preferences'
+  PREFERENCES: 'preferences',
+  DASHBOARD_LAYOUT: 'dashboardLayout',
+  BOARD: 'board'
 };
 
 // API endpoints
@@ -126,12 +243,33 @@ export const API_ENDPOINTS = {
     LOGIN: '/auth/login',
     PROFILE: '/auth/me',
     UPDATE_PROFILE: '/auth/profile',
+    FEED: '/auth/profile/feed',
     VERIFY: '/auth/verify'
   },
   TASKS: {
     BASE: '/tasks',
     BY_CATEGORY: '/tasks/category',
-    OVERDUE: '/tasks/overdue'
+    OVERDUE: '/tasks/overdue',
+    TRASH: '/tasks/trash',
+    CALENDAR: '/tasks/calendar',
+    EXPORT: '/tasks/export',
+    IMPORT: '/tasks/import'
+  },
+  CATEGORIES: {
+    BASE: '/categories'
+  },
+  TAGS: {
+    BASE: '/tags',
+    MERGE: '/tags/merge'
+  },
+  VIEWS: {
+    BASE: '/views'
+  },
+  PROJECTS: {
+    BASE: '/projects'
+  },
+  INVITATIONS: {
+    BASE: '/invitations'
   }
 };
 
@@ -174,6 +312,9 @@ export const VALIDATION_RULES = {
   },
   TAG: {
     maxLength: 30
+  },
+  ATTACHMENT: {
+    maxSize: 10 * 1024 * 1024
   }
 };
 
@@ -185,6 +326,7 @@ export const ERROR_MESSAGES = {
   NAME_TOO_SHORT: `Name must be at least ${VALIDATION_RULES.NAME.minLength} characters`,
   TITLE_TOO_LONG: `Title cannot exceed ${VALIDATION_RULES.TASK_TITLE.maxLength} characters`,
   DESCRIPTION_TOO_LONG: `Description cannot exceed ${VALIDATION_RULES.TASK_DESCRIPTION.maxLength} characters`,
+  FILE_TOO_LARGE: `File cannot exceed ${VALIDATION_RULES.ATTACHMENT.maxSize / (1024 * 1024)} MB`,
   NETWORK_ERROR: 'Network error. Please check your connection.',
   UNKNOWN_ERROR: 'An unexpected error occurred. Please try again.'
 };
@@ -193,18 +335,60 @@ export const ERROR_MESSAGES = {
 export const SUCCESS_MESSAGES = {
   TASK_CREATED: 'Task created successfully! 🎉',
   TASK_UPDATED: 'Task updated successfully! ✅',
-  TASK_DELETED: 'Task deleted successfully! 🗑️',
+  TASK_DELETED: 'Task moved to trash! 🗑️',
+  TASK_RESTORED: 'Task restored successfully! ♻️',
+  TASK_PURGED: 'Task permanently deleted! 🗑️',
+  TRASH_EMPTIED: 'Trash emptied! 🧹',
+  CATEGORY_CREATED: 'Category created! 🏷️',
+  CATEGORY_UPDATED: 'Category updated! ✅',
+  CATEGORY_DELETED: 'Category deleted! 🗑️',
+  TAG_UPDATED: 'Tag updated! 🏷️',
+  TAGS_MERGED: 'Tags merged! 🔗',
+  TAG_DELETED: 'Tag removed! 🗑️',
+  VIEW_SAVED: 'View saved! 📌',
+  VIEW_DELETED: 'View deleted! 🗑️',
+  PROJECT_CREATED: 'Project created! 🚀',
+  PROJECT_UPDATED: 'Project updated! ✅',
+  PROJECT_DELETED: 'Project deleted! 🗑️',
+  INVITATION_SENT: 'Invitation sent! ✉️',
+  INVITATION_ACCEPTED: 'Invitation accepted! 🤝',
+  INVITATION_DECLINED: 'Invitation declined',
+  MEMBER_REMOVED: 'Member removed',
+  PROJECT_LEFT: 'You left the project 👋',
+  TASKS_EXPORTED: 'Tasks exported! 💾',
+  ATTACHMENT_UPLOADED: 'File attached successfully! 📎',
+  ATTACHMENT_DELETED: 'Attachment removed! 🗑️',
+  TIMER_STARTED: 'Timer started ⏱',
+  TIMER_STOPPED: 'Timer stopped',
   TASK_COMPLETED: 'Task marked as completed! 🎯',
   TASK_UNCOMPLETED: 'Task marked as pending! 📝',
   PROFILE_UPDATED: 'Profile updated successfully! 👤',
+  FEED_GENERATED: 'Calendar feed URL generated! 🔗',
+  FEED_REVOKED: 'Calendar feed disabled! 🔒',
   LOGIN_SUCCESS: 'Welcome back! 🎉',
   REGISTER_SUCCESS: 'Account created successfully! 🎉'
 };
 
 export default {
   TASK_CATEGORIES,
+  CATEGORY_COLORS,
+  PROJECT_STATUSES,
+  PROJECT_ROLES,
   TASK_PRIORITIES,
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+  REMINDER_OFFSETS,
+  MAX_REMINDERS,
+  NOTIFICATION_ICONS,
+  DIGEST_FREQUENCIES,
+  CALENDAR_VIEWS,
+  AGENDA_DAYS,
+  BOARD_GROUPS,
+  TASK_PAGE_SIZE,
   SORT_OPTIONS,
+  IMPORT_FIELDS,
+  IMPORT_SOURCES,
+  IMPORT_GROUP_MODES,
   FILTER_OPTIONS,
   THEME_OPTIONS,
   ANIMATION_VARIANTS,
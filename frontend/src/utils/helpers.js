@@ -1,4 +1,4 @@
-import { TASK_CATEGORIES, TASK_PRIORITIES } from './constants';
+import { TASK_CATEGORIES, TASK_PRIORITIES, RECURRENCE_FREQUENCIES, WEEKDAYS, REMINDER_OFFSETS } from './constants';
 
 // Format date utilities
 export const formatDate = (date, options = {}) => {
@@ -65,9 +65,48 @@ export const getDaysUntilDue = (dueDate) => {
   return diffInDays;
 };
 
+// Calendar utilities (local time)
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Weeks start on Sunday, matching WEEKDAYS
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -day.getDay());
+};
+
+// Local YYYY-MM-DD key for grouping tasks by day
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
 // Category utilities
+// The user's categories, kept in sync by CategoryProvider
+let categoryRegistry = TASK_CATEGORIES;
+
+export const setCategoryRegistry = (categories) => {
+  categoryRegistry = categories && categories.length > 0 ? categories : TASK_CATEGORIES;
+};
+
 export const getCategoryInfo = (category) => {
-  return TASK_CATEGORIES.find(cat => cat.value === category) || TASK_CATEGORIES[6]; // default to 'other'
+  return categoryRegistry.find(cat => cat.value === category) || {
+    value: category,
+    label: category || 'Other',
+    icon: '📁',
+    color: 'gray'
+  };
 };
 
 export const getCategoryColor = (category) => {
@@ -101,6 +140,86 @@ export const getPriorityValue = (priority) => {
   return priorities[priority] || 2;
 };
 
+// Recurrence utilities
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence?.frequency) return '';
+
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.frequency);
+  if (!frequency) return '';
+
+  const interval = recurrence.interval || 1;
+  const every = interval === 1 ? `Every ${frequency.unit}` : `Every ${interval} ${frequency.unit}s`;
+  let description = every;
+
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays?.length > 0) {
+    const days = WEEKDAYS
+      .filter(day => recurrence.weekdays.includes(day.value))
+      .map(day => day.label);
+    description = `${every} on ${days.join(', ')}`;
+  } else if (recurrence.frequency === 'monthly' && recurrence.monthDay) {
+    description = `${every} on day ${recurrence.monthDay}`;
+  } else if (recurrence.frequency === 'afterCompletion') {
+    description = `${interval} ${frequency.unit}${interval === 1 ? '' : 's'} after completion`;
+  }
+
+  if (recurrence.endDate) {
+    description += `, until ${formatDate(recurrence.endDate)}`;
+  } else if (recurrence.count) {
+    description += `, ${recurrence.count} times`;
+  }
+
+  return description;
+};
+
+// Reminder utilities
+export const describeReminderOffset = (minutes) => {
+  const preset = REMINDER_OFFSETS.find(offset => offset.value === minutes);
+  if (preset) return preset.label;
+
+  const [size, unit] = [[24 * 60, 'day'], [60, 'hour'], [1, 'minute']]
+    .find(([unitSize]) => minutes % unitSize === 0);
+  const count = minutes / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'} before`;
+};
+
+export const describeReminder = (reminder) => (
+  reminder.remindAt ? formatDateTime(reminder.remindAt) : describeReminderOffset(reminder.offsetMinutes)
+);
+
+// Reminders that haven't fired yet (offset ones need a due date to fire)
+export const getPendingReminders = (task) => (task.reminders || []).filter(reminder =>
+  !reminder.sentAt && (reminder.remindAt || task.dueDate)
+);
+
+// Time tracking utilities
+export const formatDuration = (minutes) => {
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+// Minutes between two times, with a running entry counted up to now
+export const getEntryMinutes = (entry, now = new Date()) => (
+  (new Date(entry.end || now) - new Date(entry.start)) / 60000
+);
+
+// Everyone's tracked time on the task, running timers included
+export const getTrackedMinutes = (task, now = new Date()) => (task.timeEntries || [])
+  .reduce((sum, entry) => sum + getEntryMinutes(entry, now), 0);
+
+// Value for a datetime-local input, in the browser's timezone
+export const toDateTimeInputValue = (date) => {
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+export const getRunningEntry = (task, userId) => (task.timeEntries || []).find(entry =>
+  !entry.end && String(entry.userId) === String(userId)
+) || null;
+
 // Task utilities
 export const getTaskStats = (tasks) => {
   const total = tasks.length;
@@ -187,6 +306,11 @@ export const filterTasks = (tasks, filters) => {
       if (task.priority !== filters.priority) return false;
     }
     
+    // Tag filter
+    if (filters.tag && filters.tag !== 'all') {
+      if (!task.tags?.includes(filters.tag)) return false;
+    }
+    
     // Search filter
     if (filters.search) {
       const searchTerm = filters.search.toLowerCase();
@@ -315,6 +439,51 @@ export const formatFileSize = (bytes) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+// Save a downloaded blob to the user's disk
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Ask whether to complete a task anyway after the server refused because of open blockers
+export const confirmCompleteBlocked = (error) => {
+  const blockers = error.response?.status === 409 ? error.response.data?.blockers : null;
+  if (!blockers?.length) return false;
+
+  const titles = blockers.map(blocker => `• ${blocker.title}`).join('\n');
+  return window.confirm(`This task is still blocked by:\n${titles}\n\nMark it complete anyway?`);
+};
+
+// Quote filter values that contain spaces
+const quoteFilterValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// Combine Dashboard filters into a filter expression, e.g. "category:work is:open report"
+export const buildFilterQuery = (filters) => {
+  const parts = [];
+
+  if (filters.category && filters.category !== 'all') {
+    parts.push(`category:${quoteFilterValue(filters.category)}`);
+  }
+  if (filters.priority && filters.priority !== 'all') {
+    parts.push(`priority:${filters.priority}`);
+  }
+  if (filters.status === 'pending') parts.push('is:open');
+  if (filters.status === 'completed') parts.push('is:done');
+  if (filters.tag && filters.tag !== 'all') {
+    parts.push(`tag:${quoteFilterValue(filters.tag)}`);
+  }
+  if (filters.query) parts.push(filters.query.trim());
+  if (filters.search) parts.push(filters.search.trim());
+
+  return parts.filter(Boolean).join(' ');
+};
+
 // Truncate text
 export const truncateText = (text, maxLength = 100) => {
   if (!text || text.length <= maxLength) return text;
@@ -327,6 +496,11 @@ export default {
   formatRelativeTime,
   isOverdue,
   getDaysUntilDue,
+  startOfDay,
+  addDays,
+  startOfWeek,
+  toDateKey,
+  setCategoryRegistry,
   getCategoryInfo,
   getCategoryColor,
   getCategoryIcon,
@@ -334,6 +508,12 @@ export default {
   getPriorityColor,
   getPriorityIcon,
   getPriorityValue,
+  describeRecurrence,
+  formatDuration,
+  getEntryMinutes,
+  getTrackedMinutes,
+  toDateTimeInputValue,
+  getRunningEntry,
   getTaskStats,
   groupTasksByCategory,
   groupTasksByPriority,
@@ -346,11 +526,14 @@ export default {
   setToStorage,
   removeFromStorage,
   buildQueryString,
+  buildFilterQuery,
   debounce,
+  confirmCompleteBlocked,
   getSystemTheme,
   applyTheme,
   generateId,
   copyToClipboard,
   formatFileSize,
+  downloadBlob,
   truncateText
 };